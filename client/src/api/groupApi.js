@@ -63,7 +63,7 @@ export const deleteGroup = async (groupId) => {
   }
 };
 
-// 添加成员到群组
+// 邀请用户加入群组，对方接受邀请后才会成为成员
 export const addMemberToGroup = async (groupId, userId, nickname = '') => {
   try {
     const response = await axios.post(
@@ -71,9 +71,50 @@ export const addMemberToGroup = async (groupId, userId, nickname = '') => {
       { userId, nickname },
       getAuthConfig()
     );
+    return response.data.data.invitation;
+  } catch (error) {
+    console.error('邀请成员失败', error);
+    throw error;
+  }
+};
+
+// 获取收到的群组邀请
+export const getGroupInvitations = async () => {
+  try {
+    const response = await axios.get('/api/groups/invitations', getAuthConfig());
+    return response.data.data.invitations;
+  } catch (error) {
+    console.error('获取群组邀请失败', error);
+    throw error;
+  }
+};
+
+// 接受群组邀请
+export const acceptGroupInvitation = async (invitationId) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/invitations/${invitationId}/accept`,
+      {},
+      getAuthConfig()
+    );
     return response.data.data.group;
   } catch (error) {
-    console.error('添加成员失败', error);
+    console.error('接受群组邀请失败', error);
+    throw error;
+  }
+};
+
+// 拒绝群组邀请
+export const declineGroupInvitation = async (invitationId) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/invitations/${invitationId}/decline`,
+      {},
+      getAuthConfig()
+    );
+    return response.data.data.invitation;
+  } catch (error) {
+    console.error('拒绝群组邀请失败', error);
     throw error;
   }
 };
@@ -93,16 +134,113 @@ export const removeMemberFromGroup = async (groupId, userId) => {
 };
 
 // 加入群组
-export const joinGroup = async (groupId) => {
+// 需要审核的群组返回 { request }，其他情况返回 { group }
+export const joinGroup = async (groupId, message = '') => {
   try {
     const response = await axios.post(
       `/api/groups/${groupId}/join`,
+      { message },
+      getAuthConfig()
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('加入群组失败', error);
+    throw error;
+  }
+};
+
+// 获取入群申请列表（仅管理员）
+export const getJoinRequests = async (groupId, status = 'pending') => {
+  try {
+    const response = await axios.get(
+      `/api/groups/${groupId}/join-requests?status=${status}`,
+      getAuthConfig()
+    );
+    return response.data.data.requests;
+  } catch (error) {
+    console.error('获取入群申请失败', error);
+    throw error;
+  }
+};
+
+// 同意入群申请
+export const approveJoinRequest = async (groupId, requestId) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/${groupId}/join-requests/${requestId}/approve`,
+      {},
+      getAuthConfig()
+    );
+    return response.data.data.request;
+  } catch (error) {
+    console.error('同意入群申请失败', error);
+    throw error;
+  }
+};
+
+// 拒绝入群申请
+export const rejectJoinRequest = async (groupId, requestId) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/${groupId}/join-requests/${requestId}/reject`,
+      {},
+      getAuthConfig()
+    );
+    return response.data.data.request;
+  } catch (error) {
+    console.error('拒绝入群申请失败', error);
+    throw error;
+  }
+};
+
+// 创建群组邀请链接（仅管理员），options可包含expiresAt和maxUses
+export const createGroupInvite = async (groupId, options = {}) => {
+  try {
+    const response = await axios.post(
+      `/api/groups/${groupId}/invites`,
+      options,
+      getAuthConfig()
+    );
+    return response.data.data.invite;
+  } catch (error) {
+    console.error('创建群组邀请失败', error);
+    throw error;
+  }
+};
+
+// 获取群组邀请列表（仅管理员）
+export const getGroupInvites = async (groupId) => {
+  try {
+    const response = await axios.get(`/api/groups/${groupId}/invites`, getAuthConfig());
+    return response.data.data.invites;
+  } catch (error) {
+    console.error('获取群组邀请失败', error);
+    throw error;
+  }
+};
+
+// 撤销群组邀请
+export const revokeGroupInvite = async (groupId, inviteId) => {
+  try {
+    const response = await axios.delete(`/api/groups/${groupId}/invites/${inviteId}`, getAuthConfig());
+    return response.data.data.invite;
+  } catch (error) {
+    console.error('撤销群组邀请失败', error);
+    throw error;
+  }
+};
+
+// 通过邀请链接加入群组
+export const joinGroupByInvite = async (token) => {
+  try {
+    const response = await axios.post(
+      `/api/groups/join-by-invite/${token}`,
       {},
       getAuthConfig()
     );
     return response.data.data.group;
   } catch (error) {
-    console.error('加入群组失败', error);
+    console.error('通过邀请加入群组失败', error);
     throw error;
   }
 };
@@ -151,6 +289,94 @@ export const removeGroupAdmin = async (groupId, userId) => {
   }
 };
 
+// 获取群组权限矩阵，返回可配置的权限列表和各角色的权限
+export const getGroupRoles = async (groupId) => {
+  try {
+    const response = await axios.get(`/api/groups/${groupId}/roles`, getAuthConfig());
+    return response.data.data;
+  } catch (error) {
+    console.error('获取群组角色失败', error);
+    throw error;
+  }
+};
+
+// 设置角色权限，roleName为admin或member时覆盖默认权限，其他名称创建或更新自定义角色
+export const setGroupRolePermissions = async (groupId, roleName, permissions) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/${groupId}/roles/${encodeURIComponent(roleName)}`,
+      { permissions },
+      getAuthConfig()
+    );
+    return response.data.data.roles;
+  } catch (error) {
+    console.error('设置角色权限失败', error);
+    throw error;
+  }
+};
+
+// 删除自定义角色，或恢复admin、member的默认权限
+export const deleteGroupRole = async (groupId, roleName) => {
+  try {
+    const response = await axios.delete(
+      `/api/groups/${groupId}/roles/${encodeURIComponent(roleName)}`,
+      getAuthConfig()
+    );
+    return response.data.data.roles;
+  } catch (error) {
+    console.error('删除角色失败', error);
+    throw error;
+  }
+};
+
+// 设置成员角色
+export const setGroupMemberRole = async (groupId, userId, role) => {
+  try {
+    const response = await axios.put(
+      `/api/groups/${groupId}/members/${userId}/role`,
+      { role },
+      getAuthConfig()
+    );
+    return response.data.data.member;
+  } catch (error) {
+    console.error('设置成员角色失败', error);
+    throw error;
+  }
+};
+
+// 获取群组置顶消息
+export const getPinnedMessages = async (groupId) => {
+  try {
+    const response = await axios.get(`/api/groups/${groupId}/pins`, getAuthConfig());
+    return response.data.data.pins;
+  } catch (error) {
+    console.error('获取置顶消息失败', error);
+    throw error;
+  }
+};
+
+// 置顶群组消息
+export const pinGroupMessage = async (groupId, messageId) => {
+  try {
+    const response = await axios.post(`/api/groups/${groupId}/pins/${messageId}`, {}, getAuthConfig());
+    return response.data.data.pinnedMessages;
+  } catch (error) {
+    console.error('置顶消息失败', error);
+    throw error;
+  }
+};
+
+// 取消置顶群组消息
+export const unpinGroupMessage = async (groupId, messageId) => {
+  try {
+    const response = await axios.delete(`/api/groups/${groupId}/pins/${messageId}`, getAuthConfig());
+    return response.data.data.pinnedMessages;
+  } catch (error) {
+    console.error('取消置顶消息失败', error);
+    throw error;
+  }
+};
+
 // 搜索群组
 export const searchGroups = async (keyword) => {
   try {
@@ -8,6 +8,23 @@ const getAuthConfig = () => {
   };
 };
 
+// 按游标分页获取会话的消息历史，type为'private'或'group'
+// options可包含before、after、around（分页游标、消息ID或时间，最多指定一个）和limit，
+// 返回 { messages, hasOlder, hasNewer, prevCursor, nextCursor }，将prevCursor作为before、nextCursor作为after继续加载
+export const getConversationHistory = async (type, id, options = {}) => {
+  try {
+    const url = type === 'group' ? `/api/messages/group/history/${id}` : `/api/messages/history/${id}`;
+    const response = await axios.get(url, {
+      ...getAuthConfig(),
+      params: options
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('获取消息历史失败', error);
+    throw error;
+  }
+};
+
 // 获取与特定用户的消息历史
 export const getMessageHistory = async (userId, limit = 50, skip = 0) => {
   try {
@@ -42,7 +59,7 @@ export const getMessageHistoryByTimeRange = async (userId, startDate, endDate, l
 export const loadMoreMessages = async (userId, oldestMessageId, limit = 20) => {
   try {
     const response = await axios.get(
-      `/api/messages/history/${userId}/before/${oldestMessageId}?limit=${limit}`,
+      `/api/messages/history/${userId}?before=${oldestMessageId}&limit=${limit}`,
       getAuthConfig()
     );
     return response.data.data.messages;
@@ -52,12 +69,12 @@ export const loadMoreMessages = async (userId, oldestMessageId, limit = 20) => {
   }
 };
 
-// 发送消息给用户
-export const sendMessage = async (receiverId, content, type = 'text') => {
+// 发送消息给用户，replyTo为引用（回复）的消息ID，attachmentId为已上传的附件ID
+export const sendMessage = async (receiverId, content, type = 'text', replyTo, attachmentId) => {
   try {
     const response = await axios.post(
       '/api/messages/send',
-      { receiverId, content, type },
+      { receiverId, content, type, replyTo, attachmentId },
       getAuthConfig()
     );
     return response.data.data.message;
@@ -67,12 +84,12 @@ export const sendMessage = async (receiverId, content, type = 'text') => {
   }
 };
 
-// 发送消息给群组
-export const sendGroupMessage = async (groupId, content, type = 'text') => {
+// 发送消息给群组，replyTo为引用（回复）的消息ID，attachmentId为已上传的附件ID
+export const sendGroupMessage = async (groupId, content, type = 'text', replyTo, attachmentId) => {
   try {
     const response = await axios.post(
       '/api/messages/group/send',
-      { groupId, content, type },
+      { groupId, content, type, replyTo, attachmentId },
       getAuthConfig()
     );
     return response.data.data.message;
@@ -82,14 +99,146 @@ export const sendGroupMessage = async (groupId, content, type = 'text') => {
   }
 };
 
-// 获取消息轮询
-export const pollMessages = async (sessionId, timeout = 30000) => {
+// 上传附件，返回附件信息和限时下载链接
+export const uploadAttachment = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    
+    const response = await axios.post('/api/uploads', formData, getAuthConfig());
+    return response.data.data;
+  } catch (error) {
+    console.error('上传附件失败', error);
+    throw error;
+  }
+};
+
+// 获取附件信息和限时下载链接
+export const getAttachment = async (attachmentId) => {
+  try {
+    const response = await axios.get(`/api/uploads/${attachmentId}`, getAuthConfig());
+    return response.data.data;
+  } catch (error) {
+    console.error('获取附件失败', error);
+    throw error;
+  }
+};
+
+// 搜索消息，filters可包含conversationType、conversationId、senderId、type、startDate、endDate、limit和cursor
+export const searchMessages = async (q, filters = {}) => {
+  try {
+    const response = await axios.get('/api/messages/search', {
+      ...getAuthConfig(),
+      params: { q, ...filters }
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('搜索消息失败', error);
+    throw error;
+  }
+};
+
+// 获取消息的回复列表
+export const getMessageThread = async (messageId, limit = 50, skip = 0) => {
   try {
     const response = await axios.get(
-      `/api/poll/messages?sessionId=${sessionId}&timeout=${timeout}`,
+      `/api/messages/${messageId}/thread?limit=${limit}&skip=${skip}`,
+      getAuthConfig()
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error('获取回复列表失败', error);
+    throw error;
+  }
+};
+
+// 将会话标记为已读，type为'private'或'group'，upTo为读到的消息ID或时间戳，不传时标记到最新消息
+export const markConversationRead = async (type, id, upTo) => {
+  try {
+    const response = await axios.put(
+      `/api/messages/conversations/${type}/${id}/read`,
+      { upTo },
       getAuthConfig()
     );
     return response.data.data;
+  } catch (error) {
+    console.error('标记会话已读失败', error);
+    throw error;
+  }
+};
+
+// 添加表情回应，返回更新后的表情回应列表
+export const addReaction = async (messageId, emoji) => {
+  try {
+    const response = await axios.post(
+      `/api/messages/${messageId}/reactions`,
+      { emoji },
+      getAuthConfig()
+    );
+    return response.data.data.reactions;
+  } catch (error) {
+    console.error('添加表情回应失败', error);
+    throw error;
+  }
+};
+
+// 移除表情回应，返回更新后的表情回应列表
+export const removeReaction = async (messageId, emoji) => {
+  try {
+    const response = await axios.delete(
+      `/api/messages/${messageId}/reactions?emoji=${encodeURIComponent(emoji)}`,
+      getAuthConfig()
+    );
+    return response.data.data.reactions;
+  } catch (error) {
+    console.error('移除表情回应失败', error);
+    throw error;
+  }
+};
+
+// 编辑已发送的消息（仅限发送后的一段时间内）
+export const editMessage = async (messageId, content) => {
+  try {
+    const response = await axios.put(
+      `/api/messages/${messageId}`,
+      { content },
+      getAuthConfig()
+    );
+    return response.data.data.message;
+  } catch (error) {
+    console.error('编辑消息失败', error);
+    throw error;
+  }
+};
+
+// 删除消息，mode为'me'时仅对自己删除，为'everyone'时撤回
+export const deleteMessage = async (messageId, mode = 'me') => {
+  try {
+    const response = await axios.delete(
+      `/api/messages/${messageId}?mode=${mode}`,
+      getAuthConfig()
+    );
+    return response.data;
+  } catch (error) {
+    console.error('删除消息失败', error);
+    throw error;
+  }
+};
+
+// 获取消息轮询
+// 传入ack（首次为0，之后为上一次返回的cursor）时启用确认投递，未确认的消息会在下一次轮询中重新返回
+export const pollMessages = async (sessionId, timeout = 30000, ack) => {
+  try {
+    const ackParam = ack !== undefined ? `&ack=${ack}` : '';
+    const response = await axios.get(
+      `/api/poll/messages?sessionId=${sessionId}&timeout=${timeout}${ackParam}`,
+      getAuthConfig()
+    );
+    if (response.status === 204) {
+      // 超时，没有新消息，游标保持不变
+      return { messages: [], systemMessages: [], notifications: [], cursor: ack };
+    }
+    return { ...response.data.data, cursor: response.data.cursor };
   } catch (error) {
     if (error.response && error.response.status === 204) {
       // 超时，没有新消息
@@ -100,6 +249,54 @@ export const pollMessages = async (sessionId, timeout = 30000) => {
   }
 };
 
+// 订阅服务器推送的消息流（Server-Sent Events），可替代轮询
+// handlers 可包含 onSession、onMessage、onSystemMessage、onStatusChange、onTyping、onError
+// 断线后浏览器会携带Last-Event-ID自动重连，服务器据此补发消息
+export const openMessageStream = (sessionId, handlers = {}) => {
+  const token = localStorage.getItem('token');
+  const params = new URLSearchParams({ token });
+  if (sessionId) {
+    params.append('sessionId', sessionId);
+  }
+  
+  const source = new EventSource(`/api/poll/stream?${params.toString()}`);
+  const listen = (event, handler) => {
+    if (handler) {
+      source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+    }
+  };
+  
+  listen('session', handlers.onSession);
+  listen('message', handlers.onMessage);
+  listen('system', handlers.onSystemMessage);
+  listen('status_change', handlers.onStatusChange);
+  listen('typing', handlers.onTyping);
+  
+  source.onerror = (error) => {
+    console.error('消息流连接异常', error);
+    if (handlers.onError) {
+      handlers.onError(error);
+    }
+  };
+  
+  return source;
+};
+
+// 发送正在输入状态，conversationType为'private'或'group'，state为'typing'或'stopped'
+export const sendTyping = async (conversationType, conversationId, state = 'typing') => {
+  try {
+    const response = await axios.post(
+      '/api/poll/typing',
+      { conversationType, conversationId, state },
+      getAuthConfig()
+    );
+    return response.data;
+  } catch (error) {
+    console.error('发送输入状态失败', error);
+    throw error;
+  }
+};
+
 // 注册轮询会话
 export const registerPollSession = async () => {
   try {
@@ -189,7 +386,7 @@ export const getGroupMessageHistoryByTimeRange = async (groupId, startDate, endD
 export const loadMoreGroupMessages = async (groupId, oldestMessageId, limit = 20) => {
   try {
     const response = await axios.get(
-      `/api/messages/group/history/${groupId}/before/${oldestMessageId}?limit=${limit}`,
+      `/api/messages/group/history/${groupId}?before=${oldestMessageId}&limit=${limit}`,
       getAuthConfig()
     );
     return response.data.data.messages;
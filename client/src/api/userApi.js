@@ -0,0 +1,54 @@
+import axios from 'axios';
+
+// 获取请求头配置
+const getAuthConfig = () => {
+  const token = localStorage.getItem('token');
+  return {
+    headers: { Authorization: `Bearer ${token}` }
+  };
+};
+
+// 获取黑名单
+export const getBlockedUsers = async () => {
+  try {
+    const response = await axios.get('/api/users/blocks', getAuthConfig());
+    return response.data.data.users;
+  } catch (error) {
+    console.error('获取黑名单失败', error);
+    throw error;
+  }
+};
+
+// 将用户加入黑名单
+export const blockUser = async (userId) => {
+  try {
+    const response = await axios.post(`/api/users/blocks/${userId}`, {}, getAuthConfig());
+    return response.data;
+  } catch (error) {
+    console.error('加入黑名单失败', error);
+    throw error;
+  }
+};
+
+// 将用户移出黑名单
+export const unblockUser = async (userId) => {
+  try {
+    const response = await axios.delete(`/api/users/blocks/${userId}`, getAuthConfig());
+    return response.data;
+  } catch (error) {
+    console.error('移出黑名单失败', error);
+    throw error;
+  }
+};
+
+// 更新隐私设置，settings可包含messagePermission（everyone或friends）、hideOnlineStatus
+// 和groupInvitePermission（everyone、friends或nobody）
+export const updatePrivacySettings = async (settings) => {
+  try {
+    const response = await axios.put('/api/users/privacy', settings, getAuthConfig());
+    return response.data.data.privacy;
+  } catch (error) {
+    console.error('更新隐私设置失败', error);
+    throw error;
+  }
+};
@@ -97,13 +97,10 @@ export const GroupProvider = ({ children }) => {
   // 添加成员到群组
   const addMemberToGroup = async (groupId, userId, nickname) => {
     try {
-      const updatedGroup = await groupApi.addMemberToGroup(groupId, userId, nickname);
-      setGroups(prev => 
-        prev.map(group => group._id === groupId ? updatedGroup : group)
-      );
-      return updatedGroup;
+      // 只发送邀请，对方接受后才会加入，群组成员暂不变化
+      return await groupApi.addMemberToGroup(groupId, userId, nickname);
     } catch (err) {
-      setError(err.response?.data?.message || '添加成员失败');
+      setError(err.response?.data?.message || '邀请成员失败');
       throw err;
     }
   };
@@ -121,11 +118,14 @@ export const GroupProvider = ({ children }) => {
   };
 
   // 加入群组
-  const joinGroup = async (groupId) => {
+  const joinGroup = async (groupId, message) => {
     try {
-      const group = await groupApi.joinGroup(groupId);
-      setGroups(prev => [...prev, group]);
-      return group;
+      const { group, request } = await groupApi.joinGroup(groupId, message);
+      // 需要审核的群组只提交了申请，审核通过后才会加入
+      if (group) {
+        setGroups(prev => [...prev, group]);
+      }
+      return group || request;
     } catch (err) {
       setError(err.response?.data?.message || '加入群组失败');
       throw err;
@@ -1,4 +1,5 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { decode as decodeBlurhash } from 'blurhash';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useFriend } from '../contexts/FriendContext';
@@ -60,8 +61,104 @@ const extractId = (obj) => {
   return null;
 };
 
+// 持续输入时重新发送正在输入状态的间隔（服务器端约8秒过期）
+const TYPING_RESEND_INTERVAL = 3000;
+
+// 快捷表情回应
+const QUICK_REACTIONS = ['👍', '✅', '❤️', '😄'];
+
+// 图片消息在气泡中的最大显示宽度
+const IMAGE_PREVIEW_WIDTH = 240;
+
+// 将BlurHash解码为图片地址，作为缩略图加载前的占位
+const useBlurhashUrl = (blurhash, width, height) => {
+  return useMemo(() => {
+    if (!blurhash || !width || !height) return null;
+    
+    try {
+      const previewWidth = 32;
+      const previewHeight = Math.max(1, Math.round(previewWidth * height / width));
+      const pixels = decodeBlurhash(blurhash, previewWidth, previewHeight);
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = previewWidth;
+      canvas.height = previewHeight;
+      const context = canvas.getContext('2d');
+      const imageData = context.createImageData(previewWidth, previewHeight);
+      imageData.data.set(pixels);
+      context.putImageData(imageData, 0, 0);
+      
+      return canvas.toDataURL();
+    } catch (error) {
+      return null;
+    }
+  }, [blurhash, width, height]);
+};
+
+// 图片和文件消息的附件，渲染时获取限时下载链接
+// 图片优先显示缩略图，加载前按原图比例显示模糊占位图
+const AttachmentContent = ({ attachment }) => {
+  const [urls, setUrls] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const placeholder = useBlurhashUrl(attachment.blurhash, attachment.width, attachment.height);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    messageApi.getAttachment(attachment.attachmentId)
+      .then(data => {
+        if (!cancelled) {
+          setUrls(data);
+        }
+      })
+      .catch(() => {});
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment.attachmentId]);
+  
+  if (attachment.mimeType && attachment.mimeType.startsWith('image/')) {
+    const thumbnailUrls = (urls && urls.thumbnailUrls) || {};
+    const previewUrl = thumbnailUrls.medium || thumbnailUrls.small || (urls && urls.url);
+    const width = attachment.width ? Math.min(attachment.width, IMAGE_PREVIEW_WIDTH) : IMAGE_PREVIEW_WIDTH;
+    const style = attachment.width && attachment.height
+      ? { width, height: Math.round(width * attachment.height / attachment.width) }
+      : { width };
+    
+    return (
+      <a href={urls ? urls.url : undefined} target="_blank" rel="noopener noreferrer" className="block max-w-full">
+        <div
+          className="relative rounded overflow-hidden bg-cover max-w-full"
+          style={{ ...style, backgroundImage: placeholder && !loaded ? `url(${placeholder})` : undefined }}
+        >
+          {previewUrl && (
+            <img
+              src={previewUrl}
+              alt={attachment.fileName}
+              onLoad={() => setLoaded(true)}
+              className={`w-full h-full object-cover ${loaded ? '' : 'opacity-0'}`}
+            />
+          )}
+        </div>
+      </a>
+    );
+  }
+  
+  return (
+    <a href={url || undefined} download={attachment.fileName} className="underline break-all">
+      {attachment.fileName}（{Math.max(1, Math.round(attachment.size / 1024))} KB）
+    </a>
+  );
+};
+
 // 消息气泡组件
-const MessageBubble = ({ message, isOwnMessage, currentUser }) => {
+const MessageBubble = ({ message, isOwnMessage, currentUser, onReply, onToggleReaction }) => {
+  // 是否展开快捷表情
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  // 是否展开编辑历史
+  const [showEditHistory, setShowEditHistory] = useState(false);
+  
   // 格式化时间
   const formatTime = (dateString) => {
     const date = new Date(dateString);
@@ -107,12 +204,126 @@ const MessageBubble = ({ message, isOwnMessage, currentUser }) => {
         {!isSentByCurrentUser && (
           <p className="text-xs font-semibold mb-1">{sender.username || '未知用户'}</p>
         )}
-        <p className="break-words">{message.content}</p>
+        {message.replyTo && typeof message.replyTo === 'object' && (
+          <div className={`mb-2 pl-2 border-l-2 text-xs ${
+            isSentByCurrentUser ? 'border-blue-200 text-blue-100' : 'border-gray-400 text-gray-600'
+          }`}>
+            <p className="font-semibold">
+              {(message.replyTo.sender && message.replyTo.sender.username) || '未知用户'}
+            </p>
+            <p className="truncate">{message.replyTo.content}</p>
+          </div>
+        )}
+        {message.metadata && message.metadata.attachmentId ? (
+          <AttachmentContent attachment={message.metadata} />
+        ) : (
+          <p className={`break-words ${message.recalledAt ? 'italic opacity-75' : ''}`}>{message.content}</p>
+        )}
+        {message.metadata && message.metadata.linkPreview && (
+          <a
+            href={message.metadata.linkPreview.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className={`block mt-2 p-2 rounded border text-xs ${
+              isSentByCurrentUser ? 'border-blue-300 bg-blue-400 text-white' : 'border-gray-300 bg-white text-gray-700'
+            }`}
+          >
+            {message.metadata.linkPreview.image && (
+              <img
+                src={message.metadata.linkPreview.image}
+                alt=""
+                referrerPolicy="no-referrer"
+                className="w-full max-h-32 object-cover rounded mb-1"
+              />
+            )}
+            <p className="font-semibold">{message.metadata.linkPreview.title}</p>
+            {message.metadata.linkPreview.description && (
+              <p className="mt-1 opacity-75 line-clamp-2">{message.metadata.linkPreview.description}</p>
+            )}
+            <p className="mt-1 opacity-60">{message.metadata.linkPreview.siteName}</p>
+          </a>
+        )}
+        {showEditHistory && message.editHistory && message.editHistory.length > 0 && (
+          <div className={`mt-2 pt-2 border-t text-xs ${
+            isSentByCurrentUser ? 'border-blue-300 text-blue-100' : 'border-gray-300 text-gray-500'
+          }`}>
+            {message.editHistory.map((revision, index) => (
+              <p key={index} className="break-words">
+                <span className="mr-1">{formatTime(revision.createdAt)}</span>
+                <span className="line-through">{revision.content}</span>
+              </p>
+            ))}
+          </div>
+        )}
         <p className={`text-xs mt-1 text-right ${
           isSentByCurrentUser ? 'text-blue-100' : 'text-gray-500'
         }`}>
+          {onReply && !message.recalledAt && (
+            <button
+              type="button"
+              onClick={() => onReply(message)}
+              className="mr-1 underline"
+            >
+              回复
+            </button>
+          )}
+          {message.editedAt && (
+            <button
+              type="button"
+              onClick={() => setShowEditHistory(!showEditHistory)}
+              className="mr-1 underline"
+              title={`编辑于 ${formatTime(message.editedAt)}，点击查看编辑历史`}
+            >
+              已编辑
+            </button>
+          )}
+          {onToggleReaction && !message.recalledAt && (
+            <button
+              type="button"
+              onClick={() => setShowReactionPicker(!showReactionPicker)}
+              className="mr-1 underline"
+            >
+              回应
+            </button>
+          )}
           {formatTime(message.createdAt)}
         </p>
+        {showReactionPicker && (
+          <div className="flex mt-1 space-x-1">
+            {QUICK_REACTIONS.map(emoji => (
+              <button
+                key={emoji}
+                type="button"
+                onClick={() => {
+                  setShowReactionPicker(false);
+                  onToggleReaction(message, emoji);
+                }}
+                className="px-1 rounded bg-white bg-opacity-75 text-sm"
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+        {message.reactions && message.reactions.length > 0 && (
+          <div className="flex flex-wrap mt-1 gap-1">
+            {message.reactions.map(reaction => {
+              const reacted = reaction.users.some(user => extractId(user) === currentUserId);
+              return (
+                <button
+                  key={reaction.emoji}
+                  type="button"
+                  onClick={() => onToggleReaction && onToggleReaction(message, reaction.emoji)}
+                  className={`px-1 rounded text-xs ${
+                    reacted ? 'bg-yellow-200 text-gray-800' : 'bg-white bg-opacity-75 text-gray-700'
+                  }`}
+                >
+                  {reaction.emoji} {reaction.users.length}
+                </button>
+              );
+            })}
+          </div>
+        )}
       </div>
       {isSentByCurrentUser && (
         <div className="flex-shrink-0 ml-2">
@@ -142,6 +353,7 @@ const Chat = () => {
   }, [currentUser]);
   
   const [message, setMessage] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null); // 正在回复的消息
   const [messages, setMessages] = useState([]);
   const [activeContact, setActiveContact] = useState(null);
   const [contactType, setContactType] = useState('private'); // 'private' 或 'group'
@@ -150,8 +362,69 @@ const Chat = () => {
   const [loadingMessages, setLoadingMessages] = useState(false);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [hasMoreMessages, setHasMoreMessages] = useState(true);
+  // 正在输入的用户：会话键（类型:ID） => { 用户ID: { username, expiresAt } }
+  const [typingUsers, setTypingUsers] = useState({});
   const messageEndRef = useRef(null);
   const messageListRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  const fileInputRef = useRef(null);
+  
+  // 订阅消息流，接收其他成员的输入状态和链接预览
+  useEffect(() => {
+    const source = messageApi.openMessageStream(null, {
+      onSystemMessage: (systemMessage) => {
+        if (systemMessage.type !== 'link_preview') return;
+        
+        const { messageId, linkPreview } = systemMessage.metadata;
+        setMessages(prev => prev.map(item => (
+          item._id === messageId
+            ? { ...item, metadata: { ...item.metadata, linkPreview } }
+            : item
+        )));
+      },
+      onTyping: (event) => {
+        const key = `${event.conversationType}:${event.conversationId}`;
+        setTypingUsers(prev => {
+          const conversationTyping = { ...(prev[key] || {}) };
+          if (event.state === 'typing') {
+            conversationTyping[event.userId] = {
+              username: event.username,
+              expiresAt: new Date(event.expiresAt).getTime()
+            };
+          } else {
+            delete conversationTyping[event.userId];
+          }
+          return { ...prev, [key]: conversationTyping };
+        });
+      }
+    });
+    
+    return () => source.close();
+  }, []);
+  
+  // 定期清理已过期的输入状态
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setTypingUsers(prev => {
+        let changed = false;
+        const next = {};
+        Object.keys(prev).forEach(key => {
+          next[key] = {};
+          Object.keys(prev[key]).forEach(typingUserId => {
+            if (prev[key][typingUserId].expiresAt > now) {
+              next[key][typingUserId] = prev[key][typingUserId];
+            } else {
+              changed = true;
+            }
+          });
+        });
+        return changed ? next : prev;
+      });
+    }, 1000);
+    
+    return () => clearInterval(timer);
+  }, []);
   
   // 使用useCallback包装加载私聊消息历史函数
   const loadPrivateMessages = useCallback(async (userId) => {
@@ -533,10 +806,26 @@ const Chat = () => {
     messageEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
   
+  // 输入时通知对方正在输入，持续输入时按间隔重新发送
+  const handleMessageChange = (e) => {
+    setMessage(e.target.value);
+    
+    if (activeContact && activeContact.id && Date.now() - lastTypingSentRef.current > TYPING_RESEND_INTERVAL) {
+      lastTypingSentRef.current = Date.now();
+      messageApi.sendTyping(contactType, activeContact.id, 'typing').catch(() => {});
+    }
+  };
+  
+  // 当前会话中正在输入的用户名
+  const activeTypingNames = activeContact
+    ? Object.values(typingUsers[`${contactType}:${activeContact.id}`] || {}).map(item => item.username)
+    : [];
+  
   // 选择联系人
   const handleSelectContact = (contact) => {
     setActiveContact(contact);
     setContactType(contact.type);
+    setReplyingTo(null);
     
     // 更新URL，不触发页面刷新
     if (contact.type === 'private') {
@@ -587,7 +876,12 @@ const Chat = () => {
       if (contactType === 'private') {
         // 发送私聊消息
         console.log('发送私聊消息给:', activeContact.id);
-        const sentMessage = await messageApi.sendMessage(activeContact.id, message);
+        const sentMessage = await messageApi.sendMessage(
+          activeContact.id,
+          message,
+          'text',
+          replyingTo ? replyingTo._id : undefined
+        );
         
         // 验证返回的消息对象有效性
         if (sentMessage && sentMessage._id) {
@@ -622,7 +916,12 @@ const Chat = () => {
       } else {
         // 发送群组消息
         console.log('发送群组消息给:', activeContact.id);
-        const sentMessage = await messageApi.sendGroupMessage(activeContact.id, message);
+        const sentMessage = await messageApi.sendGroupMessage(
+          activeContact.id,
+          message,
+          'text',
+          replyingTo ? replyingTo._id : undefined
+        );
         
         // 验证返回的消息对象有效性
         if (sentMessage && sentMessage._id) {
@@ -657,12 +956,65 @@ const Chat = () => {
       }
       
       setMessage('');
+      setReplyingTo(null);
+      
+      // 消息已发送，通知对方停止输入
+      lastTypingSentRef.current = 0;
+      messageApi.sendTyping(contactType, activeContact.id, 'stopped').catch(() => {});
     } catch (error) {
       console.error('发送消息失败:', error);
       alert('发送消息失败，请稍后重试');
     }
   };
   
+  // 上传选中的文件并作为图片或文件消息发送
+  const handleSelectFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    
+    if (!file || !currentUser || !activeContact || !activeContact.id) return;
+    
+    try {
+      const { attachment } = await messageApi.uploadAttachment(file);
+      const replyToId = replyingTo ? replyingTo._id : undefined;
+      const sentMessage = contactType === 'private'
+        ? await messageApi.sendMessage(activeContact.id, '', undefined, replyToId, attachment._id)
+        : await messageApi.sendGroupMessage(activeContact.id, '', undefined, replyToId, attachment._id);
+      
+      setMessages(prev => [...prev, {
+        ...sentMessage,
+        sender: {
+          _id: extractId(currentUser),
+          username: currentUser.username || '我',
+          avatar: currentUser.avatar || null
+        }
+      }]);
+      setReplyingTo(null);
+    } catch (error) {
+      console.error('发送附件失败:', error);
+      alert((error.response && error.response.data && error.response.data.message) || '发送附件失败，请稍后重试');
+    }
+  };
+  
+  // 切换当前用户对消息的表情回应
+  const handleToggleReaction = async (targetMessage, emoji) => {
+    const currUserId = extractId(currentUser);
+    const reaction = (targetMessage.reactions || []).find(item => item.emoji === emoji);
+    const reacted = reaction && reaction.users.some(user => extractId(user) === currUserId);
+    
+    try {
+      const reactions = reacted
+        ? await messageApi.removeReaction(targetMessage._id, emoji)
+        : await messageApi.addReaction(targetMessage._id, emoji);
+      
+      setMessages(prev => prev.map(msg => (
+        msg._id === targetMessage._id ? { ...msg, reactions } : msg
+      )));
+    } catch (error) {
+      console.error('更新表情回应失败:', error);
+    }
+  };
+  
   // 进入群组详情
   // eslint-disable-next-line no-unused-vars
   const handleViewGroupDetails = () => {
@@ -862,6 +1214,8 @@ const Chat = () => {
                     message={message}
                     isOwnMessage={currUserId === msgSenderId}
                     currentUser={currentUser}
+                    onReply={setReplyingTo}
+                    onToggleReaction={handleToggleReaction}
                   />
                 );
               })
@@ -872,11 +1226,44 @@ const Chat = () => {
         
         {/* 输入框 */}
         <div className="p-4 border-t border-secondary-200">
+          {activeTypingNames.length > 0 && (
+            <p className="mb-2 text-xs text-secondary-500">
+              {activeTypingNames.join('、')} 正在输入…
+            </p>
+          )}
+          {replyingTo && (
+            <div className="flex items-center justify-between mb-2 px-2 py-1 bg-secondary-100 rounded text-sm text-secondary-600">
+              <span className="truncate">
+                回复 {(replyingTo.sender && replyingTo.sender.username) || '未知用户'}：{replyingTo.content}
+              </span>
+              <button
+                type="button"
+                onClick={() => setReplyingTo(null)}
+                className="ml-2 text-secondary-500 hover:text-secondary-700"
+              >
+                取消
+              </button>
+            </div>
+          )}
           <form onSubmit={handleSendMessage} className="flex items-center">
+            <input
+              type="file"
+              ref={fileInputRef}
+              onChange={handleSelectFile}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current && fileInputRef.current.click()}
+              className="mr-2 text-secondary-500 hover:text-secondary-700 px-2 py-2"
+              title="发送图片或文件"
+            >
+              附件
+            </button>
             <input
               type="text"
               value={message}
-              onChange={(e) => setMessage(e.target.value)}
+              onChange={handleMessageChange}
               placeholder={contactType === 'private' ? '输入消息...' : '发送群组消息...'}
               className="flex-1 p-2 border border-secondary-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
             />
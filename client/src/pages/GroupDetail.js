@@ -162,8 +162,11 @@ const GroupDetail = () => {
         return '创建者';
       case 'admin':
         return '管理员';
-      default:
+      case 'member':
         return '成员';
+      default:
+        // 群组自定义角色直接显示角色名称
+        return role || '成员';
     }
   };
   
@@ -1,3 +1,8 @@
+// 服务端实例数，大于1时以集群模式运行，例如 PM2_INSTANCES=max npm run pm2:start
+// 集群模式下在线状态和消息唤醒需在实例间共享（MongoDB变更流需要副本集）
+const apiInstances = process.env.PM2_INSTANCES || 1;
+const isCluster = apiInstances === 'max' || parseInt(apiInstances) > 1;
+
 module.exports = {
   apps: [
     {
@@ -5,9 +10,12 @@ module.exports = {
       script: 'server/server.js',
       env: {
         NODE_ENV: 'production',
-        PORT: 3001
+        PORT: 3001,
+        PRESENCE_STORE: isCluster ? 'mongo' : 'memory',
+        MESSAGE_BUS: isCluster ? 'changestream' : 'memory'
       },
-      instances: 1,
+      instances: apiInstances,
+      exec_mode: isCluster ? 'cluster' : 'fork',
       autorestart: true,
       watch: false,
       max_memory_restart: '1G',
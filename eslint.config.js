@@ -0,0 +1,41 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    // 前端和发布包有各自的构建配置
+    ignores: ['client/**', 'release/**', 'uploads/**', 'coverage/**']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: {
+        ...globals.node
+      }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['server/__tests__/**/*.js'],
+    languageOptions: {
+      globals: {
+        ...globals.jest
+      }
+    }
+  },
+  {
+    // CloudFlare Workers使用ES模块，运行在Service Worker环境中
+    files: ['workers/**/*.js'],
+    languageOptions: {
+      sourceType: 'module',
+      globals: {
+        ...globals.serviceworker
+      }
+    }
+  }
+];
@@ -0,0 +1,23 @@
+// 为启用中文搜索之前发送的消息补充检索词元，升级后执行一次即可
+// 用法: node scripts/backfill-search-tokens.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../server/config/db');
+const Message = require('../server/models/Message');
+
+const run = async () => {
+  await connectDB();
+
+  // 同时建立全文索引，避免服务尚未启动过时搜索接口无法使用
+  await Message.syncIndexes();
+
+  const total = await Message.backfillSearchTokens();
+  console.log(`已为 ${total} 条消息补充检索词元`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,409 @@
+// 最近聊天列表（GET /api/messages/recent）的性能基准
+// 向本地MongoDB写入大量模拟消息，比较旧版聚合查询与基于会话记录和群组摘要的查询耗时
+//
+// 用法: node scripts/benchmark-recent.js [--messages 1000000] [--users 2000] [--groups 300]
+//         [--group-size 50] [--peers 10] [--sample 20] [--runs 5] [--skip-seed]
+//
+// 默认连接 mongodb://localhost:27017/winuc-chat-benchmark，可通过 BENCHMARK_MONGODB_URI 指定。
+// 写入数据前会清空该数据库，为避免误删业务数据，数据库名必须包含 benchmark。
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../server/models/User');
+const Group = require('../server/models/Group');
+const Message = require('../server/models/Message');
+const ReadCursor = require('../server/models/ReadCursor');
+const Conversation = require('../server/models/Conversation');
+const messageRoutes = require('../server/routes/message.routes');
+
+const DEFAULT_URI = 'mongodb://localhost:27017/winuc-chat-benchmark';
+const INSERT_BATCH_SIZE = 10000;
+// 模拟消息分布在最近30天内
+const TIME_SPAN = 30 * 24 * 60 * 60 * 1000;
+// 群组消息所占比例，其余为私聊消息
+const GROUP_MESSAGE_RATIO = 0.7;
+
+const parseArgs = () => {
+  const options = {
+    messages: 1000000,
+    users: 2000,
+    groups: 300,
+    groupSize: 50,
+    peers: 10,
+    sample: 20,
+    runs: 5,
+    skipSeed: false
+  };
+
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '').replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+    if (name === 'skipSeed') {
+      options.skipSeed = true;
+    } else if (name in options) {
+      options[name] = parseInt(args[++i]);
+    } else {
+      throw new Error(`未知参数: ${args[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const randomInt = max => Math.floor(Math.random() * max);
+const pick = items => items[randomInt(items.length)];
+
+// 从数组中随机选取count个不同的元素
+const sample = (items, count) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy.slice(0, count);
+};
+
+// 取有序数组中大于value的元素个数
+const countGreaterThan = (sortedValues, value) => {
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedValues[mid] <= value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return sortedValues.length - low;
+};
+
+const insertInBatches = async (model, docs) => {
+  for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+    await model.collection.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+  }
+};
+
+/**
+ * 写入模拟数据：用户、群组、消息，以及与消息一致的读取游标、会话记录和群组最后消息摘要
+ */
+async function seed(options) {
+  const startTime = Date.now() - TIME_SPAN;
+  const timeStep = TIME_SPAN / options.messages;
+
+  console.log(`写入 ${options.users} 个用户和 ${options.groups} 个群组...`);
+
+  const userIds = Array.from({ length: options.users }, () => new mongoose.Types.ObjectId());
+  await insertInBatches(User, userIds.map((_id, index) => ({
+    _id,
+    username: `bench_user_${index}`,
+    email: `bench_user_${index}@example.com`,
+    // 基准测试用户不会登录，不需要真实的密码哈希
+    password: 'benchmark',
+    status: 'offline',
+    friends: [],
+    friendGroups: [],
+    lastActive: new Date(),
+    createdAt: new Date(startTime),
+    updatedAt: new Date(startTime)
+  })));
+
+  const groups = Array.from({ length: options.groups }, (value, index) => {
+    const memberIds = sample(userIds, Math.min(options.groupSize, userIds.length));
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      name: `基准测试群组${index}`,
+      description: '这是一个群组',
+      creator: memberIds[0],
+      admins: [memberIds[0]],
+      members: memberIds.map((user, memberIndex) => ({
+        _id: new mongoose.Types.ObjectId(),
+        user,
+        nickname: '',
+        role: memberIndex === 0 ? 'creator' : 'member',
+        joinedAt: new Date(startTime)
+      })),
+      isPublic: true,
+      maxMembers: 500,
+      createdAt: new Date(startTime),
+      updatedAt: new Date(startTime)
+    };
+  });
+
+  // 每个用户与若干固定的联系人私聊
+  const privatePairs = [];
+  userIds.forEach((userId) => {
+    sample(userIds, options.peers + 1)
+      .filter(peerId => !peerId.equals(userId))
+      .slice(0, options.peers)
+      .forEach(peerId => privatePairs.push([userId, peerId]));
+  });
+
+  console.log(`写入 ${options.messages} 条消息...`);
+
+  // 记录每个会话的最后消息和私聊未读数，以及每个群组的消息时间，用于生成会话记录
+  const privateConversations = new Map();
+  const groupMessageTimes = new Map(groups.map(group => [group._id.toString(), []]));
+  const groupLastMessages = new Map();
+
+  const updatePrivateConversation = (userId, peerId, message, unread) => {
+    const key = `${userId}:${peerId}`;
+    const conversation = privateConversations.get(key) || { userId, peerId, unreadCount: 0 };
+    conversation.lastMessage = message._id;
+    conversation.lastMessageAt = message.createdAt;
+    conversation.unreadCount += unread ? 1 : 0;
+    privateConversations.set(key, conversation);
+  };
+
+  let batch = [];
+  for (let i = 0; i < options.messages; i++) {
+    const createdAt = new Date(startTime + Math.floor(i * timeStep));
+    const message = {
+      _id: new mongoose.Types.ObjectId(),
+      content: `基准测试消息 ${i} benchmark message`,
+      type: 'text',
+      isRead: true,
+      metadata: {},
+      reactions: [],
+      editHistory: [],
+      deletedFor: [],
+      createdAt,
+      updatedAt: createdAt
+    };
+
+    if (Math.random() < GROUP_MESSAGE_RATIO) {
+      const group = pick(groups);
+      message.group = group._id;
+      message.sender = pick(group.members).user;
+      groupMessageTimes.get(group._id.toString()).push(createdAt.getTime());
+      groupLastMessages.set(group._id.toString(), message);
+    } else {
+      const [userId, peerId] = pick(privatePairs);
+      const [sender, receiver] = Math.random() < 0.5 ? [userId, peerId] : [peerId, userId];
+      message.sender = sender;
+      message.receiver = receiver;
+      // 最近一天的部分消息未读
+      message.isRead = createdAt.getTime() < Date.now() - 24 * 60 * 60 * 1000 || Math.random() < 0.5;
+      updatePrivateConversation(sender, receiver, message, false);
+      updatePrivateConversation(receiver, sender, message, !message.isRead);
+    }
+
+    batch.push(message);
+    if (batch.length === INSERT_BATCH_SIZE) {
+      await Message.collection.insertMany(batch, { ordered: false });
+      batch = [];
+      if ((i + 1) % 100000 === 0) {
+        console.log(`  已写入 ${i + 1} 条`);
+      }
+    }
+  }
+  if (batch.length > 0) {
+    await Message.collection.insertMany(batch, { ordered: false });
+  }
+
+  // 群组最后消息摘要
+  groups.forEach((group) => {
+    const lastMessage = groupLastMessages.get(group._id.toString());
+    if (lastMessage) {
+      group.lastMessage = lastMessage._id;
+      group.lastMessageAt = lastMessage.createdAt;
+    }
+  });
+  await insertInBatches(Group, groups);
+
+  console.log('写入读取游标和会话记录...');
+
+  // 群组成员的读取游标随机落在最近两天内，未读数按游标之后的群组消息数估算
+  const readCursors = [];
+  const conversations = [];
+  groups.forEach((group) => {
+    const lastMessage = groupLastMessages.get(group._id.toString());
+    if (!lastMessage) {
+      return;
+    }
+
+    const times = groupMessageTimes.get(group._id.toString());
+    group.members.forEach(({ user }) => {
+      const lastReadAt = new Date(Date.now() - randomInt(2 * 24 * 60 * 60 * 1000));
+      readCursors.push({
+        _id: new mongoose.Types.ObjectId(),
+        user,
+        conversationType: 'group',
+        conversationId: group._id,
+        lastReadAt,
+        createdAt: lastReadAt,
+        updatedAt: lastReadAt
+      });
+      conversations.push({
+        _id: new mongoose.Types.ObjectId(),
+        user,
+        conversationType: 'group',
+        conversationId: group._id,
+        lastMessage: lastMessage._id,
+        lastMessageAt: lastMessage.createdAt,
+        unreadCount: countGreaterThan(times, lastReadAt.getTime()),
+        pinned: false,
+        archived: false,
+        sortOrder: 0,
+        createdAt: new Date(startTime),
+        updatedAt: lastMessage.createdAt
+      });
+    });
+  });
+
+  privateConversations.forEach(conversation => conversations.push({
+    _id: new mongoose.Types.ObjectId(),
+    user: conversation.userId,
+    conversationType: 'private',
+    conversationId: conversation.peerId,
+    lastMessage: conversation.lastMessage,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: conversation.unreadCount,
+    pinned: false,
+    archived: false,
+    sortOrder: 0,
+    createdAt: new Date(startTime),
+    updatedAt: conversation.lastMessageAt
+  }));
+
+  await insertInBatches(ReadCursor, readCursors);
+  await insertInBatches(Conversation, conversations);
+
+  // 写入完成后再建索引，比逐条维护索引快得多
+  console.log('建立索引...');
+  for (const model of [User, Group, Message, ReadCursor, Conversation]) {
+    await model.syncIndexes();
+  }
+}
+
+/**
+ * 旧版最近聊天列表的查询：对用户的私聊消息和全部群组消息各做一次聚合，旧版不统计群组未读数
+ * 与改为会话记录之前的 GET /api/messages/recent 的查询相同（省略响应格式化），用作对比基线
+ */
+async function legacyRecent(userId) {
+  const privateChats = await Message.aggregate([
+    {
+      $match: {
+        $or: [{ sender: userId }, { receiver: userId }],
+        group: { $exists: false }
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { $cond: [{ $eq: ['$sender', userId] }, '$receiver', '$sender'] },
+        lastMessage: { $first: '$$ROOT' },
+        unreadCount: {
+          $sum: {
+            $cond: [{ $and: [{ $eq: ['$receiver', userId] }, { $eq: ['$isRead', false] }] }, 1, 0]
+          }
+        }
+      }
+    },
+    { $sort: { 'lastMessage.createdAt': -1 } }
+  ]);
+
+  // 旧版先聚合全部群组的最后消息，再在内存中过滤出用户所在的群组
+  const groupChats = await Message.aggregate([
+    { $match: { group: { $exists: true, $ne: null } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$group', lastMessage: { $first: '$$ROOT' } } },
+    { $sort: { 'lastMessage.createdAt': -1 } }
+  ]);
+
+  await User.populate(privateChats, { path: '_id', select: 'username email avatar status lastActive' });
+  await User.populate(privateChats, { path: 'lastMessage.sender', select: 'username avatar' });
+  await User.populate(privateChats, { path: 'lastMessage.receiver', select: 'username avatar' });
+  await Group.populate(groupChats, { path: '_id', select: 'name description avatar memberCount' });
+
+  const userGroups = await Group.find({ 'members.user': userId }).select('_id');
+  const userGroupIds = userGroups.map(group => group._id.toString());
+  const filteredGroupChats = groupChats.filter(chat => userGroupIds.includes(chat._id._id.toString()));
+
+  await User.populate(filteredGroupChats, { path: 'lastMessage.sender', select: 'username avatar' });
+
+  return privateChats.length + filteredGroupChats.length;
+}
+
+// 直接调用当前 GET /api/messages/recent 的路由处理函数（跳过身份验证中间件）
+const recentLayer = messageRoutes.stack.find(layer => layer.route && layer.route.path === '/recent' && layer.route.methods.get);
+const recentHandler = recentLayer.route.stack[recentLayer.route.stack.length - 1].handle;
+
+function currentRecent(userId) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status() {
+        return res;
+      },
+      json(body) {
+        resolve(body.count);
+      }
+    };
+    recentHandler({ user: { _id: userId }, query: {} }, res, reject);
+  });
+}
+
+const summarize = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    平均: average.toFixed(1),
+    p50: percentile(0.5).toFixed(1),
+    p95: percentile(0.95).toFixed(1),
+    最大: sorted[sorted.length - 1].toFixed(1)
+  };
+};
+
+async function measure(name, fn, userIds, runs) {
+  const durations = [];
+  let chats = 0;
+
+  // 预热一次，排除首次查询加载索引和连接的开销
+  await fn(userIds[0]);
+
+  for (let run = 0; run < runs; run++) {
+    for (const userId of userIds) {
+      const start = process.hrtime.bigint();
+      chats += await fn(userId);
+      durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+  }
+
+  return { 查询方式: name, 平均会话数: (chats / durations.length).toFixed(1), ...summarize(durations) };
+}
+
+async function run() {
+  const options = parseArgs();
+  const uri = process.env.BENCHMARK_MONGODB_URI || DEFAULT_URI;
+
+  await mongoose.connect(uri);
+  const dbName = mongoose.connection.db.databaseName;
+  if (!dbName.includes('benchmark')) {
+    throw new Error(`数据库名 "${dbName}" 不包含 benchmark，为避免清空业务数据已停止`);
+  }
+
+  if (!options.skipSeed) {
+    await mongoose.connection.db.dropDatabase();
+    const seedStart = Date.now();
+    await seed(options);
+    console.log(`数据写入完成，用时 ${((Date.now() - seedStart) / 1000).toFixed(1)} 秒`);
+  }
+
+  const messageCount = await Message.estimatedDocumentCount();
+  const userIds = (await User.aggregate([{ $sample: { size: options.sample } }, { $project: { _id: 1 } }]))
+    .map(user => user._id);
+
+  console.log(`\n消息总数 ${messageCount}，抽取 ${userIds.length} 个用户，每个用户查询 ${options.runs} 次（单位：毫秒）`);
+  console.table([
+    await measure('旧版聚合查询', legacyRecent, userIds, options.runs),
+    await measure('会话记录查询', currentRecent, userIds, options.runs)
+  ]);
+
+  await mongoose.disconnect();
+}
+
+run().catch(async (err) => {
+  console.error(err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// 为升级前产生的消息建立会话记录和群组最后消息摘要，最近聊天列表改为读取会话记录后执行一次即可
+// 用法: node scripts/rebuild-conversations.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../server/config/db');
+require('../server/models/Message');
+require('../server/models/ReadCursor');
+const Group = require('../server/models/Group');
+const User = require('../server/models/User');
+const Conversation = require('../server/models/Conversation');
+
+const run = async () => {
+  await connectDB();
+  await Conversation.syncIndexes();
+  await Group.syncIndexes();
+
+  let groups = 0;
+  for await (const group of Group.find().select('_id').cursor()) {
+    await Group.refreshLastMessage(group._id);
+    groups++;
+  }
+  console.log(`已更新 ${groups} 个群组的最后消息`);
+
+  let users = 0;
+  let conversations = 0;
+
+  for await (const user of User.find().select('_id').cursor()) {
+    conversations += await Conversation.rebuildForUser(user._id);
+    users++;
+  }
+
+  console.log(`已为 ${users} 个用户建立 ${conversations} 个会话`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+// 启动两个本地实例，验证多实例部署时的状态通知和消息唤醒可以跨实例送达
+// 需要以副本集方式运行的MongoDB，会在MONGODB_URI指向的数据库中注册两个测试用户，请使用测试库
+// 用法: MONGODB_URI=mongodb://localhost:27017/winuc-chat-test?replicaSet=rs0 node scripts/verify-cluster.js
+require('dotenv').config();
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORTS = [
+  parseInt(process.env.VERIFY_PORT_A) || 3101,
+  parseInt(process.env.VERIFY_PORT_B) || 3102
+];
+// 实例启动的最长等待时间
+const STARTUP_TIMEOUT = 30000;
+// 跨实例唤醒的最长允许延迟，远小于长轮询超时，超过说明只能靠超时后的下一次轮询收到
+const MAX_WAKEUP_DELAY = 5000;
+// 长轮询超时
+const POLL_TIMEOUT = 20000;
+
+const children = [];
+
+// 启动一个实例，输出启动完成日志后返回
+const startInstance = port => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '../server/server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      PRESENCE_STORE: 'mongo',
+      MESSAGE_BUS: 'changestream'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  children.push(child);
+
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`实例 ${port} 启动超时:\n${output}`)), STARTUP_TIMEOUT);
+  const onData = (chunk) => {
+    output += chunk;
+    if (output.includes('服务器运行在')) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  };
+
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`实例 ${port} 已退出（代码 ${code}）:\n${output}`));
+  });
+});
+
+// 发送JSON请求，返回状态码和响应体
+const request = (port, method, urlPath, { token, body } = {}) => new Promise((resolve, reject) => {
+  const payload = body ? JSON.stringify(body) : null;
+  const req = http.request({
+    host: '127.0.0.1',
+    port,
+    method,
+    path: urlPath,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+    }
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+  });
+
+  req.on('error', reject);
+  if (payload) {
+    req.write(payload);
+  }
+  req.end();
+});
+
+const expectStatus = (result, status, action) => {
+  if (result.status !== status) {
+    throw new Error(`${action}失败: ${result.status} ${JSON.stringify(result.body)}`);
+  }
+  return result.body;
+};
+
+const registerUser = async (port, name) => {
+  const body = expectStatus(await request(port, 'POST', '/api/auth/register', {
+    body: { username: name, email: `${name}@example.com`, password: 'verify123' }
+  }), 201, `注册用户 ${name} `);
+  return { id: body.data.user.id, token: body.data.token };
+};
+
+const poll = (port, token, sessionId, timeout = POLL_TIMEOUT) =>
+  request(port, 'GET', `/api/poll/messages?sessionId=${sessionId}&timeout=${timeout}`, { token });
+
+// 取走积压的消息，直到长轮询超时返回204
+const drain = async (port, token, sessionId) => {
+  while ((await poll(port, token, sessionId, 500)).status !== 204) {
+    // 继续读取
+  }
+};
+
+// 发起长轮询，执行操作后等待长轮询返回符合条件的数据，返回延迟
+const expectWakeup = async (port, token, sessionId, action, predicate, description) => {
+  const pending = poll(port, token, sessionId);
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const startedAt = Date.now();
+  await action();
+  const result = await pending;
+  const delay = Date.now() - startedAt;
+
+  if (result.status !== 200 || !predicate(result.body.data)) {
+    throw new Error(`${description}未送达: ${result.status} ${JSON.stringify(result.body)}`);
+  }
+  if (delay > MAX_WAKEUP_DELAY) {
+    throw new Error(`${description}延迟 ${delay}ms，跨实例唤醒未生效`);
+  }
+
+  console.log(`✓ ${description}（${delay}ms）`);
+};
+
+const run = async () => {
+  const [portA, portB] = PORTS;
+  await Promise.all(PORTS.map(startInstance));
+  console.log(`已启动实例 ${portA} 和 ${portB}`);
+
+  const suffix = Date.now().toString(36);
+  const alice = await registerUser(portA, `va_${suffix}`);
+  const bob = await registerUser(portB, `vb_${suffix}`);
+
+  // 在不同实例上发送和接受好友请求
+  const friendRequest = expectStatus(await request(portA, 'POST', '/api/friends/request', {
+    token: alice.token,
+    body: { receiverId: bob.id }
+  }), 200, '发送好友请求');
+  expectStatus(await request(portB, 'PUT', `/api/friends/request/${friendRequest.data.request._id}/accept`, {
+    token: bob.token
+  }), 200, '接受好友请求');
+
+  const aliceSession = expectStatus(await request(portA, 'POST', '/api/poll/register', {
+    token: alice.token
+  }), 200, '注册长轮询会话').data.sessionId;
+  await drain(portA, alice.token, aliceSession);
+
+  // 好友在另一个实例上线，状态通知应立即唤醒本实例上等待中的长轮询
+  let bobSession;
+  await expectWakeup(portA, alice.token, aliceSession, async () => {
+    bobSession = expectStatus(await request(portB, 'POST', '/api/poll/register', {
+      token: bob.token
+    }), 200, '注册长轮询会话').data.sessionId;
+  }, data => data.notifications.some(n => n.type === 'status_change' && n.userId === bob.id), '跨实例状态通知');
+
+  // 好友在另一个实例上发送消息，消息入队应立即唤醒本实例上等待中的长轮询
+  const content = `cluster-check-${suffix}`;
+  await expectWakeup(portA, alice.token, aliceSession, async () => {
+    expectStatus(await request(portB, 'POST', '/api/messages/send', {
+      token: bob.token,
+      body: { receiverId: alice.id, content }
+    }), 201, '发送消息');
+  }, data => data.messages.some(m => m.content === content), '跨实例消息唤醒');
+
+  await request(portB, 'POST', '/api/poll/unregister', { token: bob.token, body: { sessionId: bobSession } });
+  await request(portA, 'POST', '/api/poll/unregister', { token: alice.token, body: { sessionId: aliceSession } });
+};
+
+run()
+  .then(() => {
+    console.log('多实例验证通过');
+    process.exitCode = 0;
+  })
+  .catch((err) => {
+    console.error('多实例验证失败:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    children.forEach(child => child.kill());
+  });
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+
+describe('Group 角色权限', () => {
+  const creatorId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+  const moderatorId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+
+  const createGroup = () => new Group({
+    name: '测试群组',
+    creator: creatorId,
+    admins: [adminId],
+    members: [
+      { user: creatorId, role: 'creator' },
+      { user: adminId, role: 'admin' },
+      { user: moderatorId, role: 'moderator' },
+      { user: memberId, role: 'member' }
+    ],
+    roles: [{ name: 'moderator', permissions: ['post', 'invite'] }]
+  });
+
+  test('权限矩阵依次列出内置角色和自定义角色，创建者始终拥有全部权限', () => {
+    const group = createGroup();
+    group.roles.push({ name: 'member', permissions: ['post', 'mentionAll'] });
+
+    expect(group.getPermissionMatrix()).toEqual([
+      { name: 'creator', builtin: true, permissions: Group.PERMISSIONS },
+      { name: 'admin', builtin: true, permissions: Group.PERMISSIONS },
+      { name: 'member', builtin: true, permissions: ['post', 'mentionAll'] },
+      { name: 'moderator', builtin: false, permissions: ['post', 'invite'] }
+    ]);
+  });
+
+  test('按有效角色检查权限，角色已删除的成员按普通成员处理', () => {
+    const group = createGroup();
+
+    expect(group.hasPermission(creatorId, 'recallMessages')).toBe(true);
+    expect(group.hasPermission(adminId, 'kick')).toBe(true);
+    expect(group.hasPermission(moderatorId, 'invite')).toBe(true);
+    expect(group.hasPermission(moderatorId, 'kick')).toBe(false);
+    expect(group.hasPermission(memberId, 'post')).toBe(true);
+    expect(group.hasPermission(memberId, 'invite')).toBe(false);
+    expect(group.hasPermission(new mongoose.Types.ObjectId(), 'post')).toBe(false);
+
+    group.roles = [];
+    expect(group.getEffectiveRole(moderatorId)).toBe('member');
+    expect(group.hasPermission(moderatorId, 'invite')).toBe(false);
+  });
+
+  test('只能移除角色等级低于自己的成员', () => {
+    const group = createGroup();
+
+    expect(group.outranks(creatorId, adminId)).toBe(true);
+    expect(group.outranks(adminId, moderatorId)).toBe(true);
+    expect(group.outranks(moderatorId, memberId)).toBe(true);
+    expect(group.outranks(moderatorId, adminId)).toBe(false);
+    expect(group.outranks(adminId, adminId)).toBe(false);
+    expect(group.outranks(adminId, creatorId)).toBe(false);
+    expect(group.outranks(adminId, new mongoose.Types.ObjectId())).toBe(false);
+  });
+
+  test('与Object原型属性同名的角色按自定义角色处理', () => {
+    const group = createGroup();
+    const constructorRoleId = new mongoose.Types.ObjectId();
+    group.members.push({ user: constructorRoleId, role: 'constructor' });
+    group.roles.push({ name: 'constructor', permissions: ['post'] });
+
+    expect(group.getEffectiveRole(constructorRoleId)).toBe('constructor');
+    expect(group.getRolePermissions('constructor')).toEqual(['post']);
+    expect(group.getRolePermissions('toString')).toEqual([]);
+    expect(group.getRolePermissions('__proto__')).toEqual([]);
+    expect(group.outranks(creatorId, constructorRoleId)).toBe(true);
+    expect(group.outranks(constructorRoleId, memberId)).toBe(true);
+    expect(group.outranks(constructorRoleId, moderatorId)).toBe(false);
+  });
+
+  test('拥有邀请权限的成员包括创建者、管理员和拥有该权限的自定义角色', () => {
+    const group = createGroup();
+
+    expect(group.getMembersWithPermission('invite')).toEqual([creatorId, adminId, moderatorId]);
+    expect(group.getMembersWithPermission('invite', moderatorId)).toEqual([creatorId, adminId]);
+  });
+});
@@ -0,0 +1,58 @@
+const sharp = require('sharp');
+const ImageProcessor = require('../utils/ImageProcessor');
+
+const XMP_MARKER = '<photoshop:City>Shanghai</photoshop:City>';
+
+// 生成三帧（红、绿、蓝）的GIF动图，每帧40x30
+const createAnimatedGif = async () => {
+  const frames = Buffer.concat(['#ff0000', '#00ff00', '#0000ff'].map(color => {
+    const frame = Buffer.alloc(40 * 30 * 3);
+    const rgb = Buffer.from(color.slice(1), 'hex');
+    for (let i = 0; i < frame.length; i += 3) {
+      rgb.copy(frame, i);
+    }
+    return frame;
+  }));
+
+  return sharp(frames, { raw: { width: 40, height: 90, channels: 3, pageHeight: 30 } })
+    .gif({ loop: 0, delay: [100, 100, 100] })
+    .toBuffer();
+};
+
+// 在全局颜色表之后插入携带XMP的应用扩展块
+const insertXmpExtension = (gif) => {
+  const packed = gif[10];
+  const colorTableSize = packed & 0x80 ? 3 * 2 ** ((packed & 0x07) + 1) : 0;
+  const offset = 13 + colorTableSize;
+
+  const payload = Buffer.from(XMP_MARKER, 'latin1');
+  const subBlocks = [];
+  for (let i = 0; i < payload.length; i += 255) {
+    const chunk = payload.subarray(i, i + 255);
+    subBlocks.push(Buffer.from([chunk.length]), chunk);
+  }
+  const extension = Buffer.concat([
+    Buffer.from([0x21, 0xff, 0x0b]),
+    Buffer.from('XMP DataXMP', 'latin1'),
+    ...subBlocks,
+    Buffer.from([0x00])
+  ]);
+
+  return Buffer.concat([gif.subarray(0, offset), extension, gif.subarray(offset)]);
+};
+
+describe('ImageProcessor', () => {
+  test('GIF重新编码后去除XMP并保留全部帧', async () => {
+    const input = insertXmpExtension(await createAnimatedGif());
+    expect(input.includes(XMP_MARKER)).toBe(true);
+
+    const result = await ImageProcessor.process(input);
+
+    expect(result.buffer.includes(XMP_MARKER)).toBe(false);
+    const metadata = await sharp(result.buffer, { animated: true }).metadata();
+    expect(metadata.format).toBe('gif');
+    expect(metadata.pages).toBe(3);
+    expect(result.width).toBe(40);
+    expect(result.height).toBe(30);
+  });
+});
@@ -0,0 +1,82 @@
+const http = require('http');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+const LinkPreview = require('../utils/LinkPreview');
+
+// 模拟的HTTP请求，立即以给定的响应返回，不访问网络
+const fakeRequest = response => (url, options, callback) => {
+  const req = new EventEmitter();
+  req.end = () => callback({ resume() {}, ...response });
+  return req;
+};
+
+describe('LinkPreview', () => {
+  afterEach(() => {
+    LinkPreview.setFetcher(null);
+    jest.restoreAllMocks();
+  });
+
+  test('使用替换的抓取器解析页面预览信息', async () => {
+    const fetcher = jest.fn().mockResolvedValue({
+      url: 'https://example.com/post',
+      html: '<head><meta property="og:title" content="标题 &amp; 副标题"><meta property="og:image" content="/cover.png"></head>'
+    });
+    LinkPreview.setFetcher(fetcher);
+
+    await expect(LinkPreview.generate('https://example.com/post')).resolves.toEqual({
+      url: 'https://example.com/post',
+      title: '标题 & 副标题',
+      description: undefined,
+      image: 'https://example.com/cover.png',
+      siteName: 'example.com'
+    });
+    expect(fetcher).toHaveBeenCalledWith('https://example.com/post');
+  });
+
+  test.each([
+    'http://127.0.0.1/',
+    'http://10.1.2.3/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/'
+  ])('禁止访问内网地址 %s', async (url) => {
+    const request = jest.spyOn(http, 'request');
+
+    await expect(LinkPreview.generate(url)).rejects.toThrow('禁止访问的地址');
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('域名解析到内网地址时禁止访问', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '192.168.1.1', family: 4 }
+    ]);
+    const request = jest.spyOn(http, 'request');
+
+    await expect(LinkPreview.generate('http://intranet.example.com/')).rejects.toThrow('禁止访问的地址');
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('重定向到内网地址时禁止访问', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    const request = jest.spyOn(http, 'request').mockImplementation(fakeRequest({
+      statusCode: 302,
+      headers: { location: 'http://127.0.0.1:8080/admin' }
+    }));
+
+    await expect(LinkPreview.generate('http://public.example.com/')).rejects.toThrow('禁止访问的地址');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('重定向次数过多时放弃', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    const request = jest.spyOn(http, 'request').mockImplementation(fakeRequest({
+      statusCode: 301,
+      headers: { location: '/again' }
+    }));
+
+    await expect(LinkPreview.generate('http://public.example.com/')).rejects.toThrow('重定向次数过多');
+    expect(request).toHaveBeenCalledTimes(4);
+  });
+});
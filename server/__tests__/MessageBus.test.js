@@ -0,0 +1,82 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const MessageQueue = require('../models/MessageQueue');
+const MessageBus = require('../utils/MessageBus');
+
+describe('MessageBus 变更流适配器', () => {
+  const originalDb = mongoose.connection.db;
+
+  const mockServer = (hello) => {
+    mongoose.connection.db = {
+      admin: () => ({ command: jest.fn().mockResolvedValue(hello) })
+    };
+  };
+
+  const createFakeStream = () => {
+    const stream = new EventEmitter();
+    stream.close = jest.fn().mockResolvedValue();
+    return stream;
+  };
+
+  afterEach(async () => {
+    await MessageBus.init('memory');
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('MongoDB不是副本集时初始化失败，不回退到进程内事件总线', async () => {
+    mockServer({ isWritablePrimary: true });
+    const watch = jest.spyOn(MessageQueue, 'watch');
+
+    await expect(MessageBus.init('changestream')).rejects.toThrow('副本集');
+    expect(watch).not.toHaveBeenCalled();
+  });
+
+  test('副本集上打开变更流，并按变更的字段分发入队事件', async () => {
+    mockServer({ setName: 'rs0' });
+    const stream = createFakeStream();
+    jest.spyOn(MessageQueue, 'watch').mockReturnValue(stream);
+
+    await expect(MessageBus.init('changestream')).resolves.toBe('changestream');
+
+    const userId = new mongoose.Types.ObjectId();
+    const listener = jest.fn();
+    const unsubscribe = MessageBus.subscribe(userId, listener);
+
+    stream.emit('change', {
+      operationType: 'update',
+      fullDocument: { user: userId },
+      updateDescription: { updatedFields: { 'messages.3': {}, seq: 4 } }
+    });
+    stream.emit('change', {
+      operationType: 'update',
+      fullDocument: { user: userId },
+      updateDescription: { updatedFields: { 'messages.3.delivered': true } }
+    });
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ type: 'message' });
+  });
+
+  test('运行中变更流出错时重新打开，而不是切换到进程内事件总线', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockServer({ setName: 'rs0' });
+    const first = createFakeStream();
+    const second = createFakeStream();
+    const watch = jest.spyOn(MessageQueue, 'watch')
+      .mockReturnValueOnce(first)
+      .mockReturnValueOnce(second);
+
+    await MessageBus.init('changestream');
+    first.emit('error', new Error('network error'));
+
+    expect(first.close).toHaveBeenCalled();
+    expect(MessageBus.getType()).toBe('changestream');
+
+    jest.advanceTimersByTime(5000);
+    expect(watch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { encodeCursor, decodeCursor, findHistoryPage, parseLimit, parseSkip } = require('../utils/MessageHistory');
+
+// 比较时间或ObjectId
+const compare = (a, b) => (a instanceof Date ? a - b : a.toString().localeCompare(b.toString()));
+
+// 按查询条件匹配内存中的消息，只支持消息历史分页用到的运算符
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') {
+    return condition.every(sub => matches(doc, sub));
+  }
+  if (key === '$or') {
+    return condition.some(sub => matches(doc, sub));
+  }
+  if (key === '$nor') {
+    return !condition.some(sub => matches(doc, sub));
+  }
+  if (condition && condition.$ne !== undefined) {
+    return true;
+  }
+  if (condition && condition.$lt !== undefined) {
+    return compare(doc[key], condition.$lt) < 0;
+  }
+  if (condition && condition.$gt !== undefined) {
+    return compare(doc[key], condition.$gt) > 0;
+  }
+  return compare(doc[key], condition) === 0;
+});
+
+describe('MessageHistory 游标分页', () => {
+  // 10条消息，其中第5、6条创建时间相同，按ID区分先后
+  const messages = Array.from({ length: 10 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(`${'0'.repeat(23)}${i.toString(16)}`),
+    createdAt: new Date(Date.UTC(2024, 0, 1, 0, i === 5 ? 4 : i))
+  }));
+  const ids = page => page.messages.map(message => messages.indexOf(message));
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'find').mockImplementation((filter) => {
+      let sort = 1;
+      let limit = Infinity;
+      let skip = 0;
+      const query = {
+        sort(order) { sort = order.createdAt; return query; },
+        limit(count) { limit = count; return query; },
+        skip(count) { skip = count; return query; },
+        then(resolve, reject) {
+          const result = messages
+            .filter(message => matches(message, filter))
+            .sort((a, b) => sort * (compare(a.createdAt, b.createdAt) || compare(a._id, b._id)))
+            .slice(skip, skip + limit);
+          return Promise.resolve(result).then(resolve, reject);
+        }
+      };
+      return query;
+    });
+    jest.spyOn(Message, 'exists').mockImplementation(async filter => messages.some(message => matches(message, filter)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const page = options => findHistoryPage({}, { userId: 'user', prepare: query => query, ...options });
+
+  test('按游标向前翻页直到最早的消息，不重复也不遗漏', async () => {
+    const seen = [];
+    let result = await page({ limit: 4 });
+    seen.unshift(...ids(result));
+    expect(result.hasNewer).toBe(false);
+
+    while (result.hasOlder) {
+      result = await page({ limit: 4, before: result.prevCursor });
+      seen.unshift(...ids(result));
+    }
+
+    expect(seen).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(result.prevCursor).toBeNull();
+    expect(result.hasNewer).toBe(true);
+  });
+
+  test('从最早的消息之后向后翻页到最新的消息', async () => {
+    const first = await page({ limit: 3, after: encodeCursor(messages[0]) });
+    expect(ids(first)).toEqual([1, 2, 3]);
+    expect(first.hasOlder).toBe(true);
+
+    const last = await page({ limit: 10, after: first.nextCursor });
+    expect(ids(last)).toEqual([4, 5, 6, 7, 8, 9]);
+    expect(last.hasNewer).toBe(false);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  test('around包含锚点消息及其前后的消息', async () => {
+    const result = await page({ limit: 4, around: encodeCursor(messages[5]) });
+
+    expect(ids(result)).toEqual([3, 4, 5, 6]);
+    expect(result.hasOlder).toBe(true);
+    expect(result.hasNewer).toBe(true);
+  });
+
+  test('超出范围的锚点返回空页并以锚点作为游标', async () => {
+    const anchor = { createdAt: new Date(Date.UTC(2030, 0, 1)), _id: messages[9]._id };
+    const result = await page({ limit: 5, after: encodeCursor(anchor) });
+
+    expect(result.messages).toEqual([]);
+    expect(result.hasNewer).toBe(false);
+    expect(result.prevCursor).toBe(encodeCursor(anchor));
+  });
+
+  test('非正数的limit和负数的skip按最小值处理', async () => {
+    const result = await page({ limit: -5, skip: -3 });
+
+    expect(ids(result)).toEqual([9]);
+    expect(result.hasOlder).toBe(true);
+    expect(result.hasNewer).toBe(false);
+  });
+
+  test('同时指定多个锚点或游标无效时返回错误', async () => {
+    await expect(page({ limit: 5, before: encodeCursor(messages[1]), after: encodeCursor(messages[0]) }))
+      .resolves.toEqual({ status: 400, message: '只能指定before、after和around中的一个' });
+    await expect(page({ limit: 5, before: 'not-a-valid-cursor' }))
+      .resolves.toEqual({ status: 400, message: '无效的分页游标' });
+  });
+
+  test('游标可以还原消息的位置', () => {
+    expect(decodeCursor(encodeCursor(messages[5]))).toEqual({
+      createdAt: messages[5].createdAt,
+      _id: messages[5]._id
+    });
+    expect(decodeCursor('garbage')).toBeNull();
+  });
+
+  test('分页参数限制在有效范围内', () => {
+    expect(parseLimit(undefined, 50, 100)).toBe(50);
+    expect(parseLimit('-10', 50, 100)).toBe(1);
+    expect(parseLimit('1000', 50, 100)).toBe(100);
+    expect(parseSkip('-1')).toBe(0);
+    expect(parseSkip('20')).toBe(20);
+  });
+});
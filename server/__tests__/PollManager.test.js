@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const PollSession = require('../models/PollSession');
+const MessageQueue = require('../models/MessageQueue');
+const User = require('../models/User');
+const PresenceStore = require('../utils/PresenceStore');
+const PollManager = require('../utils/PollManager');
+
+describe('PollManager 会话归属', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockFindOne = (result) => {
+    const select = jest.fn().mockResolvedValue(result);
+    const findOne = jest.spyOn(PollSession, 'findOne').mockReturnValue({ select });
+    return findOne;
+  };
+
+  test('复用属于当前用户的会话ID', async () => {
+    const findOne = mockFindOne({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(PollManager.resolveSessionId(userId, 'session-1')).resolves.toBe('session-1');
+    expect(findOne).toHaveBeenCalledWith({ sessionId: 'session-1', user: userId });
+  });
+
+  test('会话ID不属于当前用户时生成新的会话ID', async () => {
+    mockFindOne(null);
+
+    const sessionId = await PollManager.resolveSessionId(userId, 'someone-elses-session');
+
+    expect(sessionId).not.toBe('someone-elses-session');
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('忽略非字符串的会话ID', async () => {
+    const findOne = mockFindOne(null);
+
+    const sessionId = await PollManager.resolveSessionId(userId, ['a', 'b']);
+
+    expect(findOne).not.toHaveBeenCalled();
+    expect(typeof sessionId).toBe('string');
+  });
+
+  test('注册会话时按会话ID和用户匹配，不改写其他用户的会话', async () => {
+    const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const upsert = jest.spyOn(PollSession, 'findOneAndUpdate').mockRejectedValue(duplicateKeyError);
+    const addSession = jest.spyOn(PresenceStore, 'addSession');
+    const registerQueueSession = jest.spyOn(MessageQueue, 'registerSession');
+    const updateUser = jest.spyOn(User, 'findByIdAndUpdate');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(PollManager.registerSession(userId, 'taken-session')).resolves.toBe(false);
+
+    expect(upsert.mock.calls[0][0]).toEqual({ sessionId: 'taken-session', user: userId });
+    expect(addSession).not.toHaveBeenCalled();
+    expect(registerQueueSession).not.toHaveBeenCalled();
+    expect(updateUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+const PresenceStore = require('../utils/PresenceStore');
+
+describe('PresenceStore 进程内适配器', () => {
+  beforeEach(() => {
+    PresenceStore.init('memory');
+  });
+
+  const statusChange = status => ({
+    type: 'status_change',
+    userId: 'friend',
+    status,
+    timestamp: new Date()
+  });
+
+  test('同一用户的每个会话各自收到状态通知', async () => {
+    await PresenceStore.addSession('user', 'phone');
+    await PresenceStore.addSession('user', 'laptop');
+
+    await PresenceStore.pushStatusNotifications(['user'], statusChange('online'));
+
+    await expect(PresenceStore.takeStatusNotifications('user', 'phone'))
+      .resolves.toEqual([expect.objectContaining({ status: 'online' })]);
+    await expect(PresenceStore.takeStatusNotifications('user', 'phone')).resolves.toEqual([]);
+    await expect(PresenceStore.takeStatusNotifications('user', 'laptop'))
+      .resolves.toEqual([expect.objectContaining({ status: 'online' })]);
+  });
+
+  test('会话注销后丢弃其未取走的通知，不影响其他会话', async () => {
+    await PresenceStore.addSession('user', 'phone');
+    await PresenceStore.addSession('user', 'laptop');
+    await PresenceStore.pushStatusNotifications(['user'], statusChange('away'));
+
+    await expect(PresenceStore.removeSession('user', 'phone')).resolves.toBe(false);
+    await PresenceStore.addSession('user', 'phone');
+
+    await expect(PresenceStore.takeStatusNotifications('user', 'phone')).resolves.toEqual([]);
+    await expect(PresenceStore.takeStatusNotifications('user', 'laptop')).resolves.toHaveLength(1);
+  });
+
+  test('不返回已过期的输入状态', async () => {
+    await PresenceStore.addSession('user', 'phone');
+    await PresenceStore.pushStatusNotifications(['user'], {
+      type: 'typing',
+      userId: 'friend',
+      state: 'typing',
+      timestamp: new Date(),
+      expiresAt: new Date(Date.now() - 1000)
+    });
+
+    await expect(PresenceStore.takeStatusNotifications('user', 'phone')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+describe('User 私聊权限', () => {
+  const friendId = new mongoose.Types.ObjectId();
+  const strangerId = new mongoose.Types.ObjectId();
+
+  const createUser = messagePermission => new User({
+    username: 'receiver',
+    email: 'receiver@example.com',
+    password: 'password123',
+    friends: [{ user: friendId }],
+    privacy: { messagePermission }
+  });
+
+  test('只接收好友消息时拒绝陌生人', () => {
+    const user = createUser('friends');
+
+    expect(user.allowsMessageFrom(friendId)).toBe(true);
+    expect(user.allowsMessageFrom(strangerId)).toBe(false);
+  });
+
+  test('默认接收所有人的消息', () => {
+    const user = createUser(undefined);
+
+    expect(user.allowsMessageFrom(strangerId)).toBe(true);
+  });
+});
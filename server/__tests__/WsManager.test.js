@@ -0,0 +1,90 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const { WebSocket } = require('ws');
+
+jest.mock('../middlewares/auth', () => ({
+  verifyToken: jest.fn()
+}));
+
+const { verifyToken } = require('../middlewares/auth');
+const MessageQueue = require('../models/MessageQueue');
+const PollManager = require('../utils/PollManager');
+const WsManager = require('../utils/WsManager');
+
+describe('WsManager 连接异常处理', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let server;
+  let wss;
+  let port;
+
+  beforeEach(async () => {
+    verifyToken.mockResolvedValue({ _id: userId });
+    jest.spyOn(PollManager, 'resolveSessionId').mockResolvedValue('session-1');
+    jest.spyOn(PollManager, 'registerSession').mockResolvedValue(true);
+    jest.spyOn(PollManager, 'unregisterSession').mockResolvedValue(true);
+    jest.spyOn(PollManager, 'updateSessionActivity').mockResolvedValue();
+    jest.spyOn(PollManager, 'getStatusChangeNotifications').mockResolvedValue([]);
+    jest.spyOn(MessageQueue, 'getPendingMessages').mockResolvedValue({ messages: [], systemMessages: [] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = http.createServer();
+    wss = WsManager.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  // 建立连接并等待服务端返回会话信息
+  const connect = () => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/api/poll/ws?token=test`);
+    ws.on('message', (raw) => {
+      if (JSON.parse(raw.toString()).type === 'session') {
+        resolve(ws);
+      }
+    });
+    ws.on('error', reject);
+  });
+
+  const waitForClose = ws => new Promise(resolve => ws.on('close', code => resolve(code)));
+
+  const ping = ws => new Promise((resolve) => {
+    ws.on('message', (raw) => {
+      const data = JSON.parse(raw.toString());
+      if (data.type === 'pong') {
+        resolve(data);
+      }
+    });
+    ws.send(JSON.stringify({ type: 'ping' }));
+  });
+
+  test('收到无效帧时断开该连接并注销会话，服务继续运行', async () => {
+    const ws = await connect();
+    const closed = waitForClose(ws);
+
+    // 使用保留操作码3的帧（带客户端掩码），ws会在服务端连接上触发error
+    ws._socket.write(Buffer.from([0x83, 0x80, 0, 0, 0, 0]));
+    await closed;
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(PollManager.unregisterSession).toHaveBeenCalledTimes(1);
+    expect(PollManager.unregisterSession).toHaveBeenCalledWith(userId, 'session-1');
+
+    const other = await connect();
+    await expect(ping(other)).resolves.toEqual(expect.objectContaining({ type: 'pong' }));
+    other.close();
+  });
+
+  test('超过大小上限的消息会关闭连接', async () => {
+    const ws = await connect();
+    const closed = waitForClose(ws);
+
+    ws.send('x'.repeat(64 * 1024));
+
+    await expect(closed).resolves.toBe(1009);
+  });
+});
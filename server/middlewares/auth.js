@@ -25,8 +25,20 @@
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 
+/**
+ * 校验JWT令牌并返回对应用户
+ * 供HTTP中间件和WebSocket握手共用，令牌无效时抛出jsonwebtoken的错误
+ * @param {string} token - JWT令牌
+ * @returns {Promise<Object|null>} 用户文档，用户不存在时返回null
+ */
+exports.verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'winuc_secret_key');
+  return User.findById(decoded.id);
+};
+
 /**
  * 保护路由中间件 - 需要登录才能访问
  * @param {Object} req - Express请求对象
@@ -52,11 +64,8 @@ exports.protect = async (req, res, next) => {
     }
     
     try {
-      // 验证token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'winuc_secret_key');
-      
-      // 查找用户
-      const user = await User.findById(decoded.id);
+      // 验证token并查找用户
+      const user = await exports.verifyToken(token);
       
       if (!user) {
         return res.status(401).json({
@@ -94,6 +103,22 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+/**
+ * 保护路由中间件 - 允许通过查询参数token传递令牌
+ * 用于EventSource等无法自定义请求头的客户端
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * @returns {void}
+ */
+exports.protectWithQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  
+  return exports.protect(req, res, next);
+};
+
 /**
  * 授权中间件 - 检查用户角色权限
  * @param {...string} roles - 允许访问的角色列表
@@ -121,10 +146,11 @@ exports.authorize = (...roles) => {
 
 /**
  * 检查群组权限中间件
- * @param {string} requiredRole - 所需的群组角色，默认为'admin'
+ * 按群组的权限矩阵检查当前用户的有效角色，创建者始终拥有全部权限
+ * @param {string} [permission] - 所需的群组权限，见Group.PERMISSIONS；不传时只要求是群组成员
  * @returns {Function} Express中间件函数
  */
-exports.checkGroupPermission = (requiredRole = 'admin') => {
+exports.checkGroupPermission = (permission) => {
   return async (req, res, next) => {
     try {
       const groupId = req.params.groupId || req.body.groupId;
@@ -137,6 +163,13 @@ exports.checkGroupPermission = (requiredRole = 'admin') => {
         });
       }
       
+      if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的群组ID'
+        });
+      }
+      
       // 查找群组
       const Group = require('../models/Group');
       const group = await Group.findById(groupId);
@@ -160,21 +193,22 @@ exports.checkGroupPermission = (requiredRole = 'admin') => {
         });
       }
       
-      // 检查用户角色
-      if (requiredRole === 'admin' && memberInfo.role !== 'admin') {
+      // 检查用户角色是否拥有所需权限
+      if (permission && !group.hasPermission(userId, permission)) {
         return res.status(403).json({
           success: false,
-          message: '您没有管理员权限'
+          message: '您在该群组中没有此操作的权限'
         });
       }
       
-      // 添加群组和成员信息到请求对象
+      // 添加群组、成员信息和有效角色到请求对象
       req.group = group;
       req.memberInfo = memberInfo;
+      req.groupRole = group.getEffectiveRole(userId);
       next();
     } catch (err) {
       console.error('群组权限检查错误:', err);
       next(err);
     }
   };
-}; 
\ No newline at end of file
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       required:
+ *         - uploader
+ *         - fileName
+ *         - mimeType
+ *         - size
+ *         - hash
+ *         - storageKey
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 附件ID，发送图片或文件消息时作为attachmentId传入
+ *         uploader:
+ *           type: string
+ *           description: 上传者用户ID
+ *         fileName:
+ *           type: string
+ *           description: 原始文件名
+ *         mimeType:
+ *           type: string
+ *           description: 文件MIME类型
+ *           example: image/png
+ *         size:
+ *           type: integer
+ *           description: 文件大小（字节）
+ *         hash:
+ *           type: string
+ *           description: 文件内容的SHA256，相同内容在存储中只保存一份
+ *         width:
+ *           type: integer
+ *           description: 图片宽度（像素），仅图片
+ *         height:
+ *           type: integer
+ *           description: 图片高度（像素），仅图片
+ *         blurhash:
+ *           type: string
+ *           description: 图片的BlurHash模糊占位图，可在原图加载前显示，仅图片
+ *         thumbnails:
+ *           type: array
+ *           description: 已生成的缩略图，小于缩略图尺寸的图片不生成对应缩略图，仅图片
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 enum: [small, medium]
+ *                 description: 缩略图名称，下载时作为variant参数传入
+ *               width:
+ *                 type: integer
+ *               height:
+ *                 type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 上传时间
+ */
+
+const AttachmentSchema = new mongoose.Schema(
+  {
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [255, '文件名不能超过255个字符']
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    hash: {
+      type: String,
+      required: true
+    },
+    width: {
+      type: Number
+    },
+    height: {
+      type: Number
+    },
+    blurhash: {
+      type: String
+    },
+    thumbnails: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true
+        },
+        width: {
+          type: Number,
+          required: true
+        },
+        height: {
+          type: Number,
+          required: true
+        },
+        size: {
+          type: Number,
+          required: true
+        }
+      }
+    ],
+    // 保存文件时使用的存储类型和存储键，不对外返回
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      default: 'local',
+      select: false
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      select: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 同一用户重复上传相同内容时复用已有附件
+AttachmentSchema.index({ uploader: 1, hash: 1 });
+
+// 生成消息中保存的附件信息，客户端据此展示文件并获取下载地址
+// 图片还包含尺寸、模糊占位图和缩略图，无需下载原图即可显示预览
+AttachmentSchema.methods.toMessageMetadata = function() {
+  const metadata = {
+    attachmentId: this._id,
+    fileName: this.fileName,
+    mimeType: this.mimeType,
+    size: this.size
+  };
+  
+  if (this.width && this.height) {
+    metadata.width = this.width;
+    metadata.height = this.height;
+    metadata.blurhash = this.blurhash;
+    metadata.thumbnails = this.thumbnails.map(({ name, width, height }) => ({ name, width, height }));
+  }
+  
+  return metadata;
+};
+
+// 获取缩略图的存储键，缩略图与原图保存在一起
+AttachmentSchema.methods.getThumbnailKey = function(name) {
+  return `${this.storageKey}.${name}.jpg`;
+};
+
+// 检查附件是否为图片
+AttachmentSchema.methods.isImage = function() {
+  return this.mimeType.startsWith('image/');
+};
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
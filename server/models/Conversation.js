@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       required:
+ *         - user
+ *         - conversationType
+ *         - conversationId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 会话ID
+ *         user:
+ *           type: string
+ *           description: 会话所属用户ID，每个用户对每个私聊或群聊有一条独立的会话记录
+ *         conversationType:
+ *           type: string
+ *           enum: [private, group]
+ *           description: 会话类型
+ *         conversationId:
+ *           type: string
+ *           description: 私聊为对方用户ID，群聊为群组ID
+ *         lastMessage:
+ *           type: string
+ *           description: 最后一条消息ID
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *           description: 最后一条消息的发送时间
+ *         unreadCount:
+ *           type: integer
+ *           description: 未读消息数，收到消息时递增，标记已读时重新统计
+ *         pinned:
+ *           type: boolean
+ *           description: 是否置顶
+ *         mutedUntil:
+ *           type: string
+ *           format: date-time
+ *           description: 免打扰截止时间，在此之前收到消息不创建消息通知
+ *         archived:
+ *           type: boolean
+ *           description: 是否归档，归档的会话不出现在最近聊天列表中，收到新消息时自动取消归档（免打扰中的会话除外）
+ *         sortOrder:
+ *           type: integer
+ *           description: 自定义排序权重，置顶状态相同时数值大的排在前面，相同时按最后消息时间排序
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 创建时间
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 更新时间
+ */
+
+const ConversationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    conversationType: {
+      type: String,
+      enum: ['private', 'group'],
+      required: true
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastMessageAt: {
+      type: Date
+    },
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    pinned: {
+      type: Boolean,
+      default: false
+    },
+    mutedUntil: {
+      type: Date
+    },
+    archived: {
+      type: Boolean,
+      default: false
+    },
+    sortOrder: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 每个用户在每个私聊或群聊中只有一条会话记录
+ConversationSchema.index({ user: 1, conversationType: 1, conversationId: 1 }, { unique: true });
+// 最近聊天列表按置顶、自定义排序和最后消息时间排序
+ConversationSchema.index({ user: 1, archived: 1, pinned: -1, sortOrder: -1, lastMessageAt: -1 });
+// 解散群组时删除全部成员的会话
+ConversationSchema.index({ conversationType: 1, conversationId: 1 });
+
+// 检查会话当前是否处于免打扰状态
+ConversationSchema.methods.isMuted = function() {
+  return !!this.mutedUntil && this.mutedUntil > new Date();
+};
+
+// 获取会话中当前开启了免打扰的用户ID集合，私聊的会话ID为对方（消息发送者）的用户ID
+ConversationSchema.statics.getMutedUserIds = async function(conversationType, conversationId, userIds) {
+  try {
+    const conversations = await this.find({
+      user: { $in: userIds },
+      conversationType,
+      conversationId,
+      mutedUntil: { $gt: new Date() }
+    }).select('user');
+    
+    return new Set(conversations.map(conversation => conversation.user.toString()));
+  } catch (err) {
+    console.error('获取免打扰用户失败:', err);
+    throw err;
+  }
+};
+
+// 生成记录新消息的流水线更新，发送者和接收者的更新不同
+// 流水线更新不会应用Schema默认值，新建会话时需手动补齐
+const buildMessageUpdate = (message, isSender) => {
+  const isNewer = {
+    $gt: [message.createdAt, { $ifNull: ['$lastMessageAt', new Date(0)] }]
+  };
+  
+  return [
+    {
+      $set: {
+        lastMessage: { $cond: [isNewer, message._id, '$lastMessage'] },
+        lastMessageAt: { $cond: [isNewer, message.createdAt, '$lastMessageAt'] },
+        unreadCount: isSender
+          ? { $ifNull: ['$unreadCount', 0] }
+          : { $add: [{ $ifNull: ['$unreadCount', 0] }, 1] },
+        // 发送消息时取消归档；收到消息时取消归档，免打扰中的会话保持归档
+        archived: isSender
+          ? false
+          : {
+            $and: [
+              { $ifNull: ['$archived', false] },
+              { $gt: [{ $ifNull: ['$mutedUntil', new Date(0)] }, '$$NOW'] }
+            ]
+          },
+        pinned: { $ifNull: ['$pinned', false] },
+        sortOrder: { $ifNull: ['$sortOrder', 0] },
+        createdAt: { $ifNull: ['$createdAt', '$$NOW'] }
+      }
+    }
+  ];
+};
+
+// 记录新消息：更新会话参与者的最后消息，接收者的未读数加一，会话不存在时创建
+// 群组消息需传入群组成员ID列表，已有会话的成员通过一次批量更新完成，不随成员数增加写入次数
+ConversationSchema.statics.recordMessage = async function(message, memberIds = []) {
+  try {
+    const senderId = message.sender.toString();
+    
+    if (!message.group) {
+      const entries = [
+        { userId: message.sender, conversationId: message.receiver },
+        { userId: message.receiver, conversationId: message.sender }
+      ].filter((entry, index) => index === 0 || entry.userId.toString() !== senderId);
+      
+      await this.bulkWrite(entries.map(({ userId, conversationId }) => ({
+        updateOne: {
+          filter: { user: userId, conversationType: 'private', conversationId },
+          update: buildMessageUpdate(message, userId.toString() === senderId),
+          upsert: true,
+          setDefaultsOnInsert: false
+        }
+      })), { ordered: false });
+      return;
+    }
+    
+    const groupFilter = { conversationType: 'group', conversationId: message.group };
+    const receiverIds = memberIds.filter(id => id.toString() !== senderId);
+    
+    const [, result] = await Promise.all([
+      this.updateOne(
+        { ...groupFilter, user: message.sender },
+        buildMessageUpdate(message, true),
+        { upsert: true, setDefaultsOnInsert: false }
+      ),
+      this.updateMany(
+        { ...groupFilter, user: { $in: receiverIds } },
+        buildMessageUpdate(message, false)
+      )
+    ]);
+    
+    // 还没有会话记录的成员（如新加入的成员）逐个创建
+    if (result.matchedCount < receiverIds.length) {
+      const existingIds = new Set((await this.distinct('user', { ...groupFilter, user: { $in: receiverIds } })).map(String));
+      const missingIds = receiverIds.filter(id => !existingIds.has(id.toString()));
+      
+      if (missingIds.length > 0) {
+        await this.bulkWrite(missingIds.map(userId => ({
+          updateOne: {
+            filter: { ...groupFilter, user: userId },
+            update: buildMessageUpdate(message, false),
+            upsert: true,
+            setDefaultsOnInsert: false
+          }
+        })), { ordered: false });
+      }
+    }
+  } catch (err) {
+    console.error('更新会话失败:', err);
+    throw err;
+  }
+};
+
+// 重新统计会话的最后消息和未读数，用于标记已读、删除消息后以及为已有数据建立会话
+// 会话中没有可见消息时不新建会话，已有会话保留置顶等设置并清空最后消息
+ConversationSchema.statics.sync = async function(userId, conversationType, conversationId) {
+  try {
+    const Message = mongoose.model('Message');
+    const ReadCursor = mongoose.model('ReadCursor');
+    
+    const conversationFilter = conversationType === 'group'
+      ? { group: conversationId }
+      : {
+        $or: [
+          { sender: userId, receiver: conversationId },
+          { sender: conversationId, receiver: userId }
+        ]
+      };
+    const visibleFilter = { ...conversationFilter, deletedFor: { $ne: userId } };
+    
+    const lastMessage = await Message.findOne(visibleFilter).sort({ createdAt: -1 }).select('createdAt');
+    if (!lastMessage) {
+      return await this.findOneAndUpdate(
+        { user: userId, conversationType, conversationId },
+        {
+          $set: { unreadCount: 0 },
+          $unset: { lastMessage: 1, lastMessageAt: 1 }
+        },
+        { new: true }
+      );
+    }
+    
+    // 私聊按消息的isRead标记统计，群聊按读取游标统计其他成员发送的消息
+    let unreadFilter;
+    if (conversationType === 'group') {
+      const cursor = await ReadCursor.findOne({ user: userId, conversationType, conversationId }).select('lastReadAt');
+      unreadFilter = {
+        ...visibleFilter,
+        sender: { $ne: userId },
+        createdAt: { $gt: (cursor && cursor.lastReadAt) || new Date(0) }
+      };
+    } else {
+      unreadFilter = {
+        sender: conversationId,
+        receiver: userId,
+        isRead: false,
+        deletedFor: { $ne: userId }
+      };
+    }
+    
+    const unreadCount = await Message.countDocuments(unreadFilter);
+    
+    return await this.findOneAndUpdate(
+      { user: userId, conversationType, conversationId },
+      {
+        $set: {
+          lastMessage: lastMessage._id,
+          lastMessageAt: lastMessage.createdAt,
+          unreadCount
+        }
+      },
+      {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true
+      }
+    );
+  } catch (err) {
+    console.error('同步会话失败:', err);
+    throw err;
+  }
+};
+
+// 为用户已有的私聊和所在群组建立会话记录，用于升级前产生的消息，返回建立的会话数量
+ConversationSchema.statics.rebuildForUser = async function(userId) {
+  try {
+    const Message = mongoose.model('Message');
+    const Group = mongoose.model('Group');
+    
+    const [receiverIds, senderIds, groups] = await Promise.all([
+      Message.distinct('receiver', { sender: userId, group: { $exists: false } }),
+      Message.distinct('sender', { receiver: userId }),
+      Group.find({ 'members.user': userId }).select('_id')
+    ]);
+    
+    const peerIds = new Map([...receiverIds, ...senderIds].filter(Boolean).map(id => [id.toString(), id]));
+    const targets = [
+      ...[...peerIds.values()].map(id => ['private', id]),
+      ...groups.map(group => ['group', group._id])
+    ];
+    
+    let total = 0;
+    for (const [conversationType, conversationId] of targets) {
+      const conversation = await this.sync(userId, conversationType, conversationId);
+      if (conversation && conversation.lastMessage) {
+        total++;
+      }
+    }
+    
+    return total;
+  } catch (err) {
+    console.error('重建会话失败:', err);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 
+// 群组权限：发言、邀请成员（包括处理入群申请和管理邀请链接）、移除成员、编辑群资料、置顶消息、@全体成员、撤回他人消息
+const GROUP_PERMISSIONS = ['post', 'invite', 'kick', 'editInfo', 'pinMessages', 'mentionAll', 'recallMessages'];
+// 内置角色，创建者始终拥有全部权限
+const BUILTIN_ROLES = ['creator', 'admin', 'member'];
+// 内置角色的默认权限，可通过群组的roles配置覆盖
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: [...GROUP_PERMISSIONS],
+  member: ['post']
+};
+// 角色等级，移除成员时只能移除等级低于自己的成员，自定义角色介于管理员和普通成员之间
+const ROLE_RANKS = {
+  creator: 3,
+  admin: 2,
+  member: 0
+};
+const CUSTOM_ROLE_RANK = 1;
+
 /**
  * @swagger
  * components:
@@ -34,13 +51,62 @@ const mongoose = require('mongoose');
  *           type: array
  *           items:
  *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: 成员用户ID
+ *               nickname:
+ *                 type: string
+ *                 description: 群昵称
+ *               role:
+ *                 type: string
+ *                 description: 成员角色，creator、admin、member或群组的自定义角色名称
+ *               joinedAt:
+ *                 type: string
+ *                 format: date-time
+ *               invitedBy:
+ *                 type: string
+ *                 description: 邀请人ID，由管理员添加或通过邀请链接加入时记录
  *           description: 成员列表
  *         isPublic:
  *           type: boolean
- *           description: 是否为公开群组
+ *           description: 是否为公开群组，非成员只能查看公开群组的详情
+ *         joinPolicy:
+ *           type: string
+ *           enum: [open, approval, invite_only]
+ *           description: |
+ *             加群方式：open为直接加入，approval为提交申请由管理员审核，invite_only为只能由管理员添加。
+ *             未设置时公开群组为open，非公开群组为approval
  *         maxMembers:
  *           type: number
  *           description: 最大成员数量
+ *         roles:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GroupRole'
+ *           description: 权限矩阵配置，包括自定义角色和对admin、member默认权限的覆盖，未配置的内置角色使用默认权限
+ *         pinnedMessages:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: 置顶的消息ID
+ *               pinnedBy:
+ *                 type: string
+ *                 description: 置顶操作人ID
+ *               pinnedAt:
+ *                 type: string
+ *                 format: date-time
+ *           description: 置顶消息列表
+ *         lastMessage:
+ *           type: string
+ *           description: 群组最后一条消息ID，发送群组消息时更新
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *           description: 群组最后一条消息的发送时间
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -49,6 +115,20 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: 更新时间
+ *     GroupRole:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 角色名称
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [post, invite, kick, editInfo, pinMessages, mentionAll, recallMessages]
+ *           description: |
+ *             角色拥有的权限：post为发言，invite为邀请成员、处理入群申请和管理邀请链接，kick为移除成员，
+ *             editInfo为编辑群资料，pinMessages为置顶消息，mentionAll为@全体成员，recallMessages为随时撤回其他成员的消息
  */
 
 const GroupSchema = new mongoose.Schema(
@@ -91,14 +171,18 @@ const GroupSchema = new mongoose.Schema(
           type: String,
           default: ''
         },
+        // 内置角色或群组roles中定义的自定义角色
         role: {
           type: String,
-          enum: ['creator', 'admin', 'member'],
           default: 'member'
         },
         joinedAt: {
           type: Date,
           default: Date.now
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
         }
       }
     ],
@@ -106,10 +190,59 @@ const GroupSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+    // 加群方式，未设置的旧群组按isPublic推断，见getJoinPolicy
+    joinPolicy: {
+      type: String,
+      enum: ['open', 'approval', 'invite_only']
+    },
     maxMembers: {
       type: Number,
       default: 100,
       max: [500, '群组最大成员数不能超过500人']
+    },
+    // 权限矩阵：自定义角色，以及对admin、member默认权限的覆盖，见getRolePermissions
+    roles: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [20, '角色名称不能超过20个字符']
+        },
+        permissions: [
+          {
+            type: String,
+            enum: GROUP_PERMISSIONS
+          }
+        ]
+      }
+    ],
+    pinnedMessages: [
+      {
+        _id: false,
+        message: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Message',
+          required: true
+        },
+        pinnedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        pinnedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    // 群组最后一条消息的摘要，发送群组消息时增量更新，避免查询最近会话时扫描消息集合
+    lastMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastMessageAt: {
+      type: Date
     }
   },
   {
@@ -117,6 +250,9 @@ const GroupSchema = new mongoose.Schema(
   }
 );
 
+// 用于查询用户所在的群组
+GroupSchema.index({ 'members.user': 1 });
+
 // 确保创建者也是管理员和成员
 GroupSchema.pre('save', function(next) {
   if (this.isNew) {
@@ -141,6 +277,14 @@ GroupSchema.pre('save', function(next) {
   next();
 });
 
+// 新建群组未指定加群方式时，公开群组可直接加入，非公开群组需要审核
+GroupSchema.pre('validate', function(next) {
+  if (this.isNew && !this.joinPolicy) {
+    this.joinPolicy = this.isPublic ? 'open' : 'approval';
+  }
+  next();
+});
+
 // 获取群组成员数量的虚拟属性
 GroupSchema.virtual('memberCount').get(function() {
   return this.members.length;
@@ -161,10 +305,139 @@ GroupSchema.methods.isCreator = function(userId) {
   return this.creator.toString() === userId.toString();
 };
 
+// 获取群组的加群方式
+GroupSchema.methods.getJoinPolicy = function() {
+  return this.joinPolicy || (this.isPublic ? 'open' : 'approval');
+};
+
 // 获取成员角色
 GroupSchema.methods.getMemberRole = function(userId) {
   const member = this.members.find(m => m.user.toString() === userId.toString());
   return member ? member.role : null;
 };
 
+// 检查角色是否存在，包括内置角色和自定义角色
+GroupSchema.methods.hasRole = function(roleName) {
+  return BUILTIN_ROLES.includes(roleName) || this.roles.some(role => role.name === roleName);
+};
+
+// 获取角色拥有的权限，创建者拥有全部权限，不存在的角色没有任何权限
+GroupSchema.methods.getRolePermissions = function(roleName) {
+  if (roleName === 'creator') {
+    return [...GROUP_PERMISSIONS];
+  }
+  
+  const role = this.roles.find(r => r.name === roleName);
+  if (role) {
+    return [...role.permissions];
+  }
+  
+  // 使用hasOwn避免constructor等名称取到原型上的属性
+  return Object.hasOwn(DEFAULT_ROLE_PERMISSIONS, roleName) ? [...DEFAULT_ROLE_PERMISSIONS[roleName]] : [];
+};
+
+// 获取成员的有效角色，创建者和管理员以creator、admins字段为准，
+// 角色已不存在的成员按普通成员处理，非成员返回null
+GroupSchema.methods.getEffectiveRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  if (!member) {
+    return null;
+  }
+  
+  if (this.isCreator(userId)) {
+    return 'creator';
+  }
+  
+  if (this.isAdmin(userId)) {
+    return 'admin';
+  }
+  
+  if (BUILTIN_ROLES.includes(member.role) || !this.hasRole(member.role)) {
+    return 'member';
+  }
+  
+  return member.role;
+};
+
+// 检查成员是否拥有指定权限
+GroupSchema.methods.hasPermission = function(userId, permission) {
+  const role = this.getEffectiveRole(userId);
+  return role ? this.getRolePermissions(role).includes(permission) : false;
+};
+
+// 检查成员的角色等级是否高于另一个成员，任一方不是成员时返回false
+GroupSchema.methods.outranks = function(userId, targetUserId) {
+  const role = this.getEffectiveRole(userId);
+  const targetRole = this.getEffectiveRole(targetUserId);
+  if (!role || !targetRole) {
+    return false;
+  }
+  
+  const rankOf = roleName => (Object.hasOwn(ROLE_RANKS, roleName) ? ROLE_RANKS[roleName] : CUSTOM_ROLE_RANK);
+  return rankOf(role) > rankOf(targetRole);
+};
+
+// 获取拥有指定权限的成员ID，可排除指定用户（如刚加入的成员本人）
+GroupSchema.methods.getMembersWithPermission = function(permission, excludeUserId) {
+  return this.members
+    .map(member => member.user)
+    .filter(userId => (!excludeUserId || userId.toString() !== excludeUserId.toString())
+      && this.hasPermission(userId, permission));
+};
+
+// 获取群组的权限矩阵，依次列出内置角色和自定义角色及其权限
+GroupSchema.methods.getPermissionMatrix = function() {
+  const customRoles = this.roles
+    .map(role => role.name)
+    .filter(name => !BUILTIN_ROLES.includes(name));
+  
+  return [...BUILTIN_ROLES, ...customRoles].map(name => ({
+    name,
+    builtin: BUILTIN_ROLES.includes(name),
+    permissions: this.getRolePermissions(name)
+  }));
+};
+
+// 记录群组的最后一条消息，只会更新为更新的消息
+GroupSchema.statics.recordLastMessage = async function(message) {
+  try {
+    return await this.updateOne(
+      {
+        _id: message.group,
+        $or: [
+          { lastMessageAt: { $exists: false } },
+          { lastMessageAt: { $lt: message.createdAt } }
+        ]
+      },
+      { $set: { lastMessage: message._id, lastMessageAt: message.createdAt } },
+      { timestamps: false }
+    );
+  } catch (err) {
+    console.error('更新群组最后消息失败:', err);
+    throw err;
+  }
+};
+
+// 根据消息集合重新计算群组的最后一条消息，用于为升级前的群组建立摘要
+GroupSchema.statics.refreshLastMessage = async function(groupId) {
+  try {
+    const Message = mongoose.model('Message');
+    const lastMessage = await Message.findOne({ group: groupId }).sort({ createdAt: -1 }).select('createdAt');
+    
+    return await this.updateOne(
+      { _id: groupId },
+      lastMessage
+        ? { $set: { lastMessage: lastMessage._id, lastMessageAt: lastMessage.createdAt } }
+        : { $unset: { lastMessage: 1, lastMessageAt: 1 } },
+      { timestamps: false }
+    );
+  } catch (err) {
+    console.error('重新计算群组最后消息失败:', err);
+    throw err;
+  }
+};
+
+GroupSchema.statics.PERMISSIONS = GROUP_PERMISSIONS;
+GroupSchema.statics.BUILTIN_ROLES = BUILTIN_ROLES;
+
 module.exports = mongoose.model('Group', GroupSchema); 
\ No newline at end of file
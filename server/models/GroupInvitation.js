@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// 群组邀请的有效期（小时），过期后被邀请人无法再接受
+const INVITATION_TTL_HOURS = parseInt(process.env.GROUP_INVITATION_TTL_HOURS) || 7 * 24;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupInvitation:
+ *       type: object
+ *       required:
+ *         - group
+ *         - inviter
+ *         - invitee
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 邀请ID
+ *         group:
+ *           type: string
+ *           description: 群组ID
+ *         inviter:
+ *           type: string
+ *           description: 邀请人ID（群组创建者或管理员）
+ *         invitee:
+ *           type: string
+ *           description: 被邀请人ID，接受邀请后才会加入群组
+ *         nickname:
+ *           type: string
+ *           description: 加入后的群昵称
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, expired]
+ *           description: 邀请状态，expired表示邀请过期后被重新邀请取代
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: 过期时间，默认为邀请后7天
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 被邀请人接受或拒绝的时间
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 邀请时间
+ */
+
+const GroupInvitationSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true
+    },
+    inviter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    invitee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    nickname: {
+      type: String,
+      default: ''
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired'],
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000)
+    },
+    respondedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 同一群组对同一用户只能有一个待处理的邀请
+GroupInvitationSchema.index(
+  { group: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// 查询用户收到的待处理邀请
+GroupInvitationSchema.index({ invitee: 1, status: 1, expiresAt: 1 });
+
+// 检查邀请是否已过期
+GroupInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// 查找群组中对用户仍然有效的待处理邀请，已过期的邀请不算在内
+GroupInvitationSchema.statics.findPending = async function(groupId, inviteeId) {
+  try {
+    return await this.findOne({
+      group: groupId,
+      invitee: inviteeId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+  } catch (err) {
+    console.error('查询群组邀请失败:', err);
+    throw err;
+  }
+};
+
+// 在同一群组重新邀请前，将已过期的待处理邀请标记为已过期，避免占用唯一索引
+GroupInvitationSchema.statics.expirePending = async function(groupId, inviteeId) {
+  try {
+    return await this.updateMany(
+      {
+        group: groupId,
+        invitee: inviteeId,
+        status: 'pending',
+        expiresAt: { $lte: new Date() }
+      },
+      { $set: { status: 'expired' } }
+    );
+  } catch (err) {
+    console.error('清理过期群组邀请失败:', err);
+    throw err;
+  }
+};
+
+// 被邀请人接受或拒绝邀请，邀请已处理或已过期时返回null
+GroupInvitationSchema.statics.respond = async function(invitationId, inviteeId, status) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        _id: invitationId,
+        invitee: inviteeId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { status, respondedAt: new Date() } },
+      { new: true }
+    );
+  } catch (err) {
+    console.error('处理群组邀请失败:', err);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('GroupInvitation', GroupInvitationSchema);
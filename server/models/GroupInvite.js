@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GroupInvite:
+ *       type: object
+ *       required:
+ *         - group
+ *         - token
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 邀请ID
+ *         group:
+ *           type: string
+ *           description: 群组ID
+ *         token:
+ *           type: string
+ *           description: 邀请令牌，通过 /api/groups/join-by-invite/{token} 加入群组
+ *         createdBy:
+ *           type: string
+ *           description: 创建邀请的管理员ID，通过邀请加入的成员记录为邀请人
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: 过期时间，为空表示永不过期
+ *         maxUses:
+ *           type: integer
+ *           description: 最多使用次数，为空表示不限次数
+ *         uses:
+ *           type: integer
+ *           description: 已使用次数
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 撤销时间，撤销后邀请失效
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 创建时间
+ */
+
+const GroupInviteSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(16).toString('base64url')
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    maxUses: {
+      type: Number,
+      default: null,
+      min: [1, '最多使用次数至少为1']
+    },
+    uses: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 管理员查看群组的邀请列表
+GroupInviteSchema.index({ group: 1, createdAt: -1 });
+
+// 检查邀请当前是否可用：未撤销、未过期且未达到使用次数上限
+GroupInviteSchema.methods.isUsable = function() {
+  return !this.revokedAt
+    && (!this.expiresAt || this.expiresAt > new Date())
+    && (this.maxUses === null || this.maxUses === undefined || this.uses < this.maxUses);
+};
+
+// 使用邀请，可用时使用次数加一并返回邀请，已失效时返回null
+// 在同一次更新中检查并计数，并发使用时不会超过次数上限
+GroupInviteSchema.statics.redeem = async function(token) {
+  try {
+    const now = new Date();
+    
+    return await this.findOneAndUpdate(
+      {
+        token,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+  } catch (err) {
+    console.error('使用群组邀请失败:', err);
+    throw err;
+  }
+};
+
+// 撤回一次使用，用于使用邀请后加入群组失败的情况
+GroupInviteSchema.statics.releaseUse = async function(inviteId) {
+  try {
+    return await this.updateOne({ _id: inviteId, uses: { $gt: 0 } }, { $inc: { uses: -1 } });
+  } catch (err) {
+    console.error('撤回群组邀请使用次数失败:', err);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('GroupInvite', GroupInviteSchema);
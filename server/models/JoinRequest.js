@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JoinRequest:
+ *       type: object
+ *       required:
+ *         - group
+ *         - user
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 入群申请ID
+ *         group:
+ *           type: string
+ *           description: 申请加入的群组ID
+ *         user:
+ *           type: string
+ *           description: 申请人用户ID
+ *         message:
+ *           type: string
+ *           description: 申请附言
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           description: 申请状态
+ *         handledBy:
+ *           type: string
+ *           description: 处理申请的管理员ID
+ *         handledAt:
+ *           type: string
+ *           format: date-time
+ *           description: 处理时间
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 申请时间
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 更新时间
+ */
+
+const JoinRequestSchema = new mongoose.Schema(
+  {
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: [100, '申请附言不能超过100个字符']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    handledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    handledAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 每个用户对同一群组只能有一个待处理的申请，处理后可以重新申请
+JoinRequestSchema.index(
+  { group: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+// 管理员按状态查看群组的申请列表
+JoinRequestSchema.index({ group: 1, status: 1, createdAt: -1 });
+
+// 将待处理的申请标记为已处理，申请已被其他管理员处理时返回null
+JoinRequestSchema.statics.resolve = async function(requestId, groupId, status, handledBy) {
+  try {
+    return await this.findOneAndUpdate(
+      { _id: requestId, group: groupId, status: 'pending' },
+      { $set: { status, handledBy, handledAt: new Date() } },
+      { new: true }
+    );
+  } catch (err) {
+    console.error('处理入群申请失败:', err);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('JoinRequest', JoinRequestSchema);
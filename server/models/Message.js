@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// 中日韩文字不以空格分词，MongoDB文本索引无法直接检索，需要拆分为相邻两字的词元
+const CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
 /**
  * @swagger
  * components:
@@ -32,10 +35,58 @@ const mongoose = require('mongoose');
  *           description: 消息类型
  *         metadata:
  *           type: object
- *           description: 消息元数据，根据消息类型不同而不同
+ *           description: |
+ *             消息元数据，根据消息类型不同而不同。图片和文件消息包含附件的attachmentId、fileName、mimeType和size，
+ *             图片还包含width、height、blurhash和thumbnails；
+ *             包含链接的文本消息在后台生成预览后写入linkPreview（url、title、description、image、siteName），
+ *             同时向会话参与者推送类型为link_preview的系统消息
+ *         attachment:
+ *           type: string
+ *           description: 图片或文件消息的附件ID，通过 /api/uploads 上传获得
+ *         replyTo:
+ *           type: string
+ *           description: 引用（回复）的消息ID，必须属于同一会话；消息历史中返回被引用消息的简要预览
  *         isRead:
  *           type: boolean
  *           description: 消息是否已读
+ *         reactions:
+ *           type: array
+ *           description: 表情回应，每个表情对应回应过的用户列表
+ *           items:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *               users:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 回应该表情的用户ID
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 最后编辑时间，未编辑过的消息没有该字段
+ *         editHistory:
+ *           type: array
+ *           description: 编辑前的历史版本，按时间先后排列
+ *           items:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: 该版本的消息内容
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 该版本的发送或编辑时间
+ *         recalledAt:
+ *           type: string
+ *           format: date-time
+ *           description: 撤回时间，撤回后消息内容被替换为撤回提示
+ *         recalledBy:
+ *           type: string
+ *           description: 撤回消息的用户ID（发送者或群组管理员）
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -75,9 +126,70 @@ const MessageSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {}
     },
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
     isRead: {
       type: Boolean,
       default: false
+    },
+    reactions: [
+      {
+        _id: false,
+        emoji: {
+          type: String,
+          required: true
+        },
+        users: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }
+        ]
+      }
+    ],
+    editedAt: {
+      type: Date
+    },
+    editHistory: [
+      {
+        _id: false,
+        content: {
+          type: String,
+          required: true
+        },
+        createdAt: {
+          type: Date,
+          required: true
+        }
+      }
+    ],
+    recalledAt: {
+      type: Date
+    },
+    recalledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // 内容中中日韩文字拆分出的检索词元，与content一起建立文本索引
+    searchTokens: {
+      type: String,
+      select: false
+    },
+    // 对自己删除了该消息的用户，这些用户的历史记录中不再显示该消息
+    deletedFor: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      ],
+      select: false
     }
   },
   {
@@ -97,12 +209,172 @@ MessageSchema.pre('save', function(next) {
     this.receiver = undefined;
   }
   
+  // 内容变化（发送、编辑、撤回）时更新检索词元
+  if (this.isModified('content')) {
+    this.searchTokens = this.constructor.tokenizeForSearch(this.content).join(' ');
+  }
+  
   next();
 });
 
+// 将文本中的中日韩文字拆分为相邻两字的词元（单字保留为一个词元），其他文字由文本索引自行分词
+MessageSchema.statics.tokenizeForSearch = function(text) {
+  const tokens = [];
+  
+  for (const [run] of (text || '').matchAll(CJK_RUN_PATTERN)) {
+    const chars = Array.from(run);
+    if (chars.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  
+  return tokens;
+};
+
+// 将搜索关键词拆分为检索短语：非中日韩文字按关键词保留，中日韩文字拆分为词元，所有短语都需要匹配
+MessageSchema.statics.getSearchPhrases = function(query) {
+  const phrases = [];
+  
+  (query || '').replace(/["\\]/g, ' ').split(/\s+/).filter(Boolean).forEach((term) => {
+    term.split(CJK_RUN_PATTERN).filter(Boolean).forEach(part => phrases.push(part));
+    phrases.push(...this.tokenizeForSearch(term));
+  });
+  
+  return [...new Set(phrases)];
+};
+
+// 为添加检索词元之前发送的消息补充词元，返回处理的消息数量
+MessageSchema.statics.backfillSearchTokens = async function(batchSize = 1000) {
+  try {
+    let total = 0;
+    
+    for (;;) {
+      const messages = await this.find({ searchTokens: { $exists: false } })
+        .select('content')
+        .limit(batchSize)
+        .lean();
+      if (messages.length === 0) {
+        return total;
+      }
+      
+      await this.bulkWrite(messages.map(message => ({
+        updateOne: {
+          filter: { _id: message._id },
+          update: { $set: { searchTokens: this.tokenizeForSearch(message.content).join(' ') } }
+        }
+      })));
+      total += messages.length;
+    }
+  } catch (err) {
+    console.error('补充消息检索词元失败:', err);
+    throw err;
+  }
+};
+
+// 编辑消息内容，原内容保存到编辑历史
+MessageSchema.methods.edit = function(content) {
+  this.editHistory.push({
+    content: this.content,
+    createdAt: this.editedAt || this.createdAt
+  });
+  
+  this.content = content;
+  this.editedAt = new Date();
+};
+
+// 检查另一条消息是否与当前消息属于同一会话（同一私聊双方或同一群组）
+MessageSchema.methods.isInSameConversation = function(other) {
+  if (this.group || other.group) {
+    return !!(this.group && other.group && this.group.toString() === other.group.toString());
+  }
+  
+  const participants = [this.sender.toString(), this.receiver.toString()].sort();
+  const otherParticipants = [other.sender.toString(), other.receiver.toString()].sort();
+  
+  return participants[0] === otherParticipants[0] && participants[1] === otherParticipants[1];
+};
+
+// 撤回消息，内容替换为撤回提示，原内容、附件、编辑历史和表情回应一并清除
+MessageSchema.methods.recall = function(userId) {
+  this.content = '此消息已被撤回';
+  this.metadata = {};
+  this.attachment = undefined;
+  this.editHistory = [];
+  this.reactions = [];
+  this.recalledAt = new Date();
+  this.recalledBy = userId;
+};
+
+// 添加表情回应，返回更新后的表情回应列表
+// 消息已有maxReactions种表情时不能新增其他表情，返回null
+MessageSchema.statics.addReaction = async function(messageId, emoji, userId, maxReactions = Infinity) {
+  try {
+    // 已有该表情时加入用户列表，否则新增该表情；两次更新之间被并发新增时重试
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const existing = await this.findOneAndUpdate(
+        { _id: messageId, 'reactions.emoji': emoji },
+        { $addToSet: { 'reactions.$.users': userId } },
+        { new: true, projection: { reactions: 1 } }
+      );
+      if (existing) {
+        return existing.reactions;
+      }
+      
+      const notFull = Number.isFinite(maxReactions)
+        ? { [`reactions.${maxReactions - 1}`]: { $exists: false } }
+        : {};
+      const created = await this.findOneAndUpdate(
+        { _id: messageId, 'reactions.emoji': { $ne: emoji }, ...notFull },
+        { $push: { reactions: { emoji, users: [userId] } } },
+        { new: true, projection: { reactions: 1 } }
+      );
+      if (created) {
+        return created.reactions;
+      }
+    }
+    
+    return null;
+  } catch (err) {
+    console.error('添加表情回应失败:', err);
+    throw err;
+  }
+};
+
+// 移除表情回应，没有用户的表情一并移除，返回更新后的表情回应列表
+MessageSchema.statics.removeReaction = async function(messageId, emoji, userId) {
+  try {
+    await this.updateOne(
+      { _id: messageId, 'reactions.emoji': emoji },
+      { $pull: { 'reactions.$.users': userId } }
+    );
+    
+    const message = await this.findOneAndUpdate(
+      { _id: messageId },
+      { $pull: { reactions: { users: { $size: 0 } } } },
+      { new: true, projection: { reactions: 1 } }
+    );
+    
+    return message ? message.reactions : null;
+  } catch (err) {
+    console.error('移除表情回应失败:', err);
+    throw err;
+  }
+};
+
 // 创建索引
 MessageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 MessageSchema.index({ group: 1, createdAt: -1 });
 MessageSchema.index({ receiver: 1, isRead: 1 });
+MessageSchema.index({ replyTo: 1, createdAt: 1 });
+MessageSchema.index({ attachment: 1 }, { sparse: true });
+// 全文检索，不使用特定语言的词干和停用词以兼容中英文混合内容
+MessageSchema.index(
+  { content: 'text', searchTokens: 'text' },
+  { name: 'message_text_search', default_language: 'none' }
+);
 
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
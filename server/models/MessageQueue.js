@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const MessageBus = require('../utils/MessageBus');
 
 /**
  * @swagger
@@ -25,6 +26,24 @@ const mongoose = require('mongoose');
  *           items:
  *             type: object
  *           description: 等待接收的系统消息列表
+ *         seq:
+ *           type: integer
+ *           description: 队列序号，每入队一项加1，用作确认投递的游标
+ *         sessions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 description: 轮询会话ID
+ *               cursor:
+ *                 type: integer
+ *                 description: 该会话已收到的队列序号
+ *               updatedAt:
+ *                 type: string
+ *                 format: date-time
+ *           description: 各会话（设备）的投递游标，同一用户的每个会话都会收到全部消息
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -57,6 +76,9 @@ const MessageQueueSchema = new mongoose.Schema(
         delivered: {
           type: Boolean,
           default: false
+        },
+        seq: {
+          type: Number
         }
       }
     ],
@@ -64,7 +86,7 @@ const MessageQueueSchema = new mongoose.Schema(
       {
         type: {
           type: String,
-          enum: ['system', 'friend_request', 'notification'],
+          enum: ['system', 'friend_request', 'notification', 'edited', 'recalled', 'reaction', 'read_receipt', 'link_preview'],
           default: 'system'
         },
         content: {
@@ -82,6 +104,30 @@ const MessageQueueSchema = new mongoose.Schema(
         delivered: {
           type: Boolean,
           default: false
+        },
+        seq: {
+          type: Number
+        }
+      }
+    ],
+    seq: {
+      type: Number,
+      default: 0
+    },
+    sessions: [
+      {
+        _id: false,
+        sessionId: {
+          type: String,
+          required: true
+        },
+        cursor: {
+          type: Number,
+          default: 0
+        },
+        updatedAt: {
+          type: Date,
+          default: Date.now
         }
       }
     ],
@@ -95,26 +141,66 @@ const MessageQueueSchema = new mongoose.Schema(
   }
 );
 
+// 流水线更新不会应用Schema默认值，新建队列时需手动补齐
+const QUEUE_DEFAULTS_STAGE = {
+  $set: {
+    messages: { $ifNull: ['$messages', []] },
+    systemMessages: { $ifNull: ['$systemMessages', []] },
+    seq: { $ifNull: ['$seq', 0] },
+    sessions: { $ifNull: ['$sessions', []] },
+    lastPolledAt: { $ifNull: ['$lastPolledAt', '$$NOW'] },
+    createdAt: { $ifNull: ['$createdAt', '$$NOW'] }
+  }
+};
+
+// 判断队列项是否还未投递给游标所属的会话
+// 已编号的项按序号比较；启用游标之前入队的项没有序号，只要尚未投递给任何会话就返回
+const isPendingFor = (item, cursor) => (
+  typeof item.seq === 'number' ? item.seq > cursor : !item.delivered
+);
+
+// 向队列数组追加一项，并在同一次原子更新中分配递增的队列序号
+// 序号与追加顺序一致，客户端确认某个游标即表示该序号及之前的项都已收到
+const pushQueueItem = function(model, userId, field, item) {
+  const nextSeq = { $add: ['$seq', 1] };
+  
+  return model.findOneAndUpdate(
+    { user: userId },
+    [
+      QUEUE_DEFAULTS_STAGE,
+      {
+        $set: {
+          seq: nextSeq,
+          [field]: {
+            $concatArrays: [
+              `$${field}`,
+              // 使用$literal避免元数据中以$开头的键被当作表达式解析
+              [{ $mergeObjects: [{ $literal: item }, { seq: nextSeq }] }]
+            ]
+          }
+        }
+      }
+    ],
+    { 
+      new: true, 
+      upsert: true 
+    }
+  );
+};
+
 // 添加消息到用户队列的静态方法
 MessageQueueSchema.statics.addMessageToQueue = async function(userId, messageId) {
   try {
     // 找到用户的消息队列，如果不存在则创建
-    const queue = await this.findOneAndUpdate(
-      { user: userId },
-      { 
-        $push: { 
-          messages: { 
-            message: messageId,
-            addedAt: new Date(),
-            delivered: false 
-          } 
-        } 
-      },
-      { 
-        new: true, 
-        upsert: true 
-      }
-    );
+    const queue = await pushQueueItem(this, userId, 'messages', {
+      _id: new mongoose.Types.ObjectId(),
+      message: new mongoose.Types.ObjectId(messageId.toString()),
+      addedAt: new Date(),
+      delivered: false
+    });
+    
+    // 通知实时通道有新消息
+    MessageBus.publishQueued(userId, { type: 'message' });
     
     return queue;
   } catch (err) {
@@ -131,98 +217,259 @@ MessageQueueSchema.statics.addSystemMessageToQueue = async function(userId, syst
     }
     
     // 找到用户的消息队列，如果不存在则创建
+    const queue = await pushQueueItem(this, userId, 'systemMessages', {
+      _id: new mongoose.Types.ObjectId(),
+      type: systemMessage.type || 'system',
+      content: systemMessage.content,
+      metadata: systemMessage.metadata || {},
+      addedAt: new Date(),
+      delivered: false
+    });
+    
+    // 通知实时通道有新系统消息
+    MessageBus.publishQueued(userId, { type: 'system' });
+    
+    return queue;
+  } catch (err) {
+    console.error('添加系统消息到队列失败:', err);
+    throw err;
+  }
+};
+
+// 为会话（设备）建立投递游标，返回该会话的游标
+// 新会话从最早一条尚未投递给任何会话的消息开始接收，离线期间的消息不会丢失；
+// 之后每个会话按自己的游标读取，互不影响
+MessageQueueSchema.statics.registerSession = async function(userId, sessionId) {
+  try {
+    // 未投递项中的最小序号，没有时为null
+    const undeliveredSeqs = field => ({
+      $map: {
+        input: {
+          $filter: {
+            input: `$${field}`,
+            cond: { $and: [{ $not: ['$$this.delivered'] }, { $isNumber: '$$this.seq' }] }
+          }
+        },
+        in: '$$this.seq'
+      }
+    });
+    const firstUndeliveredSeq = {
+      $min: { $concatArrays: [undeliveredSeqs('messages'), undeliveredSeqs('systemMessages')] }
+    };
+    
     const queue = await this.findOneAndUpdate(
       { user: userId },
-      { 
-        $push: { 
-          systemMessages: { 
-            type: systemMessage.type || 'system',
-            content: systemMessage.content,
-            metadata: systemMessage.metadata || {},
-            addedAt: new Date(),
-            delivered: false 
-          } 
-        } 
-      },
-      { 
-        new: true, 
-        upsert: true 
+      [
+        QUEUE_DEFAULTS_STAGE,
+        {
+          $set: {
+            sessions: {
+              $cond: [
+                { $in: [{ $literal: sessionId }, '$sessions.sessionId'] },
+                '$sessions',
+                {
+                  $concatArrays: [
+                    '$sessions',
+                    [{
+                      sessionId: { $literal: sessionId },
+                      cursor: { $ifNull: [{ $subtract: [firstUndeliveredSeq, 1] }, '$seq'] },
+                      updatedAt: '$$NOW'
+                    }]
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      ],
+      {
+        new: true,
+        upsert: true,
+        projection: { sessions: 1 }
       }
     );
     
-    return queue;
+    return queue.sessions.find(session => session.sessionId === sessionId).cursor;
   } catch (err) {
-    console.error('添加系统消息到队列失败:', err);
+    console.error('注册会话投递游标失败:', err);
+    throw err;
+  }
+};
+
+// 移除会话的投递游标
+MessageQueueSchema.statics.removeSession = async function(userId, sessionId) {
+  try {
+    await this.updateOne(
+      { user: userId },
+      { $pull: { sessions: { sessionId } } }
+    );
+    return true;
+  } catch (err) {
+    console.error('移除会话投递游标失败:', err);
+    throw err;
+  }
+};
+
+// 确认投递：将序号不超过游标的队列项标记为已发送
+// 传入sessionId时同时推进该会话的游标；游标不能超过队列当前序号，避免把尚未入队的项提前确认
+MessageQueueSchema.statics.acknowledge = async function(userId, cursor, sessionId = null) {
+  try {
+    // 序号从1开始，游标0表示尚未收到任何项
+    if (!(cursor >= 1)) {
+      return false;
+    }
+    
+    // 启用游标之前入队的项没有序号，随第一次确认一并标记
+    const unacknowledged = name => ({
+      [`${name}.delivered`]: false,
+      $or: [
+        { [`${name}.seq`]: { $lte: cursor } },
+        { [`${name}.seq`]: { $exists: false } }
+      ]
+    });
+    
+    const update = {
+      $set: {
+        'messages.$[elem].delivered': true,
+        'systemMessages.$[sys].delivered': true,
+        lastPolledAt: new Date()
+      }
+    };
+    const arrayFilters = [unacknowledged('elem'), unacknowledged('sys')];
+    
+    if (sessionId) {
+      update.$set['sessions.$[session].updatedAt'] = new Date();
+      update.$max = { 'sessions.$[session].cursor': cursor };
+      arrayFilters.push({ 'session.sessionId': sessionId });
+    }
+    
+    const result = await this.updateOne(
+      { user: userId, seq: { $gte: cursor } },
+      update,
+      { arrayFilters }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (err) {
+    console.error('确认投递失败:', err);
     throw err;
   }
 };
 
-// 检索并标记用户队列中的消息为已发送
-MessageQueueSchema.statics.getPendingMessages = async function(userId) {
+// 推进会话游标，并将返回给该会话的队列项标记为已发送
+const markDelivered = async function(model, userId, sessionId, cursor, messageItemIds, systemItemIds) {
+  const update = { $set: { lastPolledAt: new Date() } };
+  const arrayFilters = [];
+  
+  if (messageItemIds.length > 0) {
+    update.$set['messages.$[elem].delivered'] = true;
+    arrayFilters.push({ 'elem._id': { $in: messageItemIds } });
+  }
+  
+  if (systemItemIds.length > 0) {
+    update.$set['systemMessages.$[sys].delivered'] = true;
+    arrayFilters.push({ 'sys._id': { $in: systemItemIds } });
+  }
+  
+  if (sessionId) {
+    update.$set['sessions.$[session].updatedAt'] = new Date();
+    update.$max = { 'sessions.$[session].cursor': cursor };
+    arrayFilters.push({ 'session.sessionId': sessionId });
+  }
+  
+  if (arrayFilters.length === 0) {
+    return;
+  }
+  
+  await model.updateOne({ user: userId }, update, { arrayFilters });
+};
+
+// 获取会话的投递游标，会话尚未建立游标时自动注册
+const getSessionCursor = async function(model, queue, userId, sessionId) {
+  const session = queue.sessions.find(item => item.sessionId === sessionId);
+  if (session) {
+    return session.cursor;
+  }
+  
+  return model.registerSession(userId, sessionId);
+};
+
+// 检索用户队列中的待处理消息
+// 传入sessionId时按会话游标读取，同一用户的每个会话都会收到全部消息；
+// 未传入时沿用旧行为，返回尚未投递给任何会话的消息。
+// 默认读取后立即标记为已发送；传入ack时改为确认投递模式：
+// 先确认ack游标之前的项，返回的项保持未发送状态，直到客户端在下一次轮询中确认返回的cursor
+MessageQueueSchema.statics.getPendingMessages = async function(userId, options = {}) {
   try {
+    const ackMode = options.ack !== undefined && options.ack !== null;
+    const sessionId = options.sessionId || null;
+    
+    if (ackMode) {
+      await this.acknowledge(userId, options.ack, sessionId);
+    }
+    
     // 查找用户的消息队列
     const queue = await this.findOne({ user: userId })
       .populate({
         path: 'messages.message',
         populate: [
-          { path: 'sender', select: 'username avatar status' },
-          { path: 'group', select: 'name avatar' }
+          { path: 'sender', select: 'username avatar' },
+          { path: 'group', select: 'name avatar' },
+          {
+            path: 'replyTo',
+            select: 'sender content type createdAt recalledAt',
+            populate: { path: 'sender', select: 'username avatar' }
+          }
         ]
       });
     
     if (!queue) {
       return {
         messages: [],
-        systemMessages: []
+        systemMessages: [],
+        cursor: 0
       };
     }
     
-    // 获取未发送的普通消息
-    const pendingMessages = queue.messages.filter(m => !m.delivered);
+    // 判断队列项是否待发送给当前会话
+    let isPending = m => !m.delivered;
+    if (sessionId) {
+      const sessionCursor = await getSessionCursor(this, queue, userId, sessionId);
+      isPending = m => isPendingFor(m, sessionCursor);
+    }
+    
+    // 获取未发送的普通消息（忽略原消息已不存在的队列项）
+    const pendingMessages = queue.messages.filter(m => isPending(m) && m.message);
     
     // 获取未发送的系统消息
-    const pendingSystemMessages = queue.systemMessages.filter(m => !m.delivered);
-    
-    // 标记普通消息为已发送
-    if (pendingMessages.length > 0) {
-      const messageIds = pendingMessages.map(m => m.message._id);
-      
-      await this.updateOne(
-        { user: userId },
-        { 
-          $set: { 
-            'messages.$[elem].delivered': true
-          } 
-        },
-        { 
-          arrayFilters: [{ 'elem.message': { $in: messageIds } }],
-          multi: true 
-        }
+    const pendingSystemMessages = queue.systemMessages.filter(isPending);
+    
+    // 本次读取时的队列序号，返回的所有项序号都不超过该值
+    let cursor = queue.seq || 0;
+    
+    // 确认投递模式下由客户端确认游标后再标记
+    if (!ackMode && (pendingMessages.length > 0 || pendingSystemMessages.length > 0)) {
+      await markDelivered(
+        this,
+        userId,
+        sessionId,
+        cursor,
+        pendingMessages.filter(m => !m.delivered).map(m => m._id),
+        pendingSystemMessages.filter(m => !m.delivered).map(m => m._id)
       );
     }
     
-    // 标记系统消息为已发送
-    if (pendingSystemMessages.length > 0) {
-      const systemMessageIds = pendingSystemMessages.map(m => m._id);
-      
-      await this.updateOne(
-        { user: userId },
-        { 
-          $set: { 
-            'systemMessages.$[elem].delivered': true
-          },
-          lastPolledAt: new Date()
-        },
-        { 
-          arrayFilters: [{ 'elem._id': { $in: systemMessageIds } }],
-          multi: true 
-        }
-      );
+    // 只有未编号的旧队列项时，将序号推进到1，使客户端能够确认这些项
+    const hasUnsequenced = [...pendingMessages, ...pendingSystemMessages].some(m => m.seq === undefined);
+    if (ackMode && cursor === 0 && hasUnsequenced) {
+      await this.updateOne({ user: userId }, { $max: { seq: 1 } });
+      cursor = 1;
     }
     
     return {
       messages: pendingMessages.map(m => m.message),
-      systemMessages: pendingSystemMessages
+      systemMessages: pendingSystemMessages,
+      cursor
     };
   } catch (err) {
     console.error('获取待处理消息失败:', err);
@@ -230,6 +477,71 @@ MessageQueueSchema.statics.getPendingMessages = async function(userId) {
   }
 };
 
+// 获取待处理消息以及指定时间之后入队的消息（用于断线续传），并标记为已发送
+// 与getPendingMessages不同，返回的是队列项本身，保留入队时间和队列项ID；
+// 传入sessionId时按会话游标判断待处理消息
+MessageQueueSchema.statics.getMessagesSince = async function(userId, since = null, excludeItemId = null, sessionId = null) {
+  try {
+    const queue = await this.findOne({ user: userId })
+      .populate({
+        path: 'messages.message',
+        populate: [
+          { path: 'sender', select: 'username avatar' },
+          { path: 'group', select: 'name avatar' },
+          {
+            path: 'replyTo',
+            select: 'sender content type createdAt recalledAt',
+            populate: { path: 'sender', select: 'username avatar' }
+          }
+        ]
+      });
+    
+    if (!queue) {
+      return {
+        messages: [],
+        systemMessages: []
+      };
+    }
+    
+    let isPending = item => !item.delivered;
+    if (sessionId) {
+      const sessionCursor = await getSessionCursor(this, queue, userId, sessionId);
+      isPending = item => isPendingFor(item, sessionCursor);
+    }
+    
+    // 未发送的消息，或续传时间点之后入队的消息（排除客户端已收到的最后一项）
+    const isWanted = item => isPending(item) || (
+      since &&
+      item.addedAt >= since &&
+      item._id.toString() !== (excludeItemId && excludeItemId.toString())
+    );
+    const byAddedAt = (a, b) => a.addedAt - b.addedAt;
+    
+    // 忽略原消息已不存在的队列项
+    const messages = queue.messages.filter(m => m.message && isWanted(m)).sort(byAddedAt);
+    const systemMessages = queue.systemMessages.filter(isWanted).sort(byAddedAt);
+    
+    if (messages.length > 0 || systemMessages.length > 0) {
+      await markDelivered(
+        this,
+        userId,
+        sessionId,
+        queue.seq || 0,
+        messages.filter(m => !m.delivered).map(m => m._id),
+        systemMessages.filter(m => !m.delivered).map(m => m._id)
+      );
+    }
+    
+    return {
+      messages,
+      systemMessages
+    };
+  } catch (err) {
+    console.error('获取续传消息失败:', err);
+    throw err;
+  }
+};
+
 // 定期清理已发送的旧消息
 MessageQueueSchema.statics.cleanupDeliveredMessages = async function() {
   try {
@@ -261,6 +573,18 @@ MessageQueueSchema.statics.cleanupDeliveredMessages = async function() {
       }
     );
     
+    // 清理超过一天没有读取的会话游标
+    await this.updateMany(
+      {},
+      {
+        $pull: {
+          sessions: {
+            updatedAt: { $lt: oneDayAgo }
+          }
+        }
+      }
+    );
+    
     return true;
   } catch (err) {
     console.error('清理已发送消息失败:', err);
@@ -8,6 +8,8 @@ const Schema = mongoose.Schema;
  * FRIEND_ACCEPTED: 好友请求接受通知
  * GROUP_INVITE: 群组邀请通知
  * GROUP_JOIN: 用户加入群组通知
+ * GROUP_JOIN_REQUEST: 入群申请通知（发送给群组管理员）
+ * GROUP_JOIN_REJECTED: 入群申请被拒绝通知
  * SYSTEM: 系统通知
  */
 const NOTIFICATION_TYPES = {
@@ -16,6 +18,8 @@ const NOTIFICATION_TYPES = {
   FRIEND_ACCEPTED: 'friend_accepted',
   GROUP_INVITE: 'group_invite',
   GROUP_JOIN: 'group_join',
+  GROUP_JOIN_REQUEST: 'group_join_request',
+  GROUP_JOIN_REJECTED: 'group_join_rejected',
   SYSTEM: 'system'
 };
 
@@ -67,6 +71,19 @@ NotificationSchema.statics.createMessageNotification = async function(recipientI
   });
 };
 
+// 静态方法：将指定消息的消息通知标记为已读
+NotificationSchema.statics.markMessageNotificationsAsRead = async function(recipientId, messageIds) {
+  return this.updateMany(
+    {
+      recipient: recipientId,
+      type: NOTIFICATION_TYPES.MESSAGE,
+      relatedId: { $in: messageIds },
+      isRead: false
+    },
+    { isRead: true }
+  );
+};
+
 // 静态方法：创建好友请求通知
 NotificationSchema.statics.createFriendRequestNotification = async function(recipientId, senderId, requestId) {
   return this.create({
@@ -110,6 +127,28 @@ NotificationSchema.statics.createGroupJoinNotification = async function(groupId,
   });
 };
 
+// 静态方法：创建入群申请通知，通知群组管理员
+NotificationSchema.statics.createGroupJoinRequestNotification = async function(recipientId, senderId, requestId, groupName) {
+  return this.create({
+    recipient: recipientId,
+    sender: senderId,
+    type: NOTIFICATION_TYPES.GROUP_JOIN_REQUEST,
+    content: `收到新的入群申请: ${groupName}`,
+    relatedId: requestId
+  });
+};
+
+// 静态方法：创建入群申请被拒绝通知
+NotificationSchema.statics.createGroupJoinRejectedNotification = async function(recipientId, senderId, groupId, groupName) {
+  return this.create({
+    recipient: recipientId,
+    sender: senderId,
+    type: NOTIFICATION_TYPES.GROUP_JOIN_REJECTED,
+    content: `您加入群组 ${groupName} 的申请未通过`,
+    relatedId: groupId
+  });
+};
+
 // 静态方法：创建系统通知
 NotificationSchema.statics.createSystemNotification = async function(recipientId, content) {
   return this.create({
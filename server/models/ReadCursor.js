@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReadCursor:
+ *       type: object
+ *       required:
+ *         - user
+ *         - conversationType
+ *         - conversationId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 读取游标ID
+ *         user:
+ *           type: string
+ *           description: 读取消息的用户ID
+ *         conversationType:
+ *           type: string
+ *           enum: [private, group]
+ *           description: 会话类型
+ *         conversationId:
+ *           type: string
+ *           description: 会话ID，私聊为对方用户ID，群聊为群组ID
+ *         lastReadMessage:
+ *           type: string
+ *           description: 最后读取的消息ID
+ *         lastReadAt:
+ *           type: string
+ *           format: date-time
+ *           description: 最后读取消息的发送时间，该时间及之前的消息均视为已读
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 创建时间
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 更新时间
+ */
+
+const ReadCursorSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    conversationType: {
+      type: String,
+      enum: ['private', 'group'],
+      required: true
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    lastReadMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    lastReadAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// 每个用户在每个会话中只有一个读取游标
+ReadCursorSchema.index({ user: 1, conversationType: 1, conversationId: 1 }, { unique: true });
+// 用于查询某条消息的已读成员
+ReadCursorSchema.index({ conversationType: 1, conversationId: 1, lastReadAt: 1 });
+
+// 将用户在会话中的读取游标推进到指定消息，游标只前进不后退
+ReadCursorSchema.statics.advance = async function(userId, conversationType, conversationId, message) {
+  try {
+    const isNewer = {
+      $gt: [message.createdAt, { $ifNull: ['$lastReadAt', new Date(0)] }]
+    };
+    
+    // 流水线更新不会应用Schema默认值，新建游标时需手动补齐创建时间
+    return await this.findOneAndUpdate(
+      { user: userId, conversationType, conversationId },
+      [
+        {
+          $set: {
+            lastReadMessage: { $cond: [isNewer, message._id, '$lastReadMessage'] },
+            lastReadAt: { $cond: [isNewer, message.createdAt, '$lastReadAt'] },
+            createdAt: { $ifNull: ['$createdAt', '$$NOW'] }
+          }
+        }
+      ],
+      {
+        new: true,
+        upsert: true
+      }
+    );
+  } catch (err) {
+    console.error('更新读取游标失败:', err);
+    throw err;
+  }
+};
+
+// 获取用户在多个会话中的读取时间，返回 会话ID => 最后读取时间 的映射
+ReadCursorSchema.statics.getLastReadTimes = async function(userId, conversationType, conversationIds) {
+  try {
+    const cursors = await this.find({
+      user: userId,
+      conversationType,
+      conversationId: { $in: conversationIds }
+    }).select('conversationId lastReadAt');
+    
+    return new Map(cursors.map(cursor => [cursor.conversationId.toString(), cursor.lastReadAt]));
+  } catch (err) {
+    console.error('获取读取游标失败:', err);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('ReadCursor', ReadCursorSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatusNotification:
+ *       type: object
+ *       required:
+ *         - recipient
+ *         - userId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 通知ID
+ *         recipient:
+ *           type: string
+ *           description: 接收通知的用户ID
+ *         sessionId:
+ *           type: string
+ *           description: 接收通知的会话ID，同一用户的每个会话各有一份通知
+ *         type:
+ *           type: string
+ *           enum: [status_change, typing]
+ *           description: 通知类型，status_change为在线状态变化，typing为正在输入
+ *         userId:
+ *           type: string
+ *           description: 状态发生变化（或正在输入）的用户ID
+ *         status:
+ *           type: string
+ *           enum: [online, offline, away, busy]
+ *           description: 新状态（status_change）
+ *         username:
+ *           type: string
+ *           description: 正在输入的用户名（typing）
+ *         conversationType:
+ *           type: string
+ *           enum: [private, group]
+ *           description: 正在输入的会话类型（typing）
+ *         conversationId:
+ *           type: string
+ *           description: 正在输入的会话ID，从接收者看私聊为输入者ID，群聊为群组ID（typing）
+ *         state:
+ *           type: string
+ *           enum: [typing, stopped]
+ *           description: 输入状态（typing）
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: 过期时间，过期后不再返回（typing）
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 创建时间，10分钟后自动过期
+ */
+
+const StatusNotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['status_change', 'typing'],
+    default: 'status_change'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['online', 'offline', 'away', 'busy'],
+    required: function() {
+      return this.type === 'status_change';
+    }
+  },
+  username: {
+    type: String
+  },
+  conversationType: {
+    type: String,
+    enum: ['private', 'group']
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  state: {
+    type: String,
+    enum: ['typing', 'stopped']
+  },
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    // 未被取走的状态通知10分钟后自动删除
+    expires: 10 * 60
+  }
+});
+
+// 索引以提高查询性能
+StatusNotificationSchema.index({ recipient: 1, sessionId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('StatusNotification', StatusNotificationSchema);
@@ -45,6 +45,29 @@ const jwt = require('jsonwebtoken');
  *           items:
  *             type: object
  *           description: 好友分组
+ *         blockedUsers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 黑名单中的用户ID，双方互相不能发送私聊消息和好友请求，搜索结果中互相不可见，在线状态互相显示为离线
+ *         privacy:
+ *           type: object
+ *           description: 隐私设置
+ *           properties:
+ *             messagePermission:
+ *               type: string
+ *               enum: [everyone, friends]
+ *               default: everyone
+ *               description: 谁可以给我发私聊消息，friends表示只有好友可以
+ *             hideOnlineStatus:
+ *               type: boolean
+ *               default: false
+ *               description: 是否隐藏在线状态，开启后其他用户看到的状态始终为离线，也不会收到状态变化通知
+ *             groupInvitePermission:
+ *               type: string
+ *               enum: [everyone, friends, nobody]
+ *               default: everyone
+ *               description: 谁可以邀请我加入群组，friends表示只有好友可以，nobody表示不接受任何群组邀请
  *         resetPasswordToken:
  *           type: string
  *           description: 密码重置令牌
@@ -137,6 +160,28 @@ const UserSchema = new mongoose.Schema(
         }
       }
     ],
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    privacy: {
+      messagePermission: {
+        type: String,
+        enum: ['everyone', 'friends'],
+        default: 'everyone'
+      },
+      hideOnlineStatus: {
+        type: Boolean,
+        default: false
+      },
+      groupInvitePermission: {
+        type: String,
+        enum: ['everyone', 'friends', 'nobody'],
+        default: 'everyone'
+      }
+    },
     lastActive: {
       type: Date,
       default: Date.now
@@ -149,6 +194,9 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// 查询拉黑了某个用户的用户
+UserSchema.index({ blockedUsers: 1 });
+
 // 保存前加密密码
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -200,4 +248,46 @@ UserSchema.methods.getFriendNickname = function(userId) {
   return friend ? friend.nickname || null : null;
 };
 
+// 检查是否已将用户加入黑名单
+UserSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(blockedId => blockedId.toString() === userId.toString());
+};
+
+// 检查与另一个用户之间是否存在拉黑关系（任意一方拉黑对方），两个用户都需要读取blockedUsers
+UserSchema.methods.isBlockedWith = function(user) {
+  return this.hasBlocked(user._id) || user.hasBlocked(this._id);
+};
+
+// 获取对某个用户可见的在线状态，隐藏在线状态或存在拉黑关系时显示为离线
+UserSchema.methods.getPresenceFor = function(viewer) {
+  const hidden = (this.privacy && this.privacy.hideOnlineStatus) || this.isBlockedWith(viewer);
+  return {
+    status: hidden ? 'offline' : this.status,
+    lastActive: hidden ? null : this.lastActive
+  };
+};
+
+// 检查私聊权限设置是否允许某个用户给自己发消息（不检查拉黑关系），需要读取friends和privacy
+UserSchema.methods.allowsMessageFrom = function(userId) {
+  const permission = (this.privacy && this.privacy.messagePermission) || 'everyone';
+  return permission !== 'friends' || this.isFriend(userId);
+};
+
+// 检查是否允许某个用户邀请自己加入群组，存在拉黑关系时不允许
+UserSchema.methods.allowsGroupInviteFrom = function(user) {
+  const permission = (this.privacy && this.privacy.groupInvitePermission) || 'everyone';
+  if (permission === 'nobody' || this.isBlockedWith(user)) {
+    return false;
+  }
+  return permission === 'everyone' || this.isFriend(user._id);
+};
+
+// 生成排除自己和存在拉黑关系的用户的查询条件，用于用户搜索等列表
+UserSchema.statics.getVisibleFilter = function(viewer) {
+  return {
+    _id: { $nin: [viewer._id, ...(viewer.blockedUsers || [])] },
+    blockedUsers: { $ne: viewer._id }
+  };
+};
+
 module.exports = mongoose.model('User', UserSchema); 
\ No newline at end of file
@@ -5,7 +5,6 @@ const FriendRequest = require('../models/FriendRequest');
 const { Notification } = require('../models/Notification');
 const { protect } = require('../middlewares/auth');
 const mongoose = require('mongoose');
-const MessageQueue = require('../models/MessageQueue');
 
 /**
  * @swagger
@@ -34,7 +33,7 @@ router.get('/', protect, async (req, res, next) => {
     const user = await User.findById(req.user._id)
       .populate({
         path: 'friends.user',
-        select: 'username email avatar bio status lastActive'
+        select: 'username email avatar bio status lastActive privacy.hideOnlineStatus blockedUsers'
       });
     
     if (!user) {
@@ -74,8 +73,7 @@ router.get('/', protect, async (req, res, next) => {
         email: friend.user.email,
         avatar: friend.user.avatar,
         bio: friend.user.bio,
-        status: friend.user.status,
-        lastActive: friend.user.lastActive,
+        ...friend.user.getPresenceFor(user),
         addedAt: friend.addedAt
       };
       
@@ -120,7 +118,7 @@ router.get('/list', protect, async (req, res, next) => {
     const user = await User.findById(req.user._id)
       .populate({
         path: 'friends.user',
-        select: 'username email avatar bio status lastActive'
+        select: 'username email avatar bio status lastActive privacy.hideOnlineStatus blockedUsers'
       });
     
     if (!user) {
@@ -138,8 +136,7 @@ router.get('/list', protect, async (req, res, next) => {
       email: friend.user.email,
       avatar: friend.user.avatar,
       bio: friend.user.bio,
-      status: friend.user.status,
-      lastActive: friend.user.lastActive,
+      ...friend.user.getPresenceFor(user),
       groupId: friend.groupId || 'default',
       addedAt: friend.addedAt
     }));
@@ -177,6 +174,8 @@ router.get('/list', protect, async (req, res, next) => {
  *         description: 好友已存在
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 存在拉黑关系，无法添加
  *       404:
  *         description: 用户不存在
  */
@@ -213,6 +212,14 @@ router.post('/add/:userId', protect, async (req, res, next) => {
       });
     }
     
+    // 存在拉黑关系时不能添加好友
+    if (user.isBlockedWith(friend)) {
+      return res.status(403).json({
+        success: false,
+        message: user.hasBlocked(friend._id) ? '您已将该用户加入黑名单，请先移出黑名单' : '无法添加该用户为好友'
+      });
+    }
+    
     // 检查是否已经是好友
     const alreadyFriends = user.friends.some(
       friend => friend.user.toString() === friendId
@@ -255,7 +262,7 @@ router.post('/add/:userId', protect, async (req, res, next) => {
           email: friend.email,
           avatar: friend.avatar,
           bio: friend.bio,
-          status: friend.status
+          status: friend.getPresenceFor(user).status
         }
       }
     });
@@ -389,7 +396,7 @@ router.get('/check/:userId', protect, async (req, res, next) => {
       
       // 获取好友的基本信息
       const friendUser = await User.findById(targetUserId)
-        .select('username email avatar bio status lastActive');
+        .select('username email avatar bio status lastActive privacy.hideOnlineStatus blockedUsers');
       
       if (friendUser) {
         friendData = {
@@ -399,8 +406,7 @@ router.get('/check/:userId', protect, async (req, res, next) => {
           email: friendUser.email,
           avatar: friendUser.avatar,
           bio: friendUser.bio,
-          status: friendUser.status,
-          lastActive: friendUser.lastActive,
+          ...friendUser.getPresenceFor(user),
           groupId: friendInfo.groupId,
           addedAt: friendInfo.addedAt
         };
@@ -447,6 +453,8 @@ router.get('/check/:userId', protect, async (req, res, next) => {
  *         description: 无法发送请求
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 存在拉黑关系，无法发送请求
  */
 router.post('/request', protect, async (req, res, next) => {
   try {
@@ -480,6 +488,15 @@ router.post('/request', protect, async (req, res, next) => {
     
     // 检查是否已经是好友
     const sender = await User.findById(senderId);
+    
+    // 存在拉黑关系时不能发送好友请求
+    if (sender.isBlockedWith(receiver)) {
+      return res.status(403).json({
+        success: false,
+        message: sender.hasBlocked(receiver._id) ? '您已将该用户加入黑名单，请先移出黑名单' : '无法向该用户发送好友请求'
+      });
+    }
+    
     if (sender.friends.some(friend => friend.user.toString() === receiverId)) {
       return res.status(400).json({
         success: false,
@@ -528,7 +545,7 @@ router.post('/request', protect, async (req, res, next) => {
     };
     
     // 创建系统消息
-    const systemMessage = await global.MessageQueue.addSystemMessageToQueue(
+    await global.MessageQueue.addSystemMessageToQueue(
       receiverId,
       notificationMessage
     );
@@ -573,13 +590,13 @@ router.get('/requests/pending', protect, async (req, res, next) => {
     const receivedRequests = await FriendRequest.find({
       receiver: userId,
       status: 'pending'
-    }).populate('sender', 'username email avatar status');
+    }).populate('sender', 'username email avatar');
     
     // 获取发送出去的待处理请求
     const sentRequests = await FriendRequest.find({
       sender: userId,
       status: 'pending'
-    }).populate('receiver', 'username email avatar status');
+    }).populate('receiver', 'username email avatar');
     
     res.status(200).json({
       success: true,
@@ -624,8 +641,8 @@ router.put('/request/:requestId/accept', protect, async (req, res, next) => {
     
     // 查找好友请求
     const request = await FriendRequest.findById(requestId)
-      .populate('sender', 'username email avatar status')
-      .populate('receiver', 'username email avatar status');
+      .populate('sender', 'username email avatar')
+      .populate('receiver', 'username email avatar');
     
     if (!request) {
       return res.status(404).json({
@@ -700,7 +717,7 @@ router.put('/request/:requestId/accept', protect, async (req, res, next) => {
     };
     
     // 创建系统消息
-    const systemMessage = await global.MessageQueue.addSystemMessageToQueue(
+    await global.MessageQueue.addSystemMessageToQueue(
       sender._id,
       notificationMessage
     );
@@ -715,7 +732,7 @@ router.put('/request/:requestId/accept', protect, async (req, res, next) => {
           username: sender.username,
           email: sender.email,
           avatar: sender.avatar,
-          status: sender.status
+          ...sender.getPresenceFor(currentUser)
         }
       }
     });
@@ -798,7 +815,7 @@ router.put('/request/:requestId/reject', protect, async (req, res, next) => {
     };
     
     // 创建系统消息
-    const systemMessage = await global.MessageQueue.addSystemMessageToQueue(
+    await global.MessageQueue.addSystemMessageToQueue(
       request.sender,
       notificationMessage
     );
@@ -828,7 +845,7 @@ router.put('/request/:requestId/reject', protect, async (req, res, next) => {
  *         description: 搜索关键词(用户名或邮箱)
  *     responses:
  *       200:
- *         description: 搜索成功
+ *         description: 搜索成功，不包含存在拉黑关系的用户
  *       401:
  *         description: 未授权
  */
@@ -844,23 +861,23 @@ router.get('/search', protect, async (req, res, next) => {
       });
     }
     
-    // 构建搜索条件
+    // 查询当前用户，获取好友列表和黑名单
+    const currentUser = await User.findById(userId);
+    
+    // 构建搜索条件，排除自己和存在拉黑关系的用户
     const searchCondition = {
       $or: [
         { username: { $regex: keyword, $options: 'i' } },
         { email: { $regex: keyword, $options: 'i' } }
       ],
-      _id: { $ne: userId } // 排除自己
+      ...User.getVisibleFilter(currentUser)
     };
     
     // 搜索用户
     const users = await User.find(searchCondition)
-      .select('username email avatar bio status lastActive')
+      .select('username email avatar bio status lastActive privacy.hideOnlineStatus blockedUsers')
       .limit(20); // 限制返回数量
     
-    // 查询当前用户，获取好友列表
-    const currentUser = await User.findById(userId);
-    
     // 为每个用户添加关系标识
     const usersWithRelation = await Promise.all(users.map(async (user) => {
       // 检查是否是好友
@@ -894,8 +911,7 @@ router.get('/search', protect, async (req, res, next) => {
         email: user.email,
         avatar: user.avatar,
         bio: user.bio,
-        status: user.status,
-        lastActive: user.lastActive,
+        ...user.getPresenceFor(currentUser),
         relation,
         requestId,
         requestDirection
@@ -2,11 +2,158 @@ const express = require('express');
 const router = express.Router();
 const Group = require('../models/Group');
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const JoinRequest = require('../models/JoinRequest');
+const GroupInvite = require('../models/GroupInvite');
+const GroupInvitation = require('../models/GroupInvitation');
 const User = require('../models/User');
 const { Notification } = require('../models/Notification');
-const { protect } = require('../middlewares/auth');
+const { protect, checkGroupPermission } = require('../middlewares/auth');
 const mongoose = require('mongoose');
 
+const JOIN_POLICIES = ['open', 'approval', 'invite_only'];
+// 入群申请列表单页最大数量
+const MAX_JOIN_REQUEST_PAGE_SIZE = 100;
+// 每个群组最多的自定义角色数量和角色名称最大长度
+const MAX_CUSTOM_ROLES = 10;
+const MAX_ROLE_NAME_LENGTH = 20;
+// 角色名称只能包含文字、数字、下划线和连字符，且不能与Object原型上的属性（如constructor、__proto__）同名
+const ROLE_NAME_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+const RESERVED_ROLE_NAMES = Object.getOwnPropertyNames(Object.prototype);
+// 每个群组最多的置顶消息数量
+const MAX_PINNED_MESSAGES = 10;
+
+// 查找checkGroupPermission已加载的群组中待处理的入群申请
+// 检查不通过时直接返回错误响应并返回null
+async function findPendingJoinRequest(req, res) {
+  const { requestId } = req.params;
+  const group = req.group;
+  
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    res.status(400).json({
+      success: false,
+      message: '无效的申请ID'
+    });
+    return null;
+  }
+  
+  const request = await JoinRequest.findOne({ _id: requestId, group: group._id });
+  
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      message: '入群申请不存在'
+    });
+    return null;
+  }
+  
+  if (request.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: '该申请已被处理'
+    });
+    return null;
+  }
+  
+  return { group, request };
+}
+
+// 邀请用户加入群组：检查被邀请人的群组邀请权限，创建待确认的邀请并通知被邀请人
+// 无法邀请时返回 { status, message }，成功时返回 { invitation }
+async function inviteToGroup(group, inviter, invitee, nickname = '') {
+  if (group.isMember(invitee._id)) {
+    return { status: 400, message: '该用户已经是群组成员' };
+  }
+  
+  if (group.members.length >= group.maxMembers) {
+    return { status: 400, message: '群组成员已达到上限' };
+  }
+  
+  if (!invitee.allowsGroupInviteFrom(inviter)) {
+    return { status: 403, message: '对方不接受您的群组邀请' };
+  }
+  
+  await GroupInvitation.expirePending(group._id, invitee._id);
+  if (await GroupInvitation.findPending(group._id, invitee._id)) {
+    return { status: 400, message: '已邀请过该用户，请等待对方确认' };
+  }
+  
+  const invitation = await GroupInvitation.create({
+    group: group._id,
+    inviter: inviter._id,
+    invitee: invitee._id,
+    nickname
+  });
+  
+  // 创建群组邀请通知
+  await Notification.createGroupInviteNotification(
+    invitee._id,
+    inviter._id,
+    group._id,
+    group.name
+  );
+  
+  // 向被邀请人发送系统消息
+  const systemMessage = {
+    type: 'system',
+    content: `${inviter.username} 邀请您加入群组 "${group.name}"`,
+    metadata: {
+      type: 'group_invitation',
+      invitationId: invitation._id,
+      groupId: group._id,
+      groupName: group.name,
+      inviterId: inviter._id,
+      inviterName: inviter.username,
+      expiresAt: invitation.expiresAt
+    }
+  };
+  
+  await global.MessageQueue.addSystemMessageToQueue(invitee._id, systemMessage);
+  
+  return { invitation };
+}
+
+// 查找当前用户收到的待处理群组邀请，邀请已处理或已过期时直接返回错误响应并返回null
+async function findPendingInvitation(req, res) {
+  const { invitationId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    res.status(400).json({
+      success: false,
+      message: '无效的邀请ID'
+    });
+    return null;
+  }
+  
+  const invitation = await GroupInvitation.findOne({ _id: invitationId, invitee: req.user._id });
+  
+  if (!invitation) {
+    res.status(404).json({
+      success: false,
+      message: '邀请不存在'
+    });
+    return null;
+  }
+  
+  if (invitation.status !== 'pending' && invitation.status !== 'expired') {
+    res.status(400).json({
+      success: false,
+      message: '该邀请已被处理'
+    });
+    return null;
+  }
+  
+  if (invitation.status === 'expired' || invitation.isExpired()) {
+    res.status(400).json({
+      success: false,
+      message: '邀请已过期'
+    });
+    return null;
+  }
+  
+  return invitation;
+}
+
 /**
  * @swagger
  * tags:
@@ -37,10 +184,15 @@ const mongoose = require('mongoose');
  *                 type: string
  *               isPublic:
  *                 type: boolean
+ *               joinPolicy:
+ *                 type: string
+ *                 enum: [open, approval, invite_only]
+ *                 description: 加群方式，默认公开群组为open，非公开群组为approval
  *               initialMembers:
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: 初始成员ID列表，向这些用户发送群组邀请，对方接受后加入；不接受邀请的用户会被跳过
  *     responses:
  *       201:
  *         description: 群组创建成功
@@ -51,20 +203,30 @@ const mongoose = require('mongoose');
  */
 router.post('/', protect, async (req, res, next) => {
   try {
-    const { name, description, isPublic, initialMembers } = req.body;
+    const { name, description, isPublic, joinPolicy, initialMembers } = req.body;
     const userId = req.user._id;
     
+    if (joinPolicy !== undefined && !JOIN_POLICIES.includes(joinPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的加群方式'
+      });
+    }
+    
     // 创建新群组
     const group = new Group({
       name,
       description,
       creator: userId,
-      isPublic: isPublic !== undefined ? isPublic : true
+      isPublic: isPublic !== undefined ? isPublic : true,
+      joinPolicy
     });
     
     // 将创建者添加为管理员和成员（通过Schema的pre-save钩子自动添加）
+    await group.save();
     
-    // 添加初始成员
+    // 邀请初始成员，对方接受后才会加入群组，不接受邀请的用户直接跳过
+    const invitations = [];
     if (initialMembers && Array.isArray(initialMembers)) {
       // 先过滤掉无效ID和创建者本身
       const validMemberIds = initialMembers.filter(id => 
@@ -74,18 +236,14 @@ router.post('/', protect, async (req, res, next) => {
       // 确认这些用户存在
       const users = await User.find({ _id: { $in: validMemberIds } });
       
-      // 添加有效用户到成员列表
-      users.forEach(user => {
-        group.members.push({
-          user: user._id,
-          role: 'member',
-          joinedAt: new Date()
-        });
-      });
+      for (const user of users) {
+        const result = await inviteToGroup(group, req.user, user);
+        if (result.invitation) {
+          invitations.push(result.invitation);
+        }
+      }
     }
     
-    await group.save();
-    
     // 添加系统消息，通知成员被添加到群组
     const systemMessage = {
       type: 'system',
@@ -110,7 +268,8 @@ router.post('/', protect, async (req, res, next) => {
       success: true,
       message: '群组创建成功',
       data: {
-        group
+        group,
+        invitations
       }
     });
   } catch (err) {
@@ -136,10 +295,16 @@ router.get('/', protect, async (req, res, next) => {
   try {
     const userId = req.user._id;
     
-    // 查找用户所在的所有群组
+    // 查找用户所在的所有群组，附带最后一条消息的摘要
     const groups = await Group.find({
       'members.user': userId
-    }).select('-__v');
+    })
+      .select('-__v')
+      .populate({
+        path: 'lastMessage',
+        select: 'content type sender createdAt recalledAt',
+        populate: { path: 'sender', select: 'username avatar' }
+      });
     
     res.status(200).json({
       success: true,
@@ -153,70 +318,58 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// 以下路由需要定义在 /:groupId 开头的路由之前
 /**
  * @swagger
- * /api/groups/{groupId}:
+ * /api/groups/invitations:
  *   get:
- *     summary: 获取群组详情
+ *     summary: 获取收到的群组邀请
+ *     description: 返回当前用户收到的待确认且未过期的群组邀请，按邀请时间倒序
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: groupId
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
- *         description: 获取群组详情成功
+ *         description: 获取群组邀请成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GroupInvitation'
  *       401:
  *         description: 未授权
- *       404:
- *         description: 群组不存在
  */
-router.get('/:groupId', protect, async (req, res, next) => {
+router.get('/invitations', protect, async (req, res, next) => {
   try {
-    const { groupId } = req.params;
-    const userId = req.user._id;
-    
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      return res.status(400).json({
-        success: false,
-        message: '无效的群组ID'
-      });
-    }
-    
-    // 查找群组
-    const group = await Group.findById(groupId)
-      .populate('creator', 'username avatar')
-      .populate('admins', 'username avatar')
-      .populate('members.user', 'username avatar status lastActive');
-    
-    if (!group) {
-      return res.status(404).json({
-        success: false,
-        message: '群组不存在'
-      });
-    }
-    
-    // 检查用户是否是群组成员
-    const isMember = group.isMember(userId);
-    
-    if (!isMember && !group.isPublic) {
-      return res.status(403).json({
-        success: false,
-        message: '您不是该群组成员，无权查看'
-      });
-    }
+    const invitations = await GroupInvitation.find({
+      invitee: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('group', 'name description avatar')
+      .populate('inviter', 'username avatar');
+    
+    // 忽略已解散的群组
+    const validInvitations = invitations.filter(invitation => invitation.group);
     
     res.status(200).json({
       success: true,
+      count: validInvitations.length,
       data: {
-        group,
-        isMember,
-        isAdmin: group.isAdmin(userId),
-        isCreator: group.isCreator(userId)
+        invitations: validInvitations
       }
     });
   } catch (err) {
@@ -226,58 +379,41 @@ router.get('/:groupId', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}:
+ * /api/groups/invitations/{invitationId}/accept:
  *   put:
- *     summary: 更新群组信息
+ *     summary: 接受群组邀请
+ *     description: |
+ *       接受后加入群组，成员记录中保存邀请人，邀请人会收到通知。
+ *       邀请人已不在群组中或已没有邀请权限时邀请失效
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: groupId
+ *         name: invitationId
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               description:
- *                 type: string
- *               avatar:
- *                 type: string
- *               isPublic:
- *                 type: boolean
  *     responses:
  *       200:
- *         description: 群组更新成功
+ *         description: 已接受邀请并加入群组
+ *       400:
+ *         description: 邀请已处理、已过期、邀请人已没有邀请权限或群组成员已满
  *       401:
  *         description: 未授权
- *       403:
- *         description: 无权更新该群组
  *       404:
- *         description: 群组不存在
+ *         description: 邀请或群组不存在
  */
-router.put('/:groupId', protect, async (req, res, next) => {
+router.put('/invitations/:invitationId/accept', protect, async (req, res, next) => {
   try {
-    const { groupId } = req.params;
-    const { name, description, avatar, isPublic } = req.body;
     const userId = req.user._id;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      return res.status(400).json({
-        success: false,
-        message: '无效的群组ID'
-      });
+    const pendingInvitation = await findPendingInvitation(req, res);
+    if (!pendingInvitation) {
+      return;
     }
     
-    // 查找群组
-    const group = await Group.findById(groupId);
+    const group = await Group.findById(pendingInvitation.group);
     
     if (!group) {
       return res.status(404).json({
@@ -286,30 +422,78 @@ router.put('/:groupId', protect, async (req, res, next) => {
       });
     }
     
-    // 检查用户是否有权更新群组（仅创建者和管理员可更新）
-    if (!group.isCreator(userId) && !group.isAdmin(userId)) {
-      return res.status(403).json({
+    // 邀请人发出邀请后可能已退出群组或失去邀请权限，此时邀请失效
+    if (!group.hasPermission(pendingInvitation.inviter, 'invite')) {
+      await GroupInvitation.updateOne(
+        { _id: pendingInvitation._id, status: 'pending' },
+        { $set: { status: 'expired' } }
+      );
+      
+      return res.status(400).json({
         success: false,
-        message: '您不是群组的创建者或管理员，无权更新'
+        message: '邀请人已不在群组中或已没有邀请权限，邀请已失效'
       });
     }
     
-    // 更新群组信息
-    if (name) group.name = name;
-    if (description !== undefined) group.description = description;
-    if (avatar) group.avatar = avatar;
+    const alreadyMember = group.isMember(userId);
     
-    // 只有创建者可以修改公开状态
-    if (isPublic !== undefined && group.isCreator(userId)) {
-      group.isPublic = isPublic;
+    // 检查群组是否已满
+    if (!alreadyMember && group.members.length >= group.maxMembers) {
+      return res.status(400).json({
+        success: false,
+        message: '群组成员已达到上限'
+      });
     }
     
-    await group.save();
+    const invitation = await GroupInvitation.respond(pendingInvitation._id, userId, 'accepted');
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: '邀请已被处理或已过期'
+      });
+    }
+    
+    // 加入群组，记录邀请人
+    if (!alreadyMember) {
+      group.members.push({
+        user: userId,
+        nickname: invitation.nickname,
+        role: 'member',
+        joinedAt: new Date(),
+        invitedBy: invitation.inviter
+      });
+      
+      await group.save();
+    }
+    
+    // 创建群组加入通知
+    await Notification.createGroupJoinNotification(
+      group._id,
+      userId,
+      group.name
+    );
+    
+    // 通知邀请人
+    const systemMessage = {
+      type: 'system',
+      content: `${req.user.username} 接受了您的邀请，加入了群组 "${group.name}"`,
+      metadata: {
+        type: 'group_invitation_accepted',
+        invitationId: invitation._id,
+        groupId: group._id,
+        groupName: group.name,
+        userId: userId,
+        username: req.user.username
+      }
+    };
+    
+    await global.MessageQueue.addSystemMessageToQueue(invitation.inviter, systemMessage);
     
     res.status(200).json({
       success: true,
-      message: '群组更新成功',
+      message: '已加入群组',
       data: {
+        invitation,
         group
       }
     });
@@ -320,67 +504,72 @@ router.put('/:groupId', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}:
- *   delete:
- *     summary: 删除群组
+ * /api/groups/invitations/{invitationId}/decline:
+ *   put:
+ *     summary: 拒绝群组邀请
+ *     description: 拒绝后邀请人会收到通知，之后仍可以重新邀请
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: groupId
+ *         name: invitationId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: 群组删除成功
+ *         description: 已拒绝邀请
+ *       400:
+ *         description: 邀请已处理或已过期
  *       401:
  *         description: 未授权
- *       403:
- *         description: 无权删除该群组
  *       404:
- *         description: 群组不存在
+ *         description: 邀请不存在
  */
-router.delete('/:groupId', protect, async (req, res, next) => {
+router.put('/invitations/:invitationId/decline', protect, async (req, res, next) => {
   try {
-    const { groupId } = req.params;
     const userId = req.user._id;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      return res.status(400).json({
-        success: false,
-        message: '无效的群组ID'
-      });
+    const pendingInvitation = await findPendingInvitation(req, res);
+    if (!pendingInvitation) {
+      return;
     }
     
-    // 查找群组
-    const group = await Group.findById(groupId);
-    
-    if (!group) {
-      return res.status(404).json({
+    const invitation = await GroupInvitation.respond(pendingInvitation._id, userId, 'declined');
+    if (!invitation) {
+      return res.status(400).json({
         success: false,
-        message: '群组不存在'
+        message: '邀请已被处理或已过期'
       });
     }
     
-    // 检查用户是否是群组创建者
-    if (!group.isCreator(userId)) {
-      return res.status(403).json({
-        success: false,
-        message: '只有群组创建者可以删除群组'
-      });
+    const group = await Group.findById(invitation.group).select('name');
+    
+    // 通知邀请人
+    if (group) {
+      const systemMessage = {
+        type: 'system',
+        content: `${req.user.username} 拒绝了加入群组 "${group.name}" 的邀请`,
+        metadata: {
+          type: 'group_invitation_declined',
+          invitationId: invitation._id,
+          groupId: group._id,
+          groupName: group.name,
+          userId: userId,
+          username: req.user.username
+        }
+      };
+      
+      await global.MessageQueue.addSystemMessageToQueue(invitation.inviter, systemMessage);
     }
     
-    // 删除群组消息
-    await Message.deleteMany({ group: groupId });
-    
-    // 删除群组
-    await group.remove();
-    
     res.status(200).json({
       success: true,
-      message: '群组已删除'
+      message: '已拒绝邀请',
+      data: {
+        invitation
+      }
     });
   } catch (err) {
     next(err);
@@ -389,86 +578,65 @@ router.delete('/:groupId', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/members:
+ * /api/groups/join-by-invite/{token}:
  *   post:
- *     summary: 添加成员到群组
+ *     summary: 通过邀请链接加入群组
+ *     description: 邀请未撤销、未过期且未达到使用次数上限时加入群组，成员记录中保存邀请人，不受群组加群方式限制
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: groupId
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *             properties:
- *               userId:
- *                 type: string
- *               nickname:
- *                 type: string
+ *         description: 邀请令牌
  *     responses:
  *       200:
- *         description: 成员添加成功
+ *         description: 成功加入群组
+ *       400:
+ *         description: 邀请已失效、已是群组成员或群组成员已满
  *       401:
  *         description: 未授权
- *       403:
- *         description: 无权添加成员
  *       404:
- *         description: 群组或用户不存在
+ *         description: 邀请或群组不存在
  */
-router.post('/:groupId/members', protect, async (req, res, next) => {
+router.post('/join-by-invite/:token', protect, async (req, res, next) => {
   try {
-    const { groupId } = req.params;
-    const { userId, nickname } = req.body;
-    const currentUserId = req.user._id;
-    
-    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: '无效的ID'
-      });
-    }
+    const { token } = req.params;
+    const userId = req.user._id;
     
-    // 查找群组
-    const group = await Group.findById(groupId);
+    const invite = await GroupInvite.findOne({ token });
     
-    if (!group) {
+    if (!invite) {
       return res.status(404).json({
         success: false,
-        message: '群组不存在'
+        message: '邀请不存在'
       });
     }
     
-    // 检查用户是否有权添加成员
-    if (!group.isCreator(currentUserId) && !group.isAdmin(currentUserId)) {
-      return res.status(403).json({
+    if (!invite.isUsable()) {
+      return res.status(400).json({
         success: false,
-        message: '只有群组创建者或管理员可以添加成员'
+        message: '邀请已失效'
       });
     }
     
-    // 确认要添加的用户存在
-    const user = await User.findById(userId);
-    if (!user) {
+    const group = await Group.findById(invite.group);
+    
+    if (!group) {
       return res.status(404).json({
         success: false,
-        message: '要添加的用户不存在'
+        message: '群组不存在'
       });
     }
     
-    // 检查是否已经是成员
+    // 检查是否已经是成员，已是成员时不消耗使用次数
     if (group.isMember(userId)) {
       return res.status(400).json({
         success: false,
-        message: '该用户已经是群组成员'
+        message: '您已经是该群组成员'
       });
     }
     
@@ -480,33 +648,1477 @@ router.post('/:groupId/members', protect, async (req, res, next) => {
       });
     }
     
-    // 添加成员
+    // 检查并计入一次使用，其他人同时使用导致达到上限时邀请失效
+    const redeemed = await GroupInvite.redeem(token);
+    if (!redeemed) {
+      return res.status(400).json({
+        success: false,
+        message: '邀请已失效'
+      });
+    }
+    
+    // 加入群组，记录邀请人
     group.members.push({
       user: userId,
-      nickname: nickname || '',
       role: 'member',
-      joinedAt: new Date()
+      joinedAt: new Date(),
+      invitedBy: invite.createdBy
     });
     
-    await group.save();
+    try {
+      await group.save();
+    } catch (err) {
+      await GroupInvite.releaseUse(invite._id);
+      throw err;
+    }
     
-    // 创建群组邀请通知
-    await Notification.createGroupInviteNotification(
-      userId,
-      currentUserId,
+    // 创建群组加入通知
+    await Notification.createGroupJoinNotification(
       group._id,
+      userId,
       group.name
     );
     
-    // 向新成员发送系统消息
-    const systemMessage = {
+    // 通知拥有邀请权限（可以审核入群申请）的成员
+    const adminSystemMessage = {
       type: 'system',
-      content: `您已被添加到群组 "${group.name}"`,
+      content: `用户 ${req.user.username} 通过邀请加入了群组 "${group.name}"`,
       metadata: {
-        type: 'added_to_group',
+        type: 'user_joined_group',
         groupId: group._id,
         groupName: group.name,
-        addedBy: currentUserId
+        userId: userId,
+        username: req.user.username,
+        invitedBy: invite.createdBy,
+        inviteId: invite._id
+      }
+    };
+    
+    for (const reviewerId of group.getMembersWithPermission('invite', userId)) {
+      await global.MessageQueue.addSystemMessageToQueue(reviewerId, adminSystemMessage);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '成功加入群组',
+      data: {
+        group
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   get:
+ *     summary: 获取群组详情
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取群组详情成功
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 群组不存在
+ */
+router.get('/:groupId', protect, async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的群组ID'
+      });
+    }
+    
+    // 查找群组
+    const group = await Group.findById(groupId)
+      .populate('creator', 'username avatar')
+      .populate('admins', 'username avatar')
+      .populate('members.user', 'username avatar status lastActive privacy.hideOnlineStatus blockedUsers');
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: '群组不存在'
+      });
+    }
+    
+    // 检查用户是否是群组成员
+    const isMember = group.isMember(userId);
+    
+    if (!isMember && !group.isPublic) {
+      return res.status(403).json({
+        success: false,
+        message: '您不是该群组成员，无权查看'
+      });
+    }
+    
+    // 当前用户在群组中的有效角色和权限，非成员为null
+    const role = group.getEffectiveRole(userId);
+    
+    // 按成员的隐私设置和拉黑关系显示在线状态，不返回成员的隐私设置和黑名单
+    const groupData = group.toObject();
+    groupData.members = group.members.map((member, index) => ({
+      ...groupData.members[index],
+      user: member.user && {
+        _id: member.user._id,
+        username: member.user.username,
+        avatar: member.user.avatar,
+        ...member.user.getPresenceFor(req.user)
+      }
+    }));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        group: groupData,
+        isMember,
+        isAdmin: group.isAdmin(userId),
+        isCreator: group.isCreator(userId),
+        role,
+        permissions: role ? group.getRolePermissions(role) : []
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   put:
+ *     summary: 更新群组信息
+ *     description: 需要editInfo权限，公开状态和加群方式只有创建者可以修改
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *               joinPolicy:
+ *                 type: string
+ *                 enum: [open, approval, invite_only]
+ *                 description: 加群方式，只有创建者可以修改
+ *     responses:
+ *       200:
+ *         description: 群组更新成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权更新该群组
+ *       404:
+ *         description: 群组不存在
+ */
+router.put('/:groupId', protect, checkGroupPermission('editInfo'), async (req, res, next) => {
+  try {
+    const { name, description, avatar, isPublic, joinPolicy } = req.body;
+    const userId = req.user._id;
+    const group = req.group;
+    
+    if (joinPolicy !== undefined && !JOIN_POLICIES.includes(joinPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的加群方式'
+      });
+    }
+    
+    // 更新群组信息
+    if (name) group.name = name;
+    if (description !== undefined) group.description = description;
+    if (avatar) group.avatar = avatar;
+    
+    // 只有创建者可以修改公开状态和加群方式
+    if (isPublic !== undefined && group.isCreator(userId)) {
+      group.isPublic = isPublic;
+    }
+    
+    if (joinPolicy !== undefined && group.isCreator(userId)) {
+      group.joinPolicy = joinPolicy;
+    }
+    
+    await group.save();
+    
+    res.status(200).json({
+      success: true,
+      message: '群组更新成功',
+      data: {
+        group
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   delete:
+ *     summary: 删除群组
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 群组删除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权删除该群组
+ *       404:
+ *         description: 群组不存在
+ */
+router.delete('/:groupId', protect, async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的群组ID'
+      });
+    }
+    
+    // 查找群组
+    const group = await Group.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: '群组不存在'
+      });
+    }
+    
+    // 检查用户是否是群组创建者
+    if (!group.isCreator(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: '只有群组创建者可以删除群组'
+      });
+    }
+    
+    // 删除群组消息、成员的会话、入群申请、邀请链接和群组邀请
+    await Message.deleteMany({ group: groupId });
+    await Conversation.deleteMany({ conversationType: 'group', conversationId: group._id });
+    await JoinRequest.deleteMany({ group: group._id });
+    await GroupInvite.deleteMany({ group: group._id });
+    await GroupInvitation.deleteMany({ group: group._id });
+    
+    // 删除群组
+    await group.deleteOne();
+    
+    res.status(200).json({
+      success: true,
+      message: '群组已删除'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members:
+ *   post:
+ *     summary: 邀请用户加入群组
+ *     description: |
+ *       需要invite权限。不会直接添加成员，而是向对方发送群组邀请，
+ *       对方在 /api/groups/invitations 中接受后才会加入。对方的隐私设置不接受该邀请人的群组邀请时返回403。
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               nickname:
+ *                 type: string
+ *                 description: 加入后的群昵称
+ *     responses:
+ *       201:
+ *         description: 邀请已发送
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 邀请已发送，等待对方确认
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invitation:
+ *                       $ref: '#/components/schemas/GroupInvitation'
+ *       400:
+ *         description: 已是群组成员、已有待确认的邀请或群组成员已满
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权邀请成员，或对方不接受该邀请
+ *       404:
+ *         description: 群组或用户不存在
+ */
+router.post('/:groupId/members', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { userId, nickname } = req.body;
+    const group = req.group;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    // 确认要邀请的用户存在
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '要邀请的用户不存在'
+      });
+    }
+    
+    // 发送邀请，对方接受后才会加入群组
+    const result = await inviteToGroup(group, req.user, user, nickname || '');
+    if (!result.invitation) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: '邀请已发送，等待对方确认',
+      data: {
+        invitation: result.invitation
+      }
+    });
+  } catch (err) {
+    if (err.code === 11000) { // 重复键错误
+      return res.status(400).json({
+        success: false,
+        message: '已邀请过该用户，请等待对方确认'
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join:
+ *   post:
+ *     summary: 加入群组
+ *     description: |
+ *       按群组的加群方式处理：open直接加入；approval提交入群申请，由拥有邀请权限的成员审核，
+ *       这些成员会收到通知；invite_only无法主动加入，只能由管理员添加。
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: 申请附言，仅需要审核的群组使用，不超过100个字符
+ *     responses:
+ *       200:
+ *         description: 成功加入群组
+ *       201:
+ *         description: 已提交入群申请，等待管理员审核
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 已提交入群申请，等待管理员审核
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     request:
+ *                       $ref: '#/components/schemas/JoinRequest'
+ *       400:
+ *         description: 无法加入群组，或已有待审核的申请
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 群组仅限邀请加入
+ *       404:
+ *         description: 群组不存在
+ */
+router.post('/:groupId/join', protect, async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const { message } = req.body;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的群组ID'
+      });
+    }
+    
+    // 查找群组
+    const group = await Group.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: '群组不存在'
+      });
+    }
+    
+    // 检查群组的加群方式
+    const joinPolicy = group.getJoinPolicy();
+    if (joinPolicy === 'invite_only') {
+      return res.status(403).json({
+        success: false,
+        message: '该群组仅限邀请加入'
+      });
+    }
+    
+    // 检查是否已经是成员
+    if (group.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '您已经是该群组成员'
+      });
+    }
+    
+    // 检查群组是否已满
+    if (group.members.length >= group.maxMembers) {
+      return res.status(400).json({
+        success: false,
+        message: '群组成员已达到上限'
+      });
+    }
+    
+    // 需要审核的群组提交入群申请
+    if (joinPolicy === 'approval') {
+      if (message !== undefined && typeof message !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: '申请附言必须是字符串'
+        });
+      }
+      
+      const existingRequest = await JoinRequest.findOne({ group: group._id, user: userId, status: 'pending' });
+      if (existingRequest) {
+        return res.status(400).json({
+          success: false,
+          message: '您已提交过入群申请，请等待管理员审核'
+        });
+      }
+      
+      const request = await JoinRequest.create({
+        group: group._id,
+        user: userId,
+        message: message || ''
+      });
+      
+      // 通知拥有邀请权限（可以审核入群申请）的成员
+      const adminSystemMessage = {
+        type: 'system',
+        content: `用户 ${req.user.username} 申请加入群组 "${group.name}"${request.message ? `: "${request.message}"` : ''}`,
+        metadata: {
+          type: 'group_join_request',
+          requestId: request._id,
+          groupId: group._id,
+          groupName: group.name,
+          userId: userId,
+          username: req.user.username
+        }
+      };
+      
+      for (const reviewerId of group.getMembersWithPermission('invite')) {
+        await Notification.createGroupJoinRequestNotification(reviewerId, userId, request._id, group.name);
+        await global.MessageQueue.addSystemMessageToQueue(reviewerId, adminSystemMessage);
+      }
+      
+      return res.status(201).json({
+        success: true,
+        message: '已提交入群申请，等待管理员审核',
+        data: {
+          request
+        }
+      });
+    }
+    
+    // 加入群组
+    group.members.push({
+      user: userId,
+      role: 'member',
+      joinedAt: new Date()
+    });
+    
+    await group.save();
+    
+    // 创建群组加入通知
+    await Notification.createGroupJoinNotification(
+      groupId,
+      userId,
+      group.name
+    );
+    
+    // 通知拥有邀请权限（可以审核入群申请）的成员
+    const adminSystemMessage = {
+      type: 'system',
+      content: `用户 ${req.user.username} 加入了群组 "${group.name}"`,
+      metadata: {
+        type: 'user_joined_group',
+        groupId: group._id,
+        groupName: group.name,
+        userId: userId,
+        username: req.user.username
+      }
+    };
+    
+    for (const reviewerId of group.getMembersWithPermission('invite', userId)) {
+      await global.MessageQueue.addSystemMessageToQueue(reviewerId, adminSystemMessage);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '成功加入群组',
+      data: {
+        group
+      }
+    });
+  } catch (err) {
+    if (err.code === 11000) { // 重复键错误
+      return res.status(400).json({
+        success: false,
+        message: '您已提交过入群申请，请等待管理员审核'
+      });
+    }
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests:
+ *   get:
+ *     summary: 获取入群申请列表
+ *     description: 需要invite权限，按申请时间倒序返回
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: 申请状态
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *         description: 返回数量
+ *     responses:
+ *       200:
+ *         description: 获取入群申请成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/JoinRequest'
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权查看入群申请
+ *       404:
+ *         description: 群组不存在
+ */
+router.get('/:groupId/join-requests', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_JOIN_REQUEST_PAGE_SIZE);
+    const group = req.group;
+    
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的申请状态'
+      });
+    }
+    
+    const requests = await JoinRequest.find({ group: group._id, status })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('user', 'username avatar')
+      .populate('handledBy', 'username avatar');
+    
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: {
+        requests
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests/{requestId}/approve:
+ *   put:
+ *     summary: 同意入群申请
+ *     description: 需要invite权限，申请人加入群组并收到通知
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 已同意入群申请
+ *       400:
+ *         description: 申请已被处理或群组成员已满
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权处理入群申请
+ *       404:
+ *         description: 群组或申请不存在
+ */
+router.put('/:groupId/join-requests/:requestId/approve', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { groupId, requestId } = req.params;
+    const currentUserId = req.user._id;
+    
+    const found = await findPendingJoinRequest(req, res);
+    if (!found) {
+      return;
+    }
+    const { group, request: pendingRequest } = found;
+    
+    const alreadyMember = group.isMember(pendingRequest.user);
+    
+    // 检查群组是否已满
+    if (!alreadyMember && group.members.length >= group.maxMembers) {
+      return res.status(400).json({
+        success: false,
+        message: '群组成员已达到上限'
+      });
+    }
+    
+    // 申请人已不存在时无法加入
+    const applicant = await User.findById(pendingRequest.user).select('username');
+    if (!applicant) {
+      return res.status(404).json({
+        success: false,
+        message: '申请人不存在'
+      });
+    }
+    
+    // 只有一个管理员能处理成功，避免重复处理
+    const request = await JoinRequest.resolve(requestId, groupId, 'approved', currentUserId);
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: '该申请已被处理'
+      });
+    }
+    
+    if (!alreadyMember) {
+      group.members.push({
+        user: applicant._id,
+        role: 'member',
+        joinedAt: new Date()
+      });
+      
+      await group.save();
+    }
+    
+    // 创建群组加入通知
+    await Notification.createGroupJoinNotification(
+      group._id,
+      applicant._id,
+      group.name
+    );
+    
+    // 通知申请人
+    const systemMessage = {
+      type: 'system',
+      content: `您加入群组 "${group.name}" 的申请已通过`,
+      metadata: {
+        type: 'group_join_approved',
+        requestId: request._id,
+        groupId: group._id,
+        groupName: group.name,
+        handledBy: currentUserId
+      }
+    };
+    
+    await global.MessageQueue.addSystemMessageToQueue(applicant._id, systemMessage);
+    
+    // 通知拥有邀请权限（可以审核入群申请）的成员
+    const adminSystemMessage = {
+      type: 'system',
+      content: `用户 ${applicant.username} 加入了群组 "${group.name}"`,
+      metadata: {
+        type: 'user_joined_group',
+        groupId: group._id,
+        groupName: group.name,
+        userId: applicant._id,
+        username: applicant.username
+      }
+    };
+    
+    for (const reviewerId of group.getMembersWithPermission('invite', applicant._id)) {
+      await global.MessageQueue.addSystemMessageToQueue(reviewerId, adminSystemMessage);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '已同意入群申请',
+      data: {
+        request
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests/{requestId}/reject:
+ *   put:
+ *     summary: 拒绝入群申请
+ *     description: 需要invite权限，申请人会收到通知，之后可以重新申请
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 已拒绝入群申请
+ *       400:
+ *         description: 申请已被处理
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权处理入群申请
+ *       404:
+ *         description: 群组或申请不存在
+ */
+router.put('/:groupId/join-requests/:requestId/reject', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { groupId, requestId } = req.params;
+    const currentUserId = req.user._id;
+    
+    const found = await findPendingJoinRequest(req, res);
+    if (!found) {
+      return;
+    }
+    const { group } = found;
+    
+    // 只有一个管理员能处理成功，避免重复处理
+    const request = await JoinRequest.resolve(requestId, groupId, 'rejected', currentUserId);
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: '该申请已被处理'
+      });
+    }
+    
+    // 创建申请被拒绝通知
+    await Notification.createGroupJoinRejectedNotification(
+      request.user,
+      currentUserId,
+      group._id,
+      group.name
+    );
+    
+    // 通知申请人
+    const systemMessage = {
+      type: 'system',
+      content: `您加入群组 "${group.name}" 的申请未通过`,
+      metadata: {
+        type: 'group_join_rejected',
+        requestId: request._id,
+        groupId: group._id,
+        groupName: group.name,
+        handledBy: currentUserId
+      }
+    };
+    
+    await global.MessageQueue.addSystemMessageToQueue(request.user, systemMessage);
+    
+    res.status(200).json({
+      success: true,
+      message: '已拒绝入群申请',
+      data: {
+        request
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invites:
+ *   post:
+ *     summary: 创建群组邀请链接
+ *     description: 需要invite权限。可设置过期时间和最多使用次数，通过邀请加入无需审核，不受加群方式限制
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 过期时间，必须晚于当前时间，不传表示永不过期
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 最多使用次数，不传表示不限次数
+ *     responses:
+ *       201:
+ *         description: 邀请创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 邀请创建成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invite:
+ *                       $ref: '#/components/schemas/GroupInvite'
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 没有invite权限
+ *       404:
+ *         description: 群组不存在
+ */
+router.post('/:groupId/invites', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { expiresAt, maxUses } = req.body;
+    const userId = req.user._id;
+    const group = req.group;
+    
+    let expiryDate = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiryDate = new Date(expiresAt);
+      if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: '过期时间必须是晚于当前时间的有效日期'
+        });
+      }
+    }
+    
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: '最多使用次数必须是正整数'
+      });
+    }
+    
+    const invite = await GroupInvite.create({
+      group: group._id,
+      createdBy: userId,
+      expiresAt: expiryDate,
+      maxUses: maxUses || null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: '邀请创建成功',
+      data: {
+        invite
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invites:
+ *   get:
+ *     summary: 获取群组邀请列表
+ *     description: 需要invite权限，按创建时间倒序返回，包含已失效的邀请，usable表示邀请当前是否可用
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取邀请列表成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 没有invite权限
+ *       404:
+ *         description: 群组不存在
+ */
+router.get('/:groupId/invites', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const group = req.group;
+    
+    const invites = await GroupInvite.find({ group: group._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'username avatar');
+    
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: {
+        invites: invites.map(invite => ({
+          ...invite.toObject(),
+          usable: invite.isUsable()
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invites/{inviteId}:
+ *   delete:
+ *     summary: 撤销群组邀请
+ *     description: 需要invite权限，撤销后邀请链接立即失效，已通过邀请加入的成员不受影响
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: inviteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 邀请已撤销
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 没有invite权限
+ *       404:
+ *         description: 群组或邀请不存在，或邀请已撤销
+ */
+router.delete('/:groupId/invites/:inviteId', protect, checkGroupPermission('invite'), async (req, res, next) => {
+  try {
+    const { inviteId } = req.params;
+    const group = req.group;
+    
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的邀请ID'
+      });
+    }
+    
+    const invite = await GroupInvite.findOneAndUpdate(
+      { _id: inviteId, group: group._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: '邀请不存在或已撤销'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '邀请已撤销',
+      data: {
+        invite
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/leave:
+ *   post:
+ *     summary: 退出群组
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功退出群组
+ *       400:
+ *         description: 无法退出群组
+ *       401:
+ *         description: 未授权
+ *       404:
+ *         description: 群组不存在
+ */
+router.post('/:groupId/leave', protect, async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的群组ID'
+      });
+    }
+    
+    // 查找群组
+    const group = await Group.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: '群组不存在'
+      });
+    }
+    
+    // 检查是否是群组成员
+    if (!group.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '您不是该群组成员'
+      });
+    }
+    
+    // 检查是否是群组创建者
+    if (group.isCreator(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '群组创建者不能退出群组，请先转让群组或解散群组'
+      });
+    }
+    
+    // 退出群组
+    const memberIndex = group.members.findIndex(
+      member => member.user.toString() === userId.toString()
+    );
+    
+    if (memberIndex !== -1) {
+      group.members.splice(memberIndex, 1);
+    }
+    
+    // 如果是管理员，也要从管理员列表移除
+    if (group.isAdmin(userId)) {
+      const adminIndex = group.admins.findIndex(
+        admin => admin.toString() === userId.toString()
+      );
+      
+      if (adminIndex !== -1) {
+        group.admins.splice(adminIndex, 1);
+      }
+    }
+    
+    await group.save();
+    
+    // 从会话列表中移除该群组
+    await Conversation.deleteOne({ user: userId, conversationType: 'group', conversationId: group._id });
+    
+    // 通知群组管理员
+    const adminSystemMessage = {
+      type: 'system',
+      content: `用户 ${req.user.username} 退出了群组 "${group.name}"`,
+      metadata: {
+        type: 'user_left_group',
+        groupId: group._id,
+        groupName: group.name,
+        userId: userId,
+        username: req.user.username
+      }
+    };
+    
+    // 向所有管理员发送通知
+    for (const adminId of group.admins) {
+      await global.MessageQueue.addSystemMessageToQueue(adminId, adminSystemMessage);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '成功退出群组'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{userId}:
+ *   delete:
+ *     summary: 从群组移除成员
+ *     description: 需要kick权限，只能移除角色等级低于自己的成员（创建者 > 管理员 > 自定义角色 > 普通成员），不能移除创建者
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成员移除成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权移除成员，或目标成员的角色等级不低于自己
+ *       404:
+ *         description: 群组或成员不存在
+ */
+router.delete('/:groupId/members/:userId', protect, checkGroupPermission('kick'), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user._id;
+    const group = req.group;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    // 检查要移除的用户是否是群组成员
+    if (!group.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: '要移除的用户不是群组成员'
+      });
+    }
+    
+    // 检查是否正在尝试移除创建者
+    if (group.isCreator(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '不能移除群组创建者'
+      });
+    }
+    
+    // 只能移除角色等级低于自己的成员，如拥有kick权限的自定义角色不能移除管理员或同级成员
+    if (!group.outranks(currentUserId, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: '只能移除角色等级低于自己的成员'
+      });
+    }
+    
+    // 移除成员
+    const memberIndex = group.members.findIndex(
+      member => member.user.toString() === userId.toString()
+    );
+    
+    if (memberIndex !== -1) {
+      group.members.splice(memberIndex, 1);
+    }
+    
+    // 如果是管理员，也要从管理员列表移除
+    if (group.isAdmin(userId)) {
+      const adminIndex = group.admins.findIndex(
+        admin => admin.toString() === userId.toString()
+      );
+      
+      if (adminIndex !== -1) {
+        group.admins.splice(adminIndex, 1);
+      }
+    }
+    
+    await group.save();
+    
+    // 从被移除成员的会话列表中移除该群组
+    await Conversation.deleteOne({ user: userId, conversationType: 'group', conversationId: group._id });
+    
+    // 向被移除成员发送系统消息
+    const systemMessage = {
+      type: 'system',
+      content: `您已被移出群组 "${group.name}"`,
+      metadata: {
+        type: 'removed_from_group',
+        groupId: group._id,
+        groupName: group.name,
+        removedBy: currentUserId
+      }
+    };
+    
+    await global.MessageQueue.addSystemMessageToQueue(userId, systemMessage);
+    
+    res.status(200).json({
+      success: true,
+      message: '成员移除成功'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/admins/{userId}:
+ *   post:
+ *     summary: 设置群组管理员
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 管理员设置成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权设置管理员
+ *       404:
+ *         description: 群组或成员不存在
+ */
+router.post('/:groupId/admins/:userId', protect, async (req, res, next) => {
+  try {
+    const { groupId, userId } = req.params;
+    const currentUserId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的ID'
+      });
+    }
+    
+    // 查找群组
+    const group = await Group.findById(groupId);
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: '群组不存在'
+      });
+    }
+    
+    // 检查当前用户是否是群组创建者（只有创建者可以设置管理员）
+    if (!group.isCreator(currentUserId)) {
+      return res.status(403).json({
+        success: false,
+        message: '只有群组创建者可以设置管理员'
+      });
+    }
+    
+    // 检查要设置的用户是否是群组成员
+    if (!group.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: '要设置为管理员的用户不是群组成员'
+      });
+    }
+    
+    // 检查是否已经是管理员
+    if (group.isAdmin(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '该用户已经是管理员'
+      });
+    }
+    
+    // 添加为管理员
+    group.admins.push(userId);
+    
+    // 更新成员角色
+    const memberIndex = group.members.findIndex(
+      member => member.user.toString() === userId.toString()
+    );
+    
+    if (memberIndex !== -1) {
+      group.members[memberIndex].role = 'admin';
+    }
+    
+    await group.save();
+    
+    // 向新管理员发送系统消息
+    const systemMessage = {
+      type: 'system',
+      content: `您已被设为群组 "${group.name}" 的管理员`,
+      metadata: {
+        type: 'promoted_to_admin',
+        groupId: group._id,
+        groupName: group.name,
+        promotedBy: currentUserId
       }
     };
     
@@ -514,7 +2126,7 @@ router.post('/:groupId/members', protect, async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      message: '成员添加成功',
+      message: '管理员设置成功',
       data: {
         group
       }
@@ -526,9 +2138,9 @@ router.post('/:groupId/members', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/join:
- *   post:
- *     summary: 加入群组
+ * /api/groups/{groupId}/admins/{userId}:
+ *   delete:
+ *     summary: 移除群组管理员
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -538,25 +2150,30 @@ router.post('/:groupId/members', protect, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: 成功加入群组
- *       400:
- *         description: 无法加入群组
+ *         description: 管理员移除成功
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 无权移除管理员
  *       404:
- *         description: 群组不存在
+ *         description: 群组或管理员不存在
  */
-router.post('/:groupId/join', protect, async (req, res, next) => {
+router.delete('/:groupId/admins/:userId', protect, async (req, res, next) => {
   try {
-    const { groupId } = req.params;
-    const userId = req.user._id;
+    const { groupId, userId } = req.params;
+    const currentUserId = req.user._id;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({
         success: false,
-        message: '无效的群组ID'
+        message: '无效的ID'
       });
     }
     
@@ -570,69 +2187,130 @@ router.post('/:groupId/join', protect, async (req, res, next) => {
       });
     }
     
-    // 检查群组是否为公开群组
-    if (!group.isPublic) {
+    // 检查当前用户是否是群组创建者（只有创建者可以移除管理员）
+    if (!group.isCreator(currentUserId)) {
       return res.status(403).json({
         success: false,
-        message: '该群组不是公开群组，无法直接加入'
+        message: '只有群组创建者可以移除管理员'
       });
     }
     
-    // 检查是否已经是成员
-    if (group.isMember(userId)) {
-      return res.status(400).json({
+    // 检查要移除的用户是否是管理员
+    if (!group.isAdmin(userId)) {
+      return res.status(404).json({
         success: false,
-        message: '您已经是该群组成员'
+        message: '要移除的用户不是管理员'
       });
     }
     
-    // 检查群组是否已满
-    if (group.members.length >= group.maxMembers) {
+    // 检查是否正在尝试移除创建者的管理员权限
+    if (group.isCreator(userId)) {
       return res.status(400).json({
         success: false,
-        message: '群组成员已达到上限'
+        message: '不能移除创建者的管理员权限'
       });
     }
     
-    // 加入群组
-    group.members.push({
-      user: userId,
-      role: 'member',
-      joinedAt: new Date()
-    });
+    // 从管理员列表移除
+    const adminIndex = group.admins.findIndex(
+      admin => admin.toString() === userId.toString()
+    );
     
-    await group.save();
+    if (adminIndex !== -1) {
+      group.admins.splice(adminIndex, 1);
+    }
     
-    // 创建群组加入通知
-    await Notification.createGroupJoinNotification(
-      groupId,
-      userId,
-      group.name
+    // 更新成员角色
+    const memberIndex = group.members.findIndex(
+      member => member.user.toString() === userId.toString()
     );
     
-    // 通知群组管理员
-    const adminSystemMessage = {
+    if (memberIndex !== -1) {
+      group.members[memberIndex].role = 'member';
+    }
+    
+    await group.save();
+    
+    // 向被移除的管理员发送系统消息
+    const systemMessage = {
       type: 'system',
-      content: `用户 ${req.user.username} 加入了群组 "${group.name}"`,
+      content: `您已被取消群组 "${group.name}" 的管理员身份`,
       metadata: {
-        type: 'user_joined_group',
+        type: 'demoted_from_admin',
         groupId: group._id,
         groupName: group.name,
-        userId: userId,
-        username: req.user.username
+        demotedBy: currentUserId
       }
     };
     
-    // 向所有管理员发送通知
-    for (const adminId of group.admins) {
-      await global.MessageQueue.addSystemMessageToQueue(adminId, adminSystemMessage);
-    }
+    await global.MessageQueue.addSystemMessageToQueue(userId, systemMessage);
     
     res.status(200).json({
       success: true,
-      message: '成功加入群组',
+      message: '管理员移除成功'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/roles:
+ *   get:
+ *     summary: 获取群组权限矩阵
+ *     description: 群组成员可查看，返回所有可配置的权限，以及内置角色和自定义角色各自拥有的权限
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取权限矩阵成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/GroupRole'
+ *                           - type: object
+ *                             properties:
+ *                               builtin:
+ *                                 type: boolean
+ *                                 description: 是否为内置角色
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 群组不存在
+ */
+router.get('/:groupId/roles', protect, checkGroupPermission(), async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
       data: {
-        group
+        permissions: Group.PERMISSIONS,
+        roles: req.group.getPermissionMatrix()
       }
     });
   } catch (err) {
@@ -642,9 +2320,12 @@ router.post('/:groupId/join', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/leave:
- *   post:
- *     summary: 退出群组
+ * /api/groups/{groupId}/roles/{roleName}:
+ *   put:
+ *     summary: 设置角色权限
+ *     description: |
+ *       仅群组创建者可操作。roleName为admin或member时覆盖内置角色的默认权限，
+ *       为其他名称时创建或更新自定义角色。创建者的权限不能修改
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -654,97 +2335,194 @@ router.post('/:groupId/join', protect, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         description: 只能包含文字、数字、下划线和连字符，不能使用constructor、__proto__等保留名称
+ *         schema:
+ *           type: string
+ *           maxLength: 20
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [post, invite, kick, editInfo, pinMessages, mentionAll, recallMessages]
  *     responses:
  *       200:
- *         description: 成功退出群组
+ *         description: 角色权限设置成功
  *       400:
- *         description: 无法退出群组
+ *         description: 角色名称或权限无效，或自定义角色数量已达上限
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 不是群组创建者
  *       404:
  *         description: 群组不存在
  */
-router.post('/:groupId/leave', protect, async (req, res, next) => {
+router.put('/:groupId/roles/:roleName', protect, checkGroupPermission(), async (req, res, next) => {
   try {
-    const { groupId } = req.params;
-    const userId = req.user._id;
+    const roleName = req.params.roleName.trim();
+    const { permissions } = req.body;
+    const group = req.group;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      return res.status(400).json({
+    if (!group.isCreator(req.user._id)) {
+      return res.status(403).json({
         success: false,
-        message: '无效的群组ID'
+        message: '只有群组创建者可以设置角色权限'
       });
     }
     
-    // 查找群组
-    const group = await Group.findById(groupId);
-    
-    if (!group) {
-      return res.status(404).json({
+    if (!roleName || roleName.length > MAX_ROLE_NAME_LENGTH) {
+      return res.status(400).json({
         success: false,
-        message: '群组不存在'
+        message: `角色名称不能为空且不能超过${MAX_ROLE_NAME_LENGTH}个字符`
       });
     }
     
-    // 检查是否是群组成员
-    if (!group.isMember(userId)) {
+    if (!ROLE_NAME_PATTERN.test(roleName) || RESERVED_ROLE_NAMES.includes(roleName)) {
       return res.status(400).json({
         success: false,
-        message: '您不是该群组成员'
+        message: '角色名称只能包含文字、数字、下划线和连字符，且不能使用保留名称'
       });
     }
     
-    // 检查是否是群组创建者
-    if (group.isCreator(userId)) {
+    if (roleName === 'creator') {
       return res.status(400).json({
         success: false,
-        message: '群组创建者不能退出群组，请先转让群组或解散群组'
+        message: '不能修改创建者的权限'
       });
     }
     
-    // 退出群组
-    const memberIndex = group.members.findIndex(
-      member => member.user.toString() === userId.toString()
-    );
-    
-    if (memberIndex !== -1) {
-      group.members.splice(memberIndex, 1);
+    if (!Array.isArray(permissions) || permissions.some(permission => !Group.PERMISSIONS.includes(permission))) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的权限列表'
+      });
     }
     
-    // 如果是管理员，也要从管理员列表移除
-    if (group.isAdmin(userId)) {
-      const adminIndex = group.admins.findIndex(
-        admin => admin.toString() === userId.toString()
-      );
-      
-      if (adminIndex !== -1) {
-        group.admins.splice(adminIndex, 1);
+    const uniquePermissions = [...new Set(permissions)];
+    const role = group.roles.find(r => r.name === roleName);
+    
+    if (role) {
+      role.permissions = uniquePermissions;
+    } else {
+      const customRoleCount = group.roles.filter(r => !Group.BUILTIN_ROLES.includes(r.name)).length;
+      if (!Group.BUILTIN_ROLES.includes(roleName) && customRoleCount >= MAX_CUSTOM_ROLES) {
+        return res.status(400).json({
+          success: false,
+          message: `自定义角色不能超过${MAX_CUSTOM_ROLES}个`
+        });
       }
+      
+      group.roles.push({ name: roleName, permissions: uniquePermissions });
     }
     
     await group.save();
     
-    // 通知群组管理员
-    const adminSystemMessage = {
-      type: 'system',
-      content: `用户 ${req.user.username} 退出了群组 "${group.name}"`,
-      metadata: {
-        type: 'user_left_group',
-        groupId: group._id,
-        groupName: group.name,
-        userId: userId,
-        username: req.user.username
+    res.status(200).json({
+      success: true,
+      message: '角色权限设置成功',
+      data: {
+        roles: group.getPermissionMatrix()
       }
-    };
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/roles/{roleName}:
+ *   delete:
+ *     summary: 删除自定义角色或恢复内置角色的默认权限
+ *     description: |
+ *       仅群组创建者可操作。删除自定义角色时，该角色的成员变为普通成员；
+ *       roleName为admin或member时恢复该角色的默认权限
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 角色已删除或已恢复默认权限
+ *       400:
+ *         description: 不能删除创建者角色
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是群组创建者
+ *       404:
+ *         description: 群组或角色不存在
+ */
+router.delete('/:groupId/roles/:roleName', protect, checkGroupPermission(), async (req, res, next) => {
+  try {
+    const roleName = req.params.roleName.trim();
+    const group = req.group;
+    
+    if (!group.isCreator(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: '只有群组创建者可以删除角色'
+      });
+    }
+    
+    if (roleName === 'creator') {
+      return res.status(400).json({
+        success: false,
+        message: '不能删除创建者角色'
+      });
+    }
+    
+    const roleIndex = group.roles.findIndex(r => r.name === roleName);
     
-    // 向所有管理员发送通知
-    for (const adminId of group.admins) {
-      await global.MessageQueue.addSystemMessageToQueue(adminId, adminSystemMessage);
+    if (roleIndex === -1 && !Group.BUILTIN_ROLES.includes(roleName)) {
+      return res.status(404).json({
+        success: false,
+        message: '角色不存在'
+      });
+    }
+    
+    if (roleIndex !== -1) {
+      group.roles.splice(roleIndex, 1);
     }
     
+    // 自定义角色的成员变为普通成员
+    if (!Group.BUILTIN_ROLES.includes(roleName)) {
+      for (const member of group.members) {
+        if (member.role === roleName) {
+          member.role = 'member';
+        }
+      }
+    }
+    
+    await group.save();
+    
     res.status(200).json({
       success: true,
-      message: '成功退出群组'
+      message: Group.BUILTIN_ROLES.includes(roleName) ? '已恢复默认权限' : '角色已删除',
+      data: {
+        roles: group.getPermissionMatrix()
+      }
     });
   } catch (err) {
     next(err);
@@ -753,9 +2531,10 @@ router.post('/:groupId/leave', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/members/{userId}:
- *   delete:
- *     summary: 从群组移除成员
+ * /api/groups/{groupId}/members/{userId}/role:
+ *   put:
+ *     summary: 设置成员角色
+ *     description: 仅群组创建者可操作，可设置为admin、member或自定义角色，设置为admin时同时加入管理员列表
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -770,101 +2549,96 @@ router.post('/:groupId/leave', protect, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
  *     responses:
  *       200:
- *         description: 成员移除成功
+ *         description: 成员角色设置成功
+ *       400:
+ *         description: 角色不存在或不能修改创建者的角色
  *       401:
  *         description: 未授权
  *       403:
- *         description: 无权移除成员
+ *         description: 不是群组创建者
  *       404:
  *         description: 群组或成员不存在
  */
-router.delete('/:groupId/members/:userId', protect, async (req, res, next) => {
+router.put('/:groupId/members/:userId/role', protect, checkGroupPermission(), async (req, res, next) => {
   try {
-    const { groupId, userId } = req.params;
+    const { userId } = req.params;
+    const { role } = req.body;
     const currentUserId = req.user._id;
+    const group = req.group;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({
         success: false,
-        message: '无效的ID'
+        message: '无效的用户ID'
       });
     }
     
-    // 查找群组
-    const group = await Group.findById(groupId);
-    
-    if (!group) {
-      return res.status(404).json({
+    if (!group.isCreator(currentUserId)) {
+      return res.status(403).json({
         success: false,
-        message: '群组不存在'
+        message: '只有群组创建者可以设置成员角色'
       });
     }
     
-    // 检查当前用户是否有权移除成员
-    if (!group.isCreator(currentUserId) && !group.isAdmin(currentUserId)) {
-      return res.status(403).json({
+    if (typeof role !== 'string' || role === 'creator' || !group.hasRole(role)) {
+      return res.status(400).json({
         success: false,
-        message: '只有群组创建者或管理员可以移除成员'
+        message: '角色不存在'
       });
     }
     
-    // 检查要移除的用户是否是群组成员
-    if (!group.isMember(userId)) {
+    const member = group.members.find(m => m.user.toString() === userId.toString());
+    
+    if (!member) {
       return res.status(404).json({
         success: false,
-        message: '要移除的用户不是群组成员'
+        message: '该用户不是群组成员'
       });
     }
     
-    // 检查是否正在尝试移除创建者
     if (group.isCreator(userId)) {
       return res.status(400).json({
         success: false,
-        message: '不能移除群组创建者'
-      });
-    }
-    
-    // 检查管理员是否在尝试移除另一个管理员（只有创建者可以移除管理员）
-    if (group.isAdmin(userId) && !group.isCreator(currentUserId)) {
-      return res.status(403).json({
-        success: false,
-        message: '只有群组创建者可以移除管理员'
+        message: '不能修改创建者的角色'
       });
     }
     
-    // 移除成员
-    const memberIndex = group.members.findIndex(
-      member => member.user.toString() === userId.toString()
-    );
-    
-    if (memberIndex !== -1) {
-      group.members.splice(memberIndex, 1);
-    }
+    member.role = role;
     
-    // 如果是管理员，也要从管理员列表移除
-    if (group.isAdmin(userId)) {
-      const adminIndex = group.admins.findIndex(
-        admin => admin.toString() === userId.toString()
-      );
-      
-      if (adminIndex !== -1) {
-        group.admins.splice(adminIndex, 1);
-      }
+    // 管理员列表与成员角色保持一致
+    const adminIndex = group.admins.findIndex(admin => admin.toString() === userId.toString());
+    if (role === 'admin' && adminIndex === -1) {
+      group.admins.push(userId);
+    } else if (role !== 'admin' && adminIndex !== -1) {
+      group.admins.splice(adminIndex, 1);
     }
     
     await group.save();
     
-    // 向被移除成员发送系统消息
+    // 向成员发送系统消息
     const systemMessage = {
       type: 'system',
-      content: `您已被移出群组 "${group.name}"`,
+      content: `您在群组 "${group.name}" 中的角色已变更为 ${role}`,
       metadata: {
-        type: 'removed_from_group',
+        type: 'group_role_changed',
         groupId: group._id,
         groupName: group.name,
-        removedBy: currentUserId
+        role,
+        permissions: group.getRolePermissions(role),
+        changedBy: currentUserId
       }
     };
     
@@ -872,7 +2646,10 @@ router.delete('/:groupId/members/:userId', protect, async (req, res, next) => {
     
     res.status(200).json({
       success: true,
-      message: '成员移除成功'
+      message: '成员角色设置成功',
+      data: {
+        member
+      }
     });
   } catch (err) {
     next(err);
@@ -881,9 +2658,63 @@ router.delete('/:groupId/members/:userId', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/admins/{userId}:
+ * /api/groups/{groupId}/pins:
+ *   get:
+ *     summary: 获取群组置顶消息
+ *     description: 群组成员可查看，按置顶时间倒序返回，已撤回或已删除的消息不会返回
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取置顶消息成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 群组不存在
+ */
+router.get('/:groupId/pins', protect, checkGroupPermission(), async (req, res, next) => {
+  try {
+    const group = req.group;
+    
+    await group.populate([
+      {
+        path: 'pinnedMessages.message',
+        populate: { path: 'sender', select: 'username avatar' }
+      },
+      { path: 'pinnedMessages.pinnedBy', select: 'username avatar' }
+    ]);
+    
+    const pins = group.pinnedMessages
+      .filter(pin => pin.message && !pin.message.recalledAt)
+      .sort((a, b) => b.pinnedAt - a.pinnedAt);
+    
+    res.status(200).json({
+      success: true,
+      count: pins.length,
+      data: {
+        pins
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/pins/{messageId}:
  *   post:
- *     summary: 设置群组管理员
+ *     summary: 置顶群组消息
+ *     description: 需要pinMessages权限，每个群组最多置顶10条消息
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -894,99 +2725,78 @@ router.delete('/:groupId/members/:userId', protect, async (req, res, next) => {
  *         schema:
  *           type: string
  *       - in: path
- *         name: userId
+ *         name: messageId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
- *       200:
- *         description: 管理员设置成功
+ *       201:
+ *         description: 消息已置顶
+ *       400:
+ *         description: 消息已置顶、已撤回或置顶数量已达上限
  *       401:
  *         description: 未授权
  *       403:
- *         description: 无权设置管理员
+ *         description: 没有pinMessages权限
  *       404:
- *         description: 群组或成员不存在
+ *         description: 群组或消息不存在
  */
-router.post('/:groupId/admins/:userId', protect, async (req, res, next) => {
+router.post('/:groupId/pins/:messageId', protect, checkGroupPermission('pinMessages'), async (req, res, next) => {
   try {
-    const { groupId, userId } = req.params;
-    const currentUserId = req.user._id;
+    const { messageId } = req.params;
+    const userId = req.user._id;
+    const group = req.group;
     
-    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
       return res.status(400).json({
         success: false,
-        message: '无效的ID'
+        message: '无效的消息ID'
       });
     }
     
-    // 查找群组
-    const group = await Group.findById(groupId);
+    const message = await Message.findOne({ _id: messageId, group: group._id });
     
-    if (!group) {
+    if (!message) {
       return res.status(404).json({
         success: false,
-        message: '群组不存在'
+        message: '消息不存在'
       });
     }
     
-    // 检查当前用户是否是群组创建者（只有创建者可以设置管理员）
-    if (!group.isCreator(currentUserId)) {
-      return res.status(403).json({
+    if (message.recalledAt) {
+      return res.status(400).json({
         success: false,
-        message: '只有群组创建者可以设置管理员'
+        message: '已撤回的消息不能置顶'
       });
     }
     
-    // 检查要设置的用户是否是群组成员
-    if (!group.isMember(userId)) {
-      return res.status(404).json({
+    if (group.pinnedMessages.some(pin => pin.message.toString() === messageId)) {
+      return res.status(400).json({
         success: false,
-        message: '要设置为管理员的用户不是群组成员'
+        message: '该消息已置顶'
       });
     }
     
-    // 检查是否已经是管理员
-    if (group.isAdmin(userId)) {
+    if (group.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
       return res.status(400).json({
         success: false,
-        message: '该用户已经是管理员'
+        message: `置顶消息不能超过${MAX_PINNED_MESSAGES}条`
       });
     }
     
-    // 添加为管理员
-    group.admins.push(userId);
-    
-    // 更新成员角色
-    const memberIndex = group.members.findIndex(
-      member => member.user.toString() === userId.toString()
-    );
-    
-    if (memberIndex !== -1) {
-      group.members[memberIndex].role = 'admin';
-    }
+    group.pinnedMessages.push({
+      message: message._id,
+      pinnedBy: userId,
+      pinnedAt: new Date()
+    });
     
     await group.save();
     
-    // 向新管理员发送系统消息
-    const systemMessage = {
-      type: 'system',
-      content: `您已被设为群组 "${group.name}" 的管理员`,
-      metadata: {
-        type: 'promoted_to_admin',
-        groupId: group._id,
-        groupName: group.name,
-        promotedBy: currentUserId
-      }
-    };
-    
-    await global.MessageQueue.addSystemMessageToQueue(userId, systemMessage);
-    
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: '管理员设置成功',
+      message: '消息已置顶',
       data: {
-        group
+        pinnedMessages: group.pinnedMessages
       }
     });
   } catch (err) {
@@ -996,9 +2806,10 @@ router.post('/:groupId/admins/:userId', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/groups/{groupId}/admins/{userId}:
+ * /api/groups/{groupId}/pins/{messageId}:
  *   delete:
- *     summary: 移除群组管理员
+ *     summary: 取消置顶群组消息
+ *     description: 需要pinMessages权限
  *     tags: [Groups]
  *     security:
  *       - bearerAuth: []
@@ -1009,103 +2820,43 @@ router.post('/:groupId/admins/:userId', protect, async (req, res, next) => {
  *         schema:
  *           type: string
  *       - in: path
- *         name: userId
+ *         name: messageId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: 管理员移除成功
+ *         description: 已取消置顶
  *       401:
  *         description: 未授权
  *       403:
- *         description: 无权移除管理员
+ *         description: 没有pinMessages权限
  *       404:
- *         description: 群组或管理员不存在
+ *         description: 群组不存在或消息未置顶
  */
-router.delete('/:groupId/admins/:userId', protect, async (req, res, next) => {
+router.delete('/:groupId/pins/:messageId', protect, checkGroupPermission('pinMessages'), async (req, res, next) => {
   try {
-    const { groupId, userId } = req.params;
-    const currentUserId = req.user._id;
-    
-    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: '无效的ID'
-      });
-    }
-    
-    // 查找群组
-    const group = await Group.findById(groupId);
-    
-    if (!group) {
-      return res.status(404).json({
-        success: false,
-        message: '群组不存在'
-      });
-    }
+    const { messageId } = req.params;
+    const group = req.group;
     
-    // 检查当前用户是否是群组创建者（只有创建者可以移除管理员）
-    if (!group.isCreator(currentUserId)) {
-      return res.status(403).json({
-        success: false,
-        message: '只有群组创建者可以移除管理员'
-      });
-    }
+    const pinIndex = group.pinnedMessages.findIndex(pin => pin.message.toString() === messageId);
     
-    // 检查要移除的用户是否是管理员
-    if (!group.isAdmin(userId)) {
+    if (pinIndex === -1) {
       return res.status(404).json({
         success: false,
-        message: '要移除的用户不是管理员'
-      });
-    }
-    
-    // 检查是否正在尝试移除创建者的管理员权限
-    if (group.isCreator(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: '不能移除创建者的管理员权限'
+        message: '该消息未置顶'
       });
     }
     
-    // 从管理员列表移除
-    const adminIndex = group.admins.findIndex(
-      admin => admin.toString() === userId.toString()
-    );
-    
-    if (adminIndex !== -1) {
-      group.admins.splice(adminIndex, 1);
-    }
-    
-    // 更新成员角色
-    const memberIndex = group.members.findIndex(
-      member => member.user.toString() === userId.toString()
-    );
-    
-    if (memberIndex !== -1) {
-      group.members[memberIndex].role = 'member';
-    }
-    
+    group.pinnedMessages.splice(pinIndex, 1);
     await group.save();
     
-    // 向被移除的管理员发送系统消息
-    const systemMessage = {
-      type: 'system',
-      content: `您已被取消群组 "${group.name}" 的管理员身份`,
-      metadata: {
-        type: 'demoted_from_admin',
-        groupId: group._id,
-        groupName: group.name,
-        demotedBy: currentUserId
-      }
-    };
-    
-    await global.MessageQueue.addSystemMessageToQueue(userId, systemMessage);
-    
     res.status(200).json({
       success: true,
-      message: '管理员移除成功'
+      message: '已取消置顶',
+      data: {
+        pinnedMessages: group.pinnedMessages
+      }
     });
   } catch (err) {
     next(err);
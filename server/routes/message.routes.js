@@ -1,14 +1,188 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Group = require('../models/Group');
-const MessageQueue = require('../models/MessageQueue');
-const { Notification } = require('../models/Notification');
+const ReadCursor = require('../models/ReadCursor');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
+const { Notification, NOTIFICATION_TYPES } = require('../models/Notification');
 const { protect } = require('../middlewares/auth');
+const LinkPreview = require('../utils/LinkPreview');
+const { encodeCursor, decodeCursor, olderThanCursor, findHistoryPage, parseLimit, parseSkip } = require('../utils/MessageHistory');
 const mongoose = require('mongoose');
 
+// 消息发送后允许编辑的时间窗口（毫秒），默认15分钟
+const MESSAGE_EDIT_WINDOW = parseInt(process.env.MESSAGE_EDIT_WINDOW) || 15 * 60 * 1000;
+// 消息发送后发送者可以撤回的时间窗口（毫秒），默认2分钟
+const MESSAGE_RECALL_WINDOW = parseInt(process.env.MESSAGE_RECALL_WINDOW) || 2 * 60 * 1000;
+
+// 表情回应中单个表情的最大长度（部分表情由多个码元组合而成）
+const MAX_REACTION_LENGTH = 32;
+// 表情回应必须是单个表情：可带变体选择符和肤色修饰、可由零宽连接符组合，也可以是国旗或键帽表情
+const REACTION_EMOJI_PATTERN = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)$/u;
+// 每条消息最多的不同表情回应数量
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// 由服务端写入的消息元数据字段（链接预览和附件信息），不接受客户端传入的值
+const SERVER_METADATA_FIELDS = ['linkPreview', 'attachmentId', 'blurhash', 'thumbnails'];
+
+// 消息历史每页的最大条数
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// 搜索关键词的最大长度
+const MAX_SEARCH_QUERY_LENGTH = 100;
+// 搜索结果片段中匹配位置前后保留的字符数
+const SEARCH_SNIPPET_CONTEXT = 40;
+
+// 生成搜索结果片段，截取第一个匹配位置附近的内容，并返回片段中所有匹配短语的位置 [开始, 结束)
+const buildSearchSnippet = (content, phrases) => {
+  const lowerContent = content.toLowerCase();
+  const ranges = [];
+  
+  phrases.forEach((phrase) => {
+    const lowerPhrase = phrase.toLowerCase();
+    for (let index = lowerContent.indexOf(lowerPhrase); index !== -1; index = lowerContent.indexOf(lowerPhrase, index + lowerPhrase.length)) {
+      ranges.push([index, index + lowerPhrase.length]);
+    }
+  });
+  
+  // 合并重叠或相邻的位置，中文关键词拆分的词元会连成一段
+  const merged = [];
+  ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  
+  const first = merged[0] || [0, 0];
+  const start = Math.max(0, first[0] - SEARCH_SNIPPET_CONTEXT);
+  const end = Math.min(content.length, first[1] + SEARCH_SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '…' : '';
+  
+  return {
+    snippet: `${prefix}${content.slice(start, end)}${end < content.length ? '…' : ''}`,
+    highlights: merged
+      .filter(([rangeStart]) => rangeStart < end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, Math.min(rangeEnd, end) - start + prefix.length])
+  };
+};
+
+// 消息历史中被引用消息的简要预览
+const REPLY_PREVIEW_POPULATE = {
+  path: 'replyTo',
+  select: 'sender content type createdAt recalledAt',
+  populate: { path: 'sender', select: 'username avatar' }
+};
+
+// 查找被引用的消息，必须与新消息属于同一会话
+const findReplyTarget = async (message, replyToId) => {
+  if (!mongoose.Types.ObjectId.isValid(replyToId)) {
+    return null;
+  }
+  
+  const target = await Message.findById(replyToId);
+  return target && message.isInSameConversation(target) ? target : null;
+};
+
+// 过滤客户端传入的消息元数据，去掉由服务端写入的字段，不是对象时忽略
+const sanitizeMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return {};
+  }
+  
+  const sanitized = { ...metadata };
+  SERVER_METADATA_FIELDS.forEach(field => delete sanitized[field]);
+  return sanitized;
+};
+
+// 查找要随消息发送的附件，只能发送自己上传的附件
+const findSenderAttachment = async (attachmentId, senderId) => {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+    return null;
+  }
+  
+  return Attachment.findOne({ _id: attachmentId, uploader: senderId });
+};
+
+// 检查用户是否是消息所在会话的参与者，群组消息需传入消息所属群组
+const isConversationParticipant = (message, userId, group) => {
+  if (message.sender.toString() === userId.toString()) {
+    return true;
+  }
+  
+  if (message.group) {
+    return !!group && group.isMember(userId);
+  }
+  
+  return !!message.receiver && message.receiver.toString() === userId.toString();
+};
+
+// 获取消息所在会话中除操作者之外的参与者ID，不传操作者时返回全部参与者
+const getMessageParticipants = async (message, actorId) => {
+  let participantIds = [message.sender, message.receiver];
+  
+  if (message.group) {
+    const group = await Group.findById(message.group).select('members.user');
+    participantIds = group ? group.members.map(member => member.user) : [];
+  }
+  
+  return participantIds.filter(id => id && (!actorId || id.toString() !== actorId.toString()));
+};
+
+// 将消息变更事件（如编辑）推送到会话其他参与者的消息队列，不传操作者时推送给全部参与者
+const queueMessageEvent = async (message, actorId, type, content, metadata) => {
+  const participantIds = await getMessageParticipants(message, actorId);
+  
+  for (const participantId of participantIds) {
+    await global.MessageQueue.addSystemMessageToQueue(participantId, {
+      type,
+      content,
+      metadata: {
+        messageId: message._id,
+        sender: message.sender,
+        receiver: message.receiver,
+        group: message.group,
+        ...metadata
+      }
+    });
+  }
+};
+
+// 异步生成文本消息中第一个链接的预览，生成后写入metadata.linkPreview，
+// 并通知会话全部参与者（包括发送者的其他客户端）
+const scheduleLinkPreview = (message) => {
+  const url = LinkPreview.extractUrl(message.content);
+  if (message.type !== 'text' || !url) {
+    return;
+  }
+  
+  LinkPreview.generate(url)
+    .then(async (linkPreview) => {
+      if (!linkPreview) {
+        return;
+      }
+      
+      // 生成期间消息被编辑或撤回时放弃本次预览
+      const updated = await Message.findOneAndUpdate(
+        { _id: message._id, content: message.content, recalledAt: { $exists: false } },
+        { $set: { 'metadata.linkPreview': linkPreview } },
+        { new: true }
+      );
+      if (!updated) {
+        return;
+      }
+      
+      await queueMessageEvent(updated, null, 'link_preview', '链接预览已生成', { linkPreview });
+    })
+    .catch((err) => {
+      console.error(`生成链接预览失败 (${url}):`, err.message);
+    });
+};
+
 /**
  * @swagger
  * tags:
@@ -32,17 +206,24 @@ const mongoose = require('mongoose');
  *             type: object
  *             required:
  *               - receiverId
- *               - content
  *             properties:
  *               receiverId:
  *                 type: string
  *               content:
  *                 type: string
+ *                 description: 消息内容，发送附件时可省略（默认为文件名）
  *               type:
  *                 type: string
  *                 enum: [text, image, file, emoji]
  *               metadata:
  *                 type: object
+ *                 description: 自定义元数据，linkPreview、attachmentId、blurhash、thumbnails由服务端生成，传入时会被忽略
+ *               replyTo:
+ *                 type: string
+ *                 description: 引用（回复）的消息ID，必须属于同一会话
+ *               attachmentId:
+ *                 type: string
+ *                 description: 通过 /api/uploads 上传的附件ID，消息类型按附件自动设为image或file
  *     responses:
  *       201:
  *         description: 消息发送成功
@@ -50,10 +231,12 @@ const mongoose = require('mongoose');
  *         description: 请求错误
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 存在拉黑关系，或对方只接收好友的消息
  */
 router.post('/send', protect, async (req, res, next) => {
   try {
-    const { receiverId, content, type, metadata } = req.body;
+    const { receiverId, content, type, metadata, replyTo, attachmentId } = req.body;
     const senderId = req.user._id;
     
     if (!receiverId) {
@@ -63,7 +246,7 @@ router.post('/send', protect, async (req, res, next) => {
       });
     }
     
-    if (!content) {
+    if (!content && !attachmentId) {
       return res.status(400).json({
         success: false,
         message: '消息内容不能为空'
@@ -79,30 +262,83 @@ router.post('/send', protect, async (req, res, next) => {
       });
     }
     
+    // 检查黑名单和接收者的私聊权限设置
+    if (req.user.hasBlocked(receiver._id)) {
+      return res.status(403).json({
+        success: false,
+        message: '您已将该用户加入黑名单，请先移出黑名单'
+      });
+    }
+    
+    if (receiver.hasBlocked(senderId)) {
+      return res.status(403).json({
+        success: false,
+        message: '对方已拒收您的消息'
+      });
+    }
+    
+    if (!receiver.allowsMessageFrom(senderId)) {
+      return res.status(403).json({
+        success: false,
+        message: '对方只接收好友的消息'
+      });
+    }
+    
+    // 检查附件是否存在且由发送者上传
+    const attachment = attachmentId ? await findSenderAttachment(attachmentId, senderId) : null;
+    if (attachmentId && !attachment) {
+      return res.status(400).json({
+        success: false,
+        message: '附件不存在或不是您上传的'
+      });
+    }
+    
     // 创建消息
     const message = new Message({
       sender: senderId,
       receiver: receiverId,
-      content,
-      type: type || 'text',
-      metadata: metadata || {}
+      content: content || attachment.fileName,
+      type: attachment ? (attachment.isImage() ? 'image' : 'file') : (type || 'text'),
+      metadata: attachment
+        ? { ...sanitizeMetadata(metadata), ...attachment.toMessageMetadata() }
+        : sanitizeMetadata(metadata),
+      attachment: attachment ? attachment._id : undefined,
+      replyTo: replyTo || undefined
     });
     
+    // 检查引用的消息属于同一会话
+    if (replyTo && !(await findReplyTarget(message, replyTo))) {
+      return res.status(400).json({
+        success: false,
+        message: '引用的消息不存在或不属于当前会话'
+      });
+    }
+    
     await message.save();
+    await message.populate(REPLY_PREVIEW_POPULATE);
+    
+    // 更新双方的会话
+    await Conversation.recordMessage(message);
     
     // 将消息添加到接收者的消息队列
     await global.MessageQueue.addMessageToQueue(receiverId, message._id);
     
-    // 创建消息通知
-    await Notification.createMessageNotification(
-      receiverId,
-      senderId,
-      message._id,
-      content.length > 30 ? `${content.substring(0, 30)}...` : content
-    );
+    // 消息中包含链接时在后台生成链接预览
+    scheduleLinkPreview(message);
+    
+    // 创建消息通知，接收者对该会话开启免打扰时不通知
+    const mutedUserIds = await Conversation.getMutedUserIds('private', senderId, [receiver._id]);
+    if (!mutedUserIds.has(receiver._id.toString())) {
+      await Notification.createMessageNotification(
+        receiverId,
+        senderId,
+        message._id,
+        message.content.length > 30 ? `${message.content.substring(0, 30)}...` : message.content
+      );
+    }
     
     // 获取当前用户信息
-    const sender = await User.findById(senderId).select('username avatar status');
+    const sender = await User.findById(senderId).select('username avatar');
     
     // 构建响应消息，包含发送者信息
     const messageResponse = {
@@ -110,8 +346,7 @@ router.post('/send', protect, async (req, res, next) => {
       sender: {
         _id: sender._id,
         username: sender.username,
-        avatar: sender.avatar,
-        status: sender.status
+        avatar: sender.avatar
       }
     };
     
@@ -143,17 +378,28 @@ router.post('/send', protect, async (req, res, next) => {
  *             type: object
  *             required:
  *               - groupId
- *               - content
  *             properties:
  *               groupId:
  *                 type: string
  *               content:
  *                 type: string
+ *                 description: 消息内容，发送附件时可省略（默认为文件名）
  *               type:
  *                 type: string
  *                 enum: [text, image, file, emoji]
  *               metadata:
  *                 type: object
+ *                 description: 自定义元数据，linkPreview、attachmentId、blurhash、thumbnails由服务端生成，传入时会被忽略
+ *                 properties:
+ *                   mentionAll:
+ *                     type: boolean
+ *                     description: 是否@全体成员，需要mentionAll权限
+ *               replyTo:
+ *                 type: string
+ *                 description: 引用（回复）的消息ID，必须属于同一会话
+ *               attachmentId:
+ *                 type: string
+ *                 description: 通过 /api/uploads 上传的附件ID，消息类型按附件自动设为image或file
  *     responses:
  *       201:
  *         description: 消息发送成功
@@ -161,12 +407,14 @@ router.post('/send', protect, async (req, res, next) => {
  *         description: 请求错误
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 不是群组成员，或没有发言、@全体成员的权限
  *       404:
  *         description: 群组不存在
  */
 router.post('/group/send', protect, async (req, res, next) => {
   try {
-    const { groupId, content, type, metadata } = req.body;
+    const { groupId, content, type, metadata, replyTo, attachmentId } = req.body;
     const senderId = req.user._id;
     
     if (!groupId) {
@@ -176,7 +424,7 @@ router.post('/group/send', protect, async (req, res, next) => {
       });
     }
     
-    if (!content) {
+    if (!content && !attachmentId) {
       return res.status(400).json({
         success: false,
         message: '消息内容不能为空'
@@ -200,34 +448,85 @@ router.post('/group/send', protect, async (req, res, next) => {
       });
     }
     
+    // 按群组的权限矩阵检查发言和@全体成员权限
+    if (!group.hasPermission(senderId, 'post')) {
+      return res.status(403).json({
+        success: false,
+        message: '您没有在该群组发言的权限'
+      });
+    }
+    
+    if (metadata && metadata.mentionAll && !group.hasPermission(senderId, 'mentionAll')) {
+      return res.status(403).json({
+        success: false,
+        message: '您没有@全体成员的权限'
+      });
+    }
+    
+    // 检查附件是否存在且由发送者上传
+    const attachment = attachmentId ? await findSenderAttachment(attachmentId, senderId) : null;
+    if (attachmentId && !attachment) {
+      return res.status(400).json({
+        success: false,
+        message: '附件不存在或不是您上传的'
+      });
+    }
+    
     // 创建消息
     const message = new Message({
       sender: senderId,
       group: groupId,
-      content,
-      type: type || 'text',
-      metadata: metadata || {}
+      content: content || attachment.fileName,
+      type: attachment ? (attachment.isImage() ? 'image' : 'file') : (type || 'text'),
+      metadata: attachment
+        ? { ...sanitizeMetadata(metadata), ...attachment.toMessageMetadata() }
+        : sanitizeMetadata(metadata),
+      attachment: attachment ? attachment._id : undefined,
+      replyTo: replyTo || undefined
     });
     
+    // 检查引用的消息属于同一会话
+    if (replyTo && !(await findReplyTarget(message, replyTo))) {
+      return res.status(400).json({
+        success: false,
+        message: '引用的消息不存在或不属于当前会话'
+      });
+    }
+    
     await message.save();
+    await message.populate(REPLY_PREVIEW_POPULATE);
+    
+    // 消息中包含链接时在后台生成链接预览
+    scheduleLinkPreview(message);
+    
+    // 更新群组的最后消息摘要和所有群组成员的会话
+    const memberIds = group.members.map(member => member.user);
+    await Group.recordLastMessage(message);
+    await Conversation.recordMessage(message, memberIds);
+    const mutedUserIds = await Conversation.getMutedUserIds('group', group._id, memberIds);
     
     // 将消息添加到所有群组成员的消息队列（除了发送者）
     for (const member of group.members) {
       if (member.user.toString() !== senderId.toString()) {
         await global.MessageQueue.addMessageToQueue(member.user, message._id);
         
+        // 开启免打扰的成员不创建消息通知
+        if (mutedUserIds.has(member.user.toString())) {
+          continue;
+        }
+        
         // 为每个群组成员创建消息通知
         await Notification.createMessageNotification(
           member.user,
           senderId,
           message._id,
-          `[群组: ${group.name}] ${content.length > 20 ? content.substring(0, 20) + '...' : content}`
+          `[群组: ${group.name}] ${message.content.length > 20 ? message.content.substring(0, 20) + '...' : message.content}`
         );
       }
     }
     
     // 获取当前用户信息
-    const sender = await User.findById(senderId).select('username avatar status');
+    const sender = await User.findById(senderId).select('username avatar');
     
     // 构建响应消息，包含发送者信息
     const messageResponse = {
@@ -235,8 +534,7 @@ router.post('/group/send', protect, async (req, res, next) => {
       sender: {
         _id: sender._id,
         username: sender.username,
-        avatar: sender.avatar,
-        status: sender.status
+        avatar: sender.avatar
       }
     };
     
@@ -257,6 +555,9 @@ router.post('/group/send', protect, async (req, res, next) => {
  * /api/messages/history/{userId}:
  *   get:
  *     summary: 获取与指定用户的消息历史
+ *     description: |
+ *       使用游标分页，before、after和around最多指定一个，都不传时返回最新一页。
+ *       返回最新一页时会将收到的消息标记为已读并推进读取游标。
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -267,27 +568,54 @@ router.post('/group/send', protect, async (req, res, next) => {
  *         schema:
  *           type: string
  *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: 获取该位置之前（更早）的消息，可以是上一页返回的prevCursor、消息ID或时间
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: 获取该位置之后（更新）的消息，可以是上一页返回的nextCursor、消息ID或时间（包含该时刻的消息）
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: 获取该消息及其前后的消息，用于从搜索结果跳转到消息所在位置，可以是消息ID或分页游标
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 50
+ *           maximum: 100
  *       - in: query
  *         name: skip
+ *         deprecated: true
  *         schema:
  *           type: integer
  *           default: 0
+ *         description: 跳过最新的若干条消息，请改用before分页
  *     responses:
  *       200:
- *         description: 获取消息历史成功
+ *         description: |
+ *           获取消息历史成功，data.messages按时间正序排列。
+ *           hasOlder/hasNewer表示是否还有更早/更新的消息，
+ *           分别将prevCursor作为before、nextCursor作为after传入以继续加载
+ *       400:
+ *         description: 请求错误
  *       401:
  *         description: 未授权
+ *       404:
+ *         description: 参考消息不存在
  */
 router.get('/history/:userId', protect, async (req, res, next) => {
   try {
     const { userId } = req.params;
+    const { before, after, around } = req.query;
     const currentUserId = req.user._id;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
+    const limit = parseLimit(req.query.limit, 50, MAX_HISTORY_PAGE_SIZE);
+    const skip = parseSkip(req.query.skip);
     
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({
@@ -297,24 +625,49 @@ router.get('/history/:userId', protect, async (req, res, next) => {
     }
     
     // 获取双向消息历史（当前用户发送和接收的消息）
-    const messages = await Message.find({
+    const page = await findHistoryPage({
       $or: [
         { sender: currentUserId, receiver: userId },
         { sender: userId, receiver: currentUserId }
       ]
-    })
-      .sort({ createdAt: -1 }) // 最新消息在前
-      .skip(skip)
-      .limit(limit)
-      .populate('sender', 'username avatar _id status')  // 确保包含_id字段
-      .populate('receiver', 'username avatar _id status');
+    }, {
+      userId: currentUserId,
+      before,
+      after,
+      around,
+      limit,
+      skip,
+      prepare: query => query
+        .populate('sender', 'username avatar _id')  // 确保包含_id字段
+        .populate('receiver', 'username avatar _id')
+        .populate(REPLY_PREVIEW_POPULATE)
+    });
+    
+    if (page.status) {
+      return res.status(page.status).json({
+        success: false,
+        message: page.message
+      });
+    }
+    
+    const { messages, ...cursors } = page;
     
     // 更新接收到的消息状态为已读
-    await Message.updateMany(
+    const readResult = await Message.updateMany(
       { sender: userId, receiver: currentUserId, isRead: false },
       { isRead: true }
     );
     
+    // 查看到最新消息时将读取游标推进到最新消息
+    if (!cursors.hasNewer && messages.length > 0) {
+      await ReadCursor.advance(currentUserId, 'private', userId, messages[messages.length - 1]);
+    }
+    
+    // 有消息被标记为已读时更新会话未读数
+    if (readResult.modifiedCount > 0) {
+      await Conversation.sync(currentUserId, 'private', userId);
+    }
+    
     // 确保每条消息的发送者信息完整
     const processedMessages = messages.map(message => {
       const messageObj = message.toObject();
@@ -331,7 +684,8 @@ router.get('/history/:userId', protect, async (req, res, next) => {
       success: true,
       count: messages.length,
       data: {
-        messages: processedMessages.reverse() // 返回时按时间正序排列
+        messages: processedMessages,
+        ...cursors
       }
     });
   } catch (err) {
@@ -344,6 +698,8 @@ router.get('/history/:userId', protect, async (req, res, next) => {
  * /api/messages/history/{userId}/time-range:
  *   get:
  *     summary: 根据时间范围获取与指定用户的消息历史
+ *     deprecated: true
+ *     description: 已废弃，请改用 /api/messages/history/{userId} 的after参数（传入开始时间）
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -369,7 +725,9 @@ router.get('/history/:userId', protect, async (req, res, next) => {
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 50
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: 获取消息历史成功
@@ -381,7 +739,7 @@ router.get('/history/:userId/time-range', protect, async (req, res, next) => {
     const { userId } = req.params;
     const { startDate, endDate } = req.query;
     const currentUserId = req.user._id;
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = parseLimit(req.query.limit, 50, MAX_HISTORY_PAGE_SIZE);
     
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({
@@ -414,6 +772,7 @@ router.get('/history/:userId/time-range', protect, async (req, res, next) => {
         { sender: currentUserId, receiver: userId },
         { sender: userId, receiver: currentUserId }
       ],
+      deletedFor: { $ne: currentUserId },
       createdAt: {
         $gte: startDateTime,
         $lte: endDateTime
@@ -422,7 +781,8 @@ router.get('/history/:userId/time-range', protect, async (req, res, next) => {
       .sort({ createdAt: 1 })
       .limit(limit)
       .populate('sender', 'username avatar')
-      .populate('receiver', 'username avatar');
+      .populate('receiver', 'username avatar')
+      .populate(REPLY_PREVIEW_POPULATE);
     
     res.status(200).json({
       success: true,
@@ -441,6 +801,8 @@ router.get('/history/:userId/time-range', protect, async (req, res, next) => {
  * /api/messages/history/{userId}/before/{messageId}:
  *   get:
  *     summary: 获取指定消息之前的历史消息（用于分页加载）
+ *     deprecated: true
+ *     description: 已废弃，请改用 /api/messages/history/{userId} 的before参数
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -459,7 +821,9 @@ router.get('/history/:userId/time-range', protect, async (req, res, next) => {
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: 获取历史消息成功
@@ -470,7 +834,7 @@ router.get('/history/:userId/before/:messageId', protect, async (req, res, next)
   try {
     const { userId, messageId } = req.params;
     const currentUserId = req.user._id;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = parseLimit(req.query.limit, 20, MAX_HISTORY_PAGE_SIZE);
     
     if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(messageId)) {
       return res.status(400).json({
@@ -494,12 +858,14 @@ router.get('/history/:userId/before/:messageId', protect, async (req, res, next)
         { sender: currentUserId, receiver: userId },
         { sender: userId, receiver: currentUserId }
       ],
+      deletedFor: { $ne: currentUserId },
       createdAt: { $lt: referenceMessage.createdAt }
     })
       .sort({ createdAt: -1 })
       .limit(limit)
-      .populate('sender', 'username avatar _id status')
-      .populate('receiver', 'username avatar _id status');
+      .populate('sender', 'username avatar _id')
+      .populate('receiver', 'username avatar _id')
+      .populate(REPLY_PREVIEW_POPULATE);
     
     // 确保每条消息的发送者信息完整
     const processedMessages = messages.map(message => {
@@ -530,6 +896,9 @@ router.get('/history/:userId/before/:messageId', protect, async (req, res, next)
  * /api/messages/group/history/{groupId}:
  *   get:
  *     summary: 获取群组的消息历史
+ *     description: |
+ *       使用游标分页，before、after和around最多指定一个，都不传时返回最新一页。
+ *       返回最新一页时会推进读取游标。
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -540,31 +909,56 @@ router.get('/history/:userId/before/:messageId', protect, async (req, res, next)
  *         schema:
  *           type: string
  *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: 获取该位置之前（更早）的消息，可以是上一页返回的prevCursor、消息ID或时间
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: 获取该位置之后（更新）的消息，可以是上一页返回的nextCursor、消息ID或时间（包含该时刻的消息）
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: 获取该消息及其前后的消息，用于从搜索结果跳转到消息所在位置，可以是消息ID或分页游标
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 50
+ *           maximum: 100
  *       - in: query
  *         name: skip
+ *         deprecated: true
  *         schema:
  *           type: integer
  *           default: 0
+ *         description: 跳过最新的若干条消息，请改用before分页
  *     responses:
  *       200:
- *         description: 获取群组消息历史成功
+ *         description: |
+ *           获取消息历史成功，data.messages按时间正序排列。
+ *           hasOlder/hasNewer表示是否还有更早/更新的消息，
+ *           分别将prevCursor作为before、nextCursor作为after传入以继续加载
+ *       400:
+ *         description: 请求错误
  *       401:
  *         description: 未授权
  *       403:
  *         description: 无权访问群组消息
  *       404:
- *         description: 群组不存在
+ *         description: 群组或参考消息不存在
  */
 router.get('/group/history/:groupId', protect, async (req, res, next) => {
   try {
     const { groupId } = req.params;
+    const { before, after, around } = req.query;
     const currentUserId = req.user._id;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
+    const limit = parseLimit(req.query.limit, 50, MAX_HISTORY_PAGE_SIZE);
+    const skip = parseSkip(req.query.skip);
     
     if (!mongoose.Types.ObjectId.isValid(groupId)) {
       return res.status(400).json({
@@ -591,12 +985,33 @@ router.get('/group/history/:groupId', protect, async (req, res, next) => {
     }
     
     // 获取群组消息历史
-    const messages = await Message.find({ group: groupId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('sender', 'username avatar _id status')  // 确保包含_id字段
-      .select('-receiver');
+    const page = await findHistoryPage({ group: group._id }, {
+      userId: currentUserId,
+      before,
+      after,
+      around,
+      limit,
+      skip,
+      prepare: query => query
+        .populate('sender', 'username avatar _id')  // 确保包含_id字段
+        .select('-receiver')
+        .populate(REPLY_PREVIEW_POPULATE)
+    });
+    
+    if (page.status) {
+      return res.status(page.status).json({
+        success: false,
+        message: page.message
+      });
+    }
+    
+    const { messages, ...cursors } = page;
+    
+    // 查看到最新消息时将读取游标推进到最新消息
+    if (!cursors.hasNewer && messages.length > 0) {
+      await ReadCursor.advance(currentUserId, 'group', groupId, messages[messages.length - 1]);
+      await Conversation.sync(currentUserId, 'group', groupId);
+    }
     
     // 确保每条消息的发送者信息完整
     const processedMessages = messages.map(message => {
@@ -614,7 +1029,8 @@ router.get('/group/history/:groupId', protect, async (req, res, next) => {
       success: true,
       count: messages.length,
       data: {
-        messages: processedMessages.reverse()
+        messages: processedMessages,
+        ...cursors
       }
     });
   } catch (err) {
@@ -627,6 +1043,8 @@ router.get('/group/history/:groupId', protect, async (req, res, next) => {
  * /api/messages/group/history/{groupId}/time-range:
  *   get:
  *     summary: 根据时间范围获取群组的消息历史
+ *     deprecated: true
+ *     description: 已废弃，请改用 /api/messages/group/history/{groupId} 的after参数（传入开始时间）
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -652,7 +1070,9 @@ router.get('/group/history/:groupId', protect, async (req, res, next) => {
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 50
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: 获取群组消息历史成功
@@ -668,7 +1088,7 @@ router.get('/group/history/:groupId/time-range', protect, async (req, res, next)
     const { groupId } = req.params;
     const { startDate, endDate } = req.query;
     const userId = req.user._id;
-    const limit = parseInt(req.query.limit) || 50;
+    const limit = parseLimit(req.query.limit, 50, MAX_HISTORY_PAGE_SIZE);
     
     if (!mongoose.Types.ObjectId.isValid(groupId)) {
       return res.status(400).json({
@@ -715,6 +1135,7 @@ router.get('/group/history/:groupId/time-range', protect, async (req, res, next)
     // 获取指定时间范围内的群组消息
     const messages = await Message.find({
       group: groupId,
+      deletedFor: { $ne: userId },
       createdAt: {
         $gte: startDateTime,
         $lte: endDateTime
@@ -722,7 +1143,8 @@ router.get('/group/history/:groupId/time-range', protect, async (req, res, next)
     })
       .sort({ createdAt: 1 })
       .limit(limit)
-      .populate('sender', 'username avatar');
+      .populate('sender', 'username avatar')
+      .populate(REPLY_PREVIEW_POPULATE);
     
     res.status(200).json({
       success: true,
@@ -741,6 +1163,8 @@ router.get('/group/history/:groupId/time-range', protect, async (req, res, next)
  * /api/messages/group/history/{groupId}/before/{messageId}:
  *   get:
  *     summary: 获取指定群组消息之前的历史消息（用于分页加载）
+ *     deprecated: true
+ *     description: 已废弃，请改用 /api/messages/group/history/{groupId} 的before参数
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -759,7 +1183,9 @@ router.get('/group/history/:groupId/time-range', protect, async (req, res, next)
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: 获取群组历史消息成功
@@ -770,7 +1196,7 @@ router.get('/group/history/:groupId/before/:messageId', protect, async (req, res
   try {
     const { groupId, messageId } = req.params;
     const currentUserId = req.user._id;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = parseLimit(req.query.limit, 20, MAX_HISTORY_PAGE_SIZE);
     
     if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(messageId)) {
       return res.status(400).json({
@@ -808,12 +1234,14 @@ router.get('/group/history/:groupId/before/:messageId', protect, async (req, res
     // 获取更早的消息
     const messages = await Message.find({
       group: groupId,
+      deletedFor: { $ne: currentUserId },
       createdAt: { $lt: referenceMessage.createdAt }
     })
       .sort({ createdAt: -1 })
       .limit(limit)
-      .populate('sender', 'username avatar _id status')
-      .select('-receiver');
+      .populate('sender', 'username avatar _id')
+      .select('-receiver')
+      .populate(REPLY_PREVIEW_POPULATE);
     
     // 确保每条消息的发送者信息完整
     const processedMessages = messages.map(message => {
@@ -844,9 +1272,20 @@ router.get('/group/history/:groupId/before/:messageId', protect, async (req, res
  * /api/messages/recent:
  *   get:
  *     summary: 获取最近聊天列表
+ *     description: |
+ *       返回当前用户的会话列表，置顶的会话在前，其次按自定义排序权重和最后消息时间排序。
+ *       默认不包含归档的会话，archived=true时只返回归档的会话。
+ *       用户还没有任何会话记录时会先根据已有的消息建立会话。
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 是否获取归档的会话
  *     responses:
  *       200:
  *         description: 获取最近聊天列表成功
@@ -856,165 +1295,98 @@ router.get('/group/history/:groupId/before/:messageId', protect, async (req, res
 router.get('/recent', protect, async (req, res, next) => {
   try {
     const userId = req.user._id;
+    const archived = req.query.archived === 'true';
+    
+    // 会话记录在发送消息时增量维护，这里只需一次按索引排序的查询
+    const findConversations = () => Conversation.find({ user: userId, archived })
+      .sort({ pinned: -1, sortOrder: -1, lastMessageAt: -1 })
+      .populate({
+        path: 'lastMessage',
+        select: 'content type sender createdAt recalledAt',
+        populate: { path: 'sender', select: 'username avatar' }
+      });
     
-    // 获取用户参与的所有私聊最后一条消息
-    const privateChats = await Message.aggregate([
-      {
-        $match: {
-          $or: [
-            { sender: mongoose.Types.ObjectId(userId) },
-            { receiver: mongoose.Types.ObjectId(userId) }
-          ],
-          group: { $exists: false }
-        }
-      },
-      {
-        $sort: { createdAt: -1 }
-      },
-      {
-        $group: {
-          _id: {
-            $cond: [
-              { $eq: ['$sender', mongoose.Types.ObjectId(userId)] },
-              '$receiver',
-              '$sender'
-            ]
-          },
-          lastMessage: { $first: '$$ROOT' },
-          unreadCount: {
-            $sum: {
-              $cond: [
-                {
-                  $and: [
-                    { $eq: ['$receiver', mongoose.Types.ObjectId(userId)] },
-                    { $eq: ['$isRead', false] }
-                  ]
-                },
-                1,
-                0
-              ]
-            }
-          }
-        }
-      },
-      {
-        $sort: { 'lastMessage.createdAt': -1 }
-      }
-    ]);
+    let conversations = await findConversations();
     
-    // 获取用户参与的所有群聊最后一条消息
-    const groupChats = await Message.aggregate([
-      {
-        $match: {
-          group: { $exists: true, $ne: null }
-        }
-      },
-      {
-        $sort: { createdAt: -1 }
-      },
-      {
-        $group: {
-          _id: '$group',
-          lastMessage: { $first: '$$ROOT' }
-        }
-      },
-      {
-        $sort: { 'lastMessage.createdAt': -1 }
+    // 用户还没有任何会话记录时（如升级后尚未运行conversations:rebuild），根据已有消息建立会话后重新查询
+    if (conversations.length === 0 && !archived && !(await Conversation.exists({ user: userId }))) {
+      if (await Conversation.rebuildForUser(userId) > 0) {
+        conversations = await findConversations();
       }
-    ]);
+    }
     
     // 填充用户和群组信息
-    const populatedPrivateChats = await User.populate(privateChats, {
-      path: '_id',
-      select: 'username email avatar status lastActive'
-    });
-    
-    // 填充发送者信息
-    await User.populate(populatedPrivateChats, {
-      path: 'lastMessage.sender',
-      select: 'username avatar'
-    });
-    
-    await User.populate(populatedPrivateChats, {
-      path: 'lastMessage.receiver',
-      select: 'username avatar'
-    });
-    
-    // 填充群组信息
-    const populatedGroupChats = await Group.populate(groupChats, {
-      path: '_id',
-      select: 'name description avatar memberCount'
-    });
-    
-    // 仅保留用户所在的群组
-    const userGroups = await Group.find({
-      'members.user': userId
-    }).select('_id');
-    
-    const userGroupIds = userGroups.map(g => g._id.toString());
-    
-    const filteredGroupChats = populatedGroupChats.filter(
-      chat => userGroupIds.includes(chat._id._id.toString())
-    );
-    
-    // 填充群组消息发送者信息
-    await User.populate(filteredGroupChats, {
-      path: 'lastMessage.sender',
-      select: 'username avatar'
-    });
-    
-    // 格式化结果
-    const formattedPrivateChats = populatedPrivateChats.map(chat => ({
-      id: chat._id._id,
-      type: 'private',
-      user: {
-        id: chat._id._id,
-        username: chat._id.username,
-        avatar: chat._id.avatar,
-        status: chat._id.status,
-        lastActive: chat._id.lastActive
-      },
-      lastMessage: {
-        id: chat.lastMessage._id,
-        content: chat.lastMessage.content,
-        sender: {
-          id: chat.lastMessage.sender._id,
-          username: chat.lastMessage.sender.username,
-          avatar: chat.lastMessage.sender.avatar
-        },
-        createdAt: chat.lastMessage.createdAt,
-        type: chat.lastMessage.type
-      },
-      unreadCount: chat.unreadCount
-    }));
+    const idsOfType = type => conversations
+      .filter(conversation => conversation.conversationType === type)
+      .map(conversation => conversation.conversationId);
+    
+    // 群组同时读取最后消息摘要，会话中还没有最后消息的成员（如新加入的成员）使用群组的摘要
+    const [users, groups] = await Promise.all([
+      User.find({ _id: { $in: idsOfType('private') } }).select('username email avatar status lastActive privacy.hideOnlineStatus blockedUsers'),
+      Group.find({ _id: { $in: idsOfType('group') } })
+        .select('name description avatar members lastMessage')
+        .populate({
+          path: 'lastMessage',
+          select: 'content type sender createdAt recalledAt',
+          populate: { path: 'sender', select: 'username avatar' }
+        })
+    ]);
     
-    const formattedGroupChats = filteredGroupChats.map(chat => ({
-      id: chat._id._id,
-      type: 'group',
-      group: {
-        id: chat._id._id,
-        name: chat._id.name,
-        avatar: chat._id.avatar,
-        memberCount: chat._id.memberCount || 0
-      },
-      lastMessage: {
-        id: chat.lastMessage._id,
-        content: chat.lastMessage.content,
-        sender: {
-          id: chat.lastMessage.sender._id,
-          username: chat.lastMessage.sender.username,
-          avatar: chat.lastMessage.sender.avatar
-        },
-        createdAt: chat.lastMessage.createdAt,
-        type: chat.lastMessage.type
-      },
-      unreadCount: 0 // 暂不支持群组消息已读状态
-    }));
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
     
-    // 合并并按最后消息时间排序
-    const recentChats = [...formattedPrivateChats, ...formattedGroupChats].sort(
-      (a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt)
-    );
+    // 格式化结果，忽略已不存在的用户和群组
+    const recentChats = conversations.map((conversation) => {
+      const id = conversation.conversationId.toString();
+      const group = conversation.conversationType === 'group' ? groupsById.get(id) : null;
+      const lastMessage = conversation.lastMessage || (group && group.lastMessage);
+      
+      const chat = {
+        id: conversation.conversationId,
+        type: conversation.conversationType,
+        lastMessage: lastMessage && lastMessage.sender ? {
+          id: lastMessage._id,
+          content: lastMessage.content,
+          sender: {
+            id: lastMessage.sender._id,
+            username: lastMessage.sender.username,
+            avatar: lastMessage.sender.avatar
+          },
+          createdAt: lastMessage.createdAt,
+          type: lastMessage.type,
+          recalled: !!lastMessage.recalledAt
+        } : null,
+        unreadCount: conversation.unreadCount,
+        pinned: conversation.pinned,
+        muted: conversation.isMuted(),
+        mutedUntil: conversation.isMuted() ? conversation.mutedUntil : null,
+        archived: conversation.archived,
+        sortOrder: conversation.sortOrder
+      };
+      
+      if (conversation.conversationType === 'private') {
+        const user = usersById.get(id);
+        return user && {
+          ...chat,
+          user: {
+            id: user._id,
+            username: user.username,
+            avatar: user.avatar,
+            ...user.getPresenceFor(req.user)
+          }
+        };
+      }
+      
+      return group && {
+        ...chat,
+        group: {
+          id: group._id,
+          name: group.name,
+          avatar: group.avatar,
+          memberCount: group.memberCount || 0
+        }
+      };
+    }).filter(Boolean);
     
     res.status(200).json({
       success: true,
@@ -1030,32 +1402,1290 @@ router.get('/recent', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/messages/unread:
+ * /api/messages/search:
  *   get:
- *     summary: 获取未读消息数量
+ *     summary: 搜索消息
+ *     description: |
+ *       按关键词全文搜索当前用户参与的私聊和所在群组中的消息，已撤回和已删除的消息不会出现在结果中。
+ *       多个关键词用空格分隔，需要全部匹配；中文、日文和韩文按相邻两个字的词元匹配。
+ *       结果按发送时间倒序排列，使用nextCursor获取下一页。
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: 搜索关键词
+ *       - in: query
+ *         name: conversationType
+ *         schema:
+ *           type: string
+ *           enum: [private, group]
+ *         description: 只搜索私聊或群组消息
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: 会话ID，私聊为对方用户ID，群组为群组ID，需同时指定conversationType
+ *       - in: query
+ *         name: senderId
+ *         schema:
+ *           type: string
+ *         description: 只搜索该用户发送的消息
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [text, image, file, emoji]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: 上一页返回的nextCursor
  *     responses:
  *       200:
- *         description: 获取未读消息数量成功
+ *         description: |
+ *           搜索成功，data.results中每一项包含message、snippet（匹配位置附近的内容片段）
+ *           和highlights（片段中匹配内容的位置 [开始, 结束)）
+ *       400:
+ *         description: 请求错误
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 群组不存在
  */
-router.get('/unread', protect, async (req, res, next) => {
+router.get('/search', protect, async (req, res, next) => {
   try {
-    const userId = req.user._id;
+    const { conversationType, conversationId, senderId, type, startDate, endDate, cursor } = req.query;
+    const currentUserId = req.user._id;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = parseLimit(req.query.limit, 20, 50);
     
-    // 获取私聊未读消息数量
-    const unreadCount = await Message.countDocuments({
-      receiver: userId,
-      isRead: false
-    });
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: '请输入搜索关键词'
+      });
+    }
     
-    res.status(200).json({
-      success: true,
-      data: {
-        unreadCount
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `搜索关键词不能超过${MAX_SEARCH_QUERY_LENGTH}个字符`
+      });
+    }
+    
+    const phrases = Message.getSearchPhrases(query);
+    if (phrases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '请输入搜索关键词'
+      });
+    }
+    
+    if (conversationType && !['private', 'group'].includes(conversationType)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话类型'
+      });
+    }
+    
+    if (conversationId && (!conversationType || !mongoose.Types.ObjectId.isValid(conversationId))) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话ID'
+      });
+    }
+    
+    if (senderId && !mongoose.Types.ObjectId.isValid(senderId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的发送者ID'
+      });
+    }
+    
+    if (type && !Message.schema.path('type').enumValues.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息类型'
+      });
+    }
+    
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的日期格式'
+      });
+    }
+    
+    const cursorPosition = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !cursorPosition) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的分页游标'
+      });
+    }
+    
+    // 只搜索当前用户参与的会话：私聊中是发送者或接收者，群组中必须是当前成员
+    const privateCondition = conversationId
+      ? {
+        $or: [
+          { sender: currentUserId, receiver: conversationId },
+          { sender: conversationId, receiver: currentUserId }
+        ]
+      }
+      : {
+        $or: [
+          { sender: currentUserId, receiver: { $exists: true } },
+          { receiver: currentUserId }
+        ]
+      };
+    
+    let groupCondition;
+    if (conversationType === 'group' && conversationId) {
+      const group = await Group.findById(conversationId);
+      
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: '群组不存在'
+        });
+      }
+      
+      if (!group.isMember(currentUserId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该群组的成员'
+        });
+      }
+      
+      groupCondition = { group: group._id };
+    } else if (conversationType !== 'private') {
+      const groups = await Group.find({ 'members.user': currentUserId }).select('members.user');
+      groupCondition = {
+        group: { $in: groups.filter(group => group.isMember(currentUserId)).map(group => group._id) }
+      };
+    }
+    
+    let conversationCondition;
+    if (conversationType === 'private') {
+      conversationCondition = privateCondition;
+    } else if (conversationType === 'group') {
+      conversationCondition = groupCondition;
+    } else {
+      conversationCondition = { $or: [privateCondition, groupCondition] };
+    }
+    
+    const filter = {
+      $text: { $search: phrases.map(phrase => `"${phrase}"`).join(' ') },
+      $and: [conversationCondition],
+      deletedFor: { $ne: currentUserId },
+      recalledAt: { $exists: false }
+    };
+    
+    if (senderId) {
+      filter.sender = senderId;
+    }
+    
+    if (type) {
+      filter.type = type;
+    }
+    
+    if (start || end) {
+      filter.createdAt = {};
+      if (start) {
+        filter.createdAt.$gte = start;
+      }
+      if (end) {
+        filter.createdAt.$lte = end;
+      }
+    }
+    
+    if (cursorPosition) {
+      filter.$and.push(olderThanCursor(cursorPosition));
+    }
+    
+    // 多取一条用于判断是否还有下一页
+    const messages = await Message.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('sender', 'username avatar')
+      .populate('receiver', 'username avatar')
+      .populate('group', 'name avatar');
+    
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    
+    const results = page.map(message => ({
+      message: message.toObject(),
+      ...buildSearchSnippet(message.content, phrases)
+    }));
+    
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: {
+        results,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/unread:
+ *   get:
+ *     summary: 获取未读消息数量
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取未读消息数量成功
+ *       401:
+ *         description: 未授权
+ */
+router.get('/unread', protect, async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    
+    // 获取私聊未读消息数量
+    const unreadCount = await Message.countDocuments({
+      receiver: userId,
+      isRead: false
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        unreadCount
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   put:
+ *     summary: 编辑消息
+ *     description: |
+ *       发送者可以在发送后的一段时间内（默认15分钟，由MESSAGE_EDIT_WINDOW配置）编辑文本消息。
+ *       编辑前的内容保存在editHistory中，接收者或其他群组成员会通过消息队列收到类型为edited的系统消息，
+ *       metadata包含messageId、content和editedAt。
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 消息编辑成功
+ *       400:
+ *         description: 请求错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是消息发送者或已超过可编辑时间
+ *       404:
+ *         description: 消息不存在
+ */
+router.put('/:messageId', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: '消息内容不能为空'
+      });
+    }
+    
+    // 查找消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    // 只有发送者可以编辑消息
+    if (message.sender.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: '只能编辑自己发送的消息'
+      });
+    }
+    
+    if (message.recalledAt) {
+      return res.status(400).json({
+        success: false,
+        message: '消息已被撤回'
+      });
+    }
+    
+    if (message.type !== 'text') {
+      return res.status(400).json({
+        success: false,
+        message: '只能编辑文本消息'
+      });
+    }
+    
+    if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW) {
+      return res.status(403).json({
+        success: false,
+        message: '消息已超过可编辑时间'
+      });
+    }
+    
+    if (message.content === content) {
+      return res.status(400).json({
+        success: false,
+        message: '消息内容未改变'
+      });
+    }
+    
+    // 编辑消息，原内容保存到编辑历史
+    message.edit(content);
+    
+    // 链接变化后原有的链接预览不再适用，移除后重新生成
+    const { linkPreview, ...metadata } = message.metadata || {};
+    const linkChanged = !!linkPreview && linkPreview.url !== LinkPreview.extractUrl(message.content);
+    if (linkChanged) {
+      message.metadata = metadata;
+    }
+    
+    await message.save();
+    
+    if (!linkPreview || linkChanged) {
+      scheduleLinkPreview(message);
+    }
+    
+    // 通知接收者或其他群组成员消息已被编辑
+    await queueMessageEvent(message, userId, 'edited', '消息已被编辑', {
+      content: message.content,
+      editedAt: message.editedAt,
+      linkPreview: linkChanged ? null : linkPreview
+    });
+    
+    await message.populate('sender', 'username avatar');
+    
+    res.status(200).json({
+      success: true,
+      message: '消息编辑成功',
+      data: {
+        message
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}:
+ *   delete:
+ *     summary: 删除或撤回消息
+ *     description: |
+ *       mode=me（默认）：仅对自己删除，消息不再出现在自己的消息历史中，其他人不受影响。
+ *       mode=everyone：撤回消息，发送者可在发送后一段时间内（默认2分钟，由MESSAGE_RECALL_WINDOW配置）撤回，
+ *       群组中拥有recallMessages权限的成员（默认为创建者和管理员）可随时撤回群组消息。撤回后消息内容在消息历史中替换为撤回提示，
+ *       接收者或其他群组成员会通过消息队列收到类型为recalled的系统消息。
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [me, everyone]
+ *           default: me
+ *         description: me为仅对自己删除，everyone为撤回
+ *     responses:
+ *       200:
+ *         description: 删除或撤回成功
+ *       400:
+ *         description: 请求错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 没有权限或已超过可撤回时间
+ *       404:
+ *         description: 消息不存在
+ */
+router.delete('/:messageId', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const mode = req.query.mode || 'me';
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    if (!['me', 'everyone'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的删除模式'
+      });
+    }
+    
+    // 查找消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    const isSender = message.sender.toString() === userId.toString();
+    const group = message.group ? await Group.findById(message.group) : null;
+    
+    // 检查用户是否是消息所在会话的参与者
+    if (!isConversationParticipant(message, userId, group)) {
+      return res.status(403).json({
+        success: false,
+        message: '您无权操作该消息'
+      });
+    }
+    
+    // 仅对自己删除
+    if (mode === 'me') {
+      await Message.updateOne(
+        { _id: message._id },
+        { $addToSet: { deletedFor: userId } }
+      );
+      
+      // 删除的可能是会话的最后一条消息
+      await Conversation.sync(
+        userId,
+        message.group ? 'group' : 'private',
+        message.group || (isSender ? message.receiver : message.sender)
+      );
+      
+      return res.status(200).json({
+        success: true,
+        message: '消息已删除'
+      });
+    }
+    
+    if (message.recalledAt) {
+      return res.status(400).json({
+        success: false,
+        message: '消息已被撤回'
+      });
+    }
+    
+    // 发送者限时撤回，群组中拥有recallMessages权限的成员可随时撤回群组消息
+    const canRecallGroupMessages = group ? group.hasPermission(userId, 'recallMessages') : false;
+    const withinRecallWindow = Date.now() - message.createdAt.getTime() <= MESSAGE_RECALL_WINDOW;
+    
+    if (!canRecallGroupMessages && !(isSender && withinRecallWindow)) {
+      return res.status(403).json({
+        success: false,
+        message: isSender ? '消息已超过可撤回时间' : '只有发送者或拥有撤回权限的群组成员可以撤回消息'
+      });
+    }
+    
+    // 撤回消息，内容替换为撤回提示
+    message.recall(userId);
+    await message.save();
+    
+    // 通知接收者或其他群组成员消息已被撤回
+    await queueMessageEvent(message, userId, 'recalled', '消息已被撤回', {
+      recalledAt: message.recalledAt,
+      recalledBy: message.recalledBy
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: '消息已撤回',
+      data: {
+        message
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/thread:
+ *   get:
+ *     summary: 获取消息的回复列表
+ *     description: 返回引用了指定消息的所有回复，按时间正序排列
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: 获取回复列表成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是消息所在会话的参与者
+ *       404:
+ *         description: 消息不存在
+ */
+router.get('/:messageId/thread', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+    const limit = parseLimit(req.query.limit, 50, MAX_HISTORY_PAGE_SIZE);
+    const skip = parseSkip(req.query.skip);
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    // 查找被回复的消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    // 检查用户是否是消息所在会话的参与者
+    const group = message.group ? await Group.findById(message.group) : null;
+    if (!isConversationParticipant(message, userId, group)) {
+      return res.status(403).json({
+        success: false,
+        message: '您无权查看该消息'
+      });
+    }
+    
+    await message.populate([
+      { path: 'sender', select: 'username avatar _id' },
+      REPLY_PREVIEW_POPULATE
+    ]);
+    
+    // 获取回复列表
+    const replies = await Message.find({
+      replyTo: message._id,
+      deletedFor: { $ne: userId }
+    })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('sender', 'username avatar _id');
+    
+    res.status(200).json({
+      success: true,
+      count: replies.length,
+      data: {
+        message,
+        replies
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   post:
+ *     summary: 添加表情回应
+ *     description: |
+ *       私聊双方或群组成员可以对消息添加表情回应，其他参与者会通过消息队列收到类型为reaction的系统消息。
+ *       emoji必须是单个表情，每条消息最多20种不同的表情回应
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: "👍"
+ *     responses:
+ *       200:
+ *         description: 添加表情回应成功
+ *       400:
+ *         description: 不是有效的表情，或表情回应种类已达上限
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是消息所在会话的参与者
+ *       404:
+ *         description: 消息不存在
+ */
+router.post('/:messageId/reactions', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const emoji = req.body.emoji;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    if (typeof emoji !== 'string' || emoji.length > MAX_REACTION_LENGTH || !REACTION_EMOJI_PATTERN.test(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的表情'
+      });
+    }
+    
+    // 查找消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    // 与消息历史相同的权限：私聊双方或群组成员
+    const group = message.group ? await Group.findById(message.group) : null;
+    if (!isConversationParticipant(message, userId, group)) {
+      return res.status(403).json({
+        success: false,
+        message: '您无权操作该消息'
+      });
+    }
+    
+    if (message.recalledAt) {
+      return res.status(400).json({
+        success: false,
+        message: '消息已被撤回'
+      });
+    }
+    
+    const reactions = await Message.addReaction(message._id, emoji, userId, MAX_REACTIONS_PER_MESSAGE);
+    if (!reactions) {
+      return res.status(400).json({
+        success: false,
+        message: `每条消息最多只能有${MAX_REACTIONS_PER_MESSAGE}种表情回应`
+      });
+    }
+    
+    // 通知其他参与者表情回应变化
+    await queueMessageEvent(message, userId, 'reaction', '表情回应已更新', {
+      action: 'add',
+      emoji,
+      userId,
+      reactions
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: '添加表情回应成功',
+      data: {
+        reactions
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   delete:
+ *     summary: 移除表情回应
+ *     description: 移除当前用户对消息的某个表情回应，其他参与者会通过消息队列收到类型为reaction的系统消息
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 要移除的表情
+ *     responses:
+ *       200:
+ *         description: 移除表情回应成功
+ *       400:
+ *         description: 请求错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是消息所在会话的参与者
+ *       404:
+ *         description: 消息不存在
+ */
+router.delete('/:messageId/reactions', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const emoji = req.query.emoji || req.body.emoji;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_REACTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的表情'
+      });
+    }
+    
+    // 查找消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    // 与消息历史相同的权限：私聊双方或群组成员
+    const group = message.group ? await Group.findById(message.group) : null;
+    if (!isConversationParticipant(message, userId, group)) {
+      return res.status(403).json({
+        success: false,
+        message: '您无权操作该消息'
+      });
+    }
+    
+    const reactions = await Message.removeReaction(message._id, emoji, userId);
+    
+    // 通知其他参与者表情回应变化
+    await queueMessageEvent(message, userId, 'reaction', '表情回应已更新', {
+      action: 'remove',
+      emoji,
+      userId,
+      reactions
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: '移除表情回应成功',
+      data: {
+        reactions
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/conversations/{type}/{id}:
+ *   put:
+ *     summary: 更新会话设置
+ *     description: |
+ *       设置当前用户的会话置顶、免打扰、归档和自定义排序，只修改请求中提供的字段，这些设置只对当前用户生效。
+ *       免打扰期间收到的消息仍计入未读数，但不创建消息通知。
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [private, group]
+ *         description: 会话类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 私聊为对方用户ID，群聊为群组ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pinned:
+ *                 type: boolean
+ *               mutedUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: 免打扰截止时间，传null取消免打扰
+ *               archived:
+ *                 type: boolean
+ *               sortOrder:
+ *                 type: integer
+ *                 description: 自定义排序权重，数值大的排在前面
+ *     responses:
+ *       200:
+ *         description: 会话设置已更新
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversation:
+ *                       $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: 请求错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 用户或群组不存在
+ */
+router.put('/conversations/:type/:id', protect, async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    const { pinned, mutedUntil, archived, sortOrder } = req.body;
+    const userId = req.user._id;
+    
+    if (!['private', 'group'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话类型'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话ID'
+      });
+    }
+    
+    const update = { $set: {}, $unset: {} };
+    
+    if (pinned !== undefined) {
+      if (typeof pinned !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'pinned必须是布尔值'
+        });
+      }
+      update.$set.pinned = pinned;
+    }
+    
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'archived必须是布尔值'
+        });
+      }
+      update.$set.archived = archived;
+    }
+    
+    if (sortOrder !== undefined) {
+      if (!Number.isInteger(sortOrder)) {
+        return res.status(400).json({
+          success: false,
+          message: 'sortOrder必须是整数'
+        });
+      }
+      update.$set.sortOrder = sortOrder;
+    }
+    
+    if (mutedUntil === null) {
+      update.$unset.mutedUntil = 1;
+    } else if (mutedUntil !== undefined) {
+      const mutedUntilTime = new Date(mutedUntil);
+      if (isNaN(mutedUntilTime.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的免打扰截止时间'
+        });
+      }
+      update.$set.mutedUntil = mutedUntilTime;
+    }
+    
+    // 去掉空的更新操作符
+    Object.keys(update).forEach((operator) => {
+      if (Object.keys(update[operator]).length === 0) {
+        delete update[operator];
+      }
+    });
+    
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '没有需要更新的设置'
+      });
+    }
+    
+    if (type === 'group') {
+      // 检查用户是否是群组成员
+      const group = await Group.findById(id);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: '群组不存在'
+        });
+      }
+      
+      if (!group.isMember(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该群组成员'
+        });
+      }
+    } else if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({
+        success: false,
+        message: '用户不存在'
+      });
+    }
+    
+    // 还没有消息的会话也可以提前设置
+    const conversation = await Conversation.findOneAndUpdate(
+      { user: userId, conversationType: type, conversationId: id },
+      update,
+      {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true,
+        runValidators: true
+      }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: '会话设置已更新',
+      data: {
+        conversation
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/conversations/{type}/{id}/read:
+ *   put:
+ *     summary: 将会话标记为已读
+ *     description: |
+ *       一次性将当前用户在会话中的读取游标推进到upTo指定的位置，该位置及之前的消息均视为已读，
+ *       同时将这些消息对应的消息通知标记为已读。
+ *       被读到的消息的发送者会通过消息队列收到类型为read_receipt的系统消息，
+ *       metadata包含conversationType、conversationId、reader、lastReadMessage和lastReadAt。
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [private, group]
+ *         description: 会话类型
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 私聊为对方用户ID，群聊为群组ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: string
+ *                 description: 读到的消息ID，或时间戳（毫秒数或ISO时间），不提供时标记到最新消息
+ *     responses:
+ *       200:
+ *         description: 标记会话已读成功
+ *       400:
+ *         description: 请求错误
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 用户或群组不存在
+ */
+router.put('/conversations/:type/:id/read', protect, async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    const { upTo } = req.body;
+    const userId = req.user._id;
+    
+    if (!['private', 'group'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话类型'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话ID'
+      });
+    }
+    
+    let conversationFilter;
+    
+    if (type === 'group') {
+      // 检查用户是否是群组成员
+      const group = await Group.findById(id);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: '群组不存在'
+        });
+      }
+      
+      if (!group.isMember(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该群组成员'
+        });
+      }
+      
+      conversationFilter = { group: group._id };
+    } else {
+      const peer = await User.findById(id).select('_id');
+      if (!peer) {
+        return res.status(404).json({
+          success: false,
+          message: '用户不存在'
+        });
+      }
+      
+      conversationFilter = {
+        $or: [
+          { sender: userId, receiver: peer._id },
+          { sender: peer._id, receiver: userId }
+        ]
+      };
+    }
+    
+    // 确定读到的消息：指定消息ID、指定时间之前的最后一条消息，或最新消息
+    let target;
+    if (upTo === undefined || upTo === null || upTo === '') {
+      target = await Message.findOne(conversationFilter).sort({ createdAt: -1 });
+    } else if (/^[0-9a-fA-F]{24}$/.test(String(upTo))) {
+      target = await Message.findOne({ _id: upTo, ...conversationFilter });
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: '消息不存在或不属于该会话'
+        });
+      }
+    } else {
+      const upToTime = new Date(isNaN(Number(upTo)) ? upTo : Number(upTo));
+      if (isNaN(upToTime.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的upTo参数'
+        });
+      }
+      
+      target = await Message.findOne({
+        ...conversationFilter,
+        createdAt: { $lte: upToTime }
+      }).sort({ createdAt: -1 });
+    }
+    
+    // 会话中没有可标记的消息
+    if (!target) {
+      return res.status(200).json({
+        success: true,
+        message: '会话已标记为已读',
+        data: {
+          lastReadMessage: null,
+          lastReadAt: null
+        }
+      });
+    }
+    
+    // 一次写入推进读取游标
+    const previousCursor = await ReadCursor.findOne({ user: userId, conversationType: type, conversationId: id });
+    const previousReadAt = previousCursor && previousCursor.lastReadAt ? previousCursor.lastReadAt : new Date(0);
+    const cursor = await ReadCursor.advance(userId, type, id, target);
+    
+    // 兼容私聊消息的isRead标记
+    if (type === 'private') {
+      await Message.updateMany(
+        { sender: id, receiver: userId, isRead: false, createdAt: { $lte: target.createdAt } },
+        { isRead: true }
+      );
+    }
+    
+    // 重新统计会话未读数
+    await Conversation.sync(userId, type, id);
+    
+    // 将已读消息对应的消息通知标记为已读
+    const unreadNotifications = await Notification.find({
+      recipient: userId,
+      type: NOTIFICATION_TYPES.MESSAGE,
+      isRead: false
+    }).select('relatedId');
+    
+    if (unreadNotifications.length > 0) {
+      const readMessageIds = await Message.distinct('_id', {
+        _id: { $in: unreadNotifications.map(notification => notification.relatedId) },
+        ...conversationFilter,
+        createdAt: { $lte: target.createdAt }
+      });
+      
+      await Notification.markMessageNotificationsAsRead(userId, readMessageIds);
+    }
+    
+    // 向本次新读到的消息的发送者推送已读回执
+    if (target.createdAt > previousReadAt) {
+      const senderIds = await Message.distinct('sender', {
+        ...conversationFilter,
+        sender: { $ne: userId },
+        createdAt: { $gt: previousReadAt, $lte: target.createdAt }
+      });
+      
+      for (const senderId of senderIds) {
+        await global.MessageQueue.addSystemMessageToQueue(senderId, {
+          type: 'read_receipt',
+          content: '消息已读',
+          metadata: {
+            conversationType: type,
+            // 从接收回执的一方看，私聊会话ID为读者的用户ID
+            conversationId: type === 'group' ? id : userId,
+            reader: userId,
+            lastReadMessage: cursor.lastReadMessage,
+            lastReadAt: cursor.lastReadAt
+          }
+        });
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '会话已标记为已读',
+      data: {
+        lastReadMessage: cursor.lastReadMessage,
+        lastReadAt: cursor.lastReadAt
       }
     });
   } catch (err) {
@@ -1068,6 +2698,9 @@ router.get('/unread', protect, async (req, res, next) => {
  * /api/messages/{messageId}/read:
  *   put:
  *     summary: 标记消息为已读
+ *     description: |
+ *       将当前用户在消息所在会话中的读取游标推进到该消息，该消息及之前的消息均视为已读。
+ *       私聊消息只能由接收者标记，群组消息可由任意群组成员标记。
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -1082,6 +2715,8 @@ router.get('/unread', protect, async (req, res, next) => {
  *         description: 标记消息为已读成功
  *       401:
  *         description: 未授权
+ *       403:
+ *         description: 不是消息的接收者或群组成员
  *       404:
  *         description: 消息不存在
  */
@@ -1107,21 +2742,142 @@ router.put('/:messageId/read', protect, async (req, res, next) => {
       });
     }
     
-    // 检查用户是否是消息接收者
-    if (message.receiver && message.receiver.toString() !== userId.toString()) {
+    if (message.group) {
+      // 检查用户是否是群组成员
+      const group = await Group.findById(message.group);
+      if (!group || !group.isMember(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该群组成员'
+        });
+      }
+      
+      await ReadCursor.advance(userId, 'group', message.group, message);
+      await Conversation.sync(userId, 'group', message.group);
+    } else {
+      // 检查用户是否是消息接收者
+      if (message.receiver.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该消息的接收者'
+        });
+      }
+      
+      // 标记该消息及之前收到的消息为已读
+      await Message.updateMany(
+        {
+          sender: message.sender,
+          receiver: userId,
+          isRead: false,
+          createdAt: { $lte: message.createdAt }
+        },
+        { isRead: true }
+      );
+      
+      await ReadCursor.advance(userId, 'private', message.sender, message);
+      await Conversation.sync(userId, 'private', message.sender);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '消息已标记为已读'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/readers:
+ *   get:
+ *     summary: 获取消息的已读成员
+ *     description: |
+ *       消息发送者查看哪些接收者已读该消息，根据每个成员在会话中的读取游标判断。
+ *       群组消息返回已读成员列表及已读人数/成员总数（不含发送者），如"12人中7人已读"。
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取已读成员成功
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 不是消息发送者
+ *       404:
+ *         description: 消息不存在
+ */
+router.get('/:messageId/readers', protect, async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id;
+    
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的消息ID'
+      });
+    }
+    
+    // 查找消息
+    const message = await Message.findById(messageId);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: '消息不存在'
+      });
+    }
+    
+    // 只有发送者可以查看已读成员
+    if (message.sender.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
-        message: '您不是该消息的接收者'
+        message: '只有消息发送者可以查看已读成员'
       });
     }
     
-    // 标记为已读
-    message.isRead = true;
-    await message.save();
+    // 确定接收者和对应的读取游标所在会话
+    let recipientIds = [message.receiver];
+    let conversation = { conversationType: 'private', conversationId: message.sender };
+    
+    if (message.group) {
+      const group = await Group.findById(message.group).select('members.user');
+      recipientIds = group
+        ? group.members.map(member => member.user).filter(id => id.toString() !== userId.toString())
+        : [];
+      conversation = { conversationType: 'group', conversationId: message.group };
+    }
+    
+    // 读取游标不早于该消息的成员即为已读
+    const cursors = await ReadCursor.find({
+      ...conversation,
+      user: { $in: recipientIds },
+      lastReadAt: { $gte: message.createdAt }
+    }).populate('user', 'username avatar');
+    
+    let readers = cursors.filter(cursor => cursor.user).map(cursor => cursor.user);
+    
+    // 兼容启用读取游标之前已标记为已读的私聊消息
+    if (!message.group && readers.length === 0 && message.isRead) {
+      const receiver = await User.findById(message.receiver).select('username avatar');
+      readers = receiver ? [receiver] : [];
+    }
     
     res.status(200).json({
       success: true,
-      message: '消息已标记为已读'
+      data: {
+        readers,
+        readCount: readers.length,
+        memberCount: recipientIds.length
+      }
     });
   } catch (err) {
     next(err);
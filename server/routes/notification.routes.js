@@ -36,7 +36,7 @@ const mongoose = require('mongoose');
  *               type: string
  *         type:
  *           type: string
- *           enum: [message, friend_request, friend_accepted, group_invite, group_join, system]
+ *           enum: [message, friend_request, friend_accepted, group_invite, group_join, group_join_request, group_join_rejected, system]
  *           description: 通知类型
  *         content:
  *           type: string
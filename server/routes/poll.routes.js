@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const MessageQueue = require('../models/MessageQueue');
-const PollSession = require('../models/PollSession');
 const User = require('../models/User');
+const Group = require('../models/Group');
 const PollManager = require('../utils/PollManager');
-const { protect } = require('../middlewares/auth');
+const MessageBus = require('../utils/MessageBus');
+const { protect, protectWithQueryToken } = require('../middlewares/auth');
+const mongoose = require('mongoose');
 
 /**
  * @swagger
@@ -46,6 +48,10 @@ const { protect } = require('../middlewares/auth');
  *         timestamp:
  *           type: integer
  *           example: 1621234567890
+ *         cursor:
+ *           type: integer
+ *           description: 队列游标，下一次轮询时通过ack参数确认
+ *           example: 42
  *         data:
  *           type: object
  *           properties:
@@ -74,6 +80,7 @@ const { protect } = require('../middlewares/auth');
  *                 properties:
  *                   type:
  *                     type: string
+ *                     enum: [status_change, typing]
  *                     example: "status_change"
  *                   userId:
  *                     type: string
@@ -82,6 +89,24 @@ const { protect } = require('../middlewares/auth');
  *                     type: string
  *                     enum: [online, offline, away, busy]
  *                     example: "online"
+ *                   username:
+ *                     type: string
+ *                     description: 正在输入的用户名（typing）
+ *                   conversationType:
+ *                     type: string
+ *                     enum: [private, group]
+ *                     description: 正在输入的会话类型（typing）
+ *                   conversationId:
+ *                     type: string
+ *                     description: 会话ID，私聊为输入者ID，群聊为群组ID（typing）
+ *                   state:
+ *                     type: string
+ *                     enum: [typing, stopped]
+ *                     description: 输入状态（typing）
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: 输入状态的过期时间（typing）
  *                   timestamp:
  *                     type: integer
  *                     example: 1621234567890
@@ -183,7 +208,7 @@ router.post('/register', protect, async (req, res, next) => {
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "会话ID不能为空"
+ *                   example: "无效的会话ID"
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
@@ -194,15 +219,17 @@ router.post('/unregister', protect, async (req, res, next) => {
     const userId = req.user._id;
     const { sessionId } = req.body;
     
-    if (!sessionId) {
+    // 会话ID可能被解析为数组或对象（如 ?sessionId[$ne]=x），只接受非空字符串
+    if (typeof sessionId !== 'string' || !sessionId) {
       return res.status(400).json({
         success: false,
-        message: '会话ID不能为空'
+        message: '无效的会话ID'
       });
     }
     
-    // 注销会话
+    // 注销会话，并移除该会话的投递游标
     await PollManager.unregisterSession(userId, sessionId);
+    await MessageQueue.removeSession(userId, sessionId);
     
     res.status(200).json({
       success: true,
@@ -222,6 +249,7 @@ router.post('/unregister', protect, async (req, res, next) => {
  *       通过长轮询获取用户的新消息和通知。
  *       此API会保持连接打开，直到有新消息可用或超时。
  *       如果在超时时间内没有新消息，将返回204 No Content状态。
+ *       每个会话独立记录投递进度，同一用户在多个客户端登录时，各会话都会收到全部消息。
  *     tags: [Polling]
  *     security:
  *       - bearerAuth: []
@@ -231,7 +259,7 @@ router.post('/unregister', protect, async (req, res, next) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: 客户端会话ID
+ *         description: 通过 /api/poll/register 获取的会话ID
  *         example: "550e8400-e29b-41d4-a716-446655440000"
  *       - in: query
  *         name: timeout
@@ -239,6 +267,15 @@ router.post('/unregister', protect, async (req, res, next) => {
  *           type: integer
  *           default: 30000
  *         description: 长轮询超时时间（毫秒），默认30秒
+ *       - in: query
+ *         name: ack
+ *         schema:
+ *           type: integer
+ *         description: |
+ *           确认游标，启用至少一次投递。首次轮询传0，之后传上一次200响应中的cursor。
+ *           携带ack时，返回的消息在客户端用其cursor确认之前不会被标记为已送达，
+ *           响应丢失时下一次轮询会重新返回这些消息（客户端需按消息ID去重）。
+ *           不携带ack时保持原有行为，读取即视为已送达。
  *     responses:
  *       200:
  *         description: 获取新消息成功
@@ -261,97 +298,325 @@ router.get('/messages', protect, async (req, res, next) => {
     const sessionId = req.query.sessionId;
     const timeout = parseInt(req.query.timeout) || 30000; // 默认30秒超时
     
-    if (!sessionId) {
+    // 会话ID可能被解析为数组或对象（如 ?sessionId[$ne]=x），只接受非空字符串
+    if (typeof sessionId !== 'string' || !sessionId) {
       return res.status(400).json({
         success: false,
-        message: '会话ID不能为空'
+        message: '无效的会话ID'
       });
     }
     
+    // 确认投递模式：客户端携带上一次响应中的cursor，未携带时读取即视为已送达
+    let ack;
+    if (req.query.ack !== undefined) {
+      ack = parseInt(req.query.ack);
+      if (isNaN(ack) || ack < 0) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的确认游标'
+        });
+      }
+    }
+    
     // 更新会话活动时间
     await PollManager.updateSessionActivity(userId, sessionId);
     
-    // 立即检查是否有新消息
-    const pendingMessagesResult = await MessageQueue.getPendingMessages(userId);
-    const pendingMessages = pendingMessagesResult.messages || [];
-    const systemMessages = pendingMessagesResult.systemMessages || [];
-    
-    // 检查是否有状态变化通知
-    const statusNotifications = PollManager.getStatusChangeNotifications(userId);
-    
-    // 如果有新消息、系统消息或状态变化通知，立即返回
-    if (pendingMessages.length > 0 || systemMessages.length > 0 || statusNotifications.length > 0) {
-      return res.status(200).json({
-        success: true,
-        timestamp: Date.now(),
-        data: {
-          messages: pendingMessages,
-          systemMessages: systemMessages,
-          notifications: statusNotifications
-        }
-      });
-    }
-    
-    // 保存请求对象的引用
     let isResponseSent = false;
+    let dbReads = 0;
+    let checking = false;
+    let checkRequested = false;
+    const waitStartedAt = Date.now();
+    let unsubscribe = () => {};
     
-    // 设置超时处理
-    PollManager.setPollTimeout(sessionId, () => {
+    // 超时未收到消息时返回204
+    const onTimeout = () => {
       if (!isResponseSent) {
-        isResponseSent = true;
-        return res.status(204).send();
+        finish();
+        res.status(204).send();
       }
-    }, timeout);
+    };
+    
+    // 结束本次轮询并释放资源
+    const finish = () => {
+      isResponseSent = true;
+      unsubscribe();
+      PollManager.clearPollTimeout(sessionId, onTimeout);
+      PollManager.recordPollReads(Date.now() - waitStartedAt, dbReads);
+    };
     
-    // 启动轮询检查
-    const pollInterval = setInterval(async () => {
+    // 检查新消息，有消息时立即返回；并发唤醒合并为串行检查，避免重复读取
+    const checkMessages = async () => {
       if (isResponseSent) {
-        clearInterval(pollInterval);
+        return;
+      }
+      if (checking) {
+        checkRequested = true;
         return;
       }
       
+      checking = true;
       try {
-        // 再次检查新消息
-        const messagesResult = await MessageQueue.getPendingMessages(userId);
-        const messages = messagesResult.messages || [];
-        const systemMsgs = messagesResult.systemMessages || [];
-        
-        // 获取状态变化通知
-        const notifications = PollManager.getStatusChangeNotifications(userId);
-        
-        if (messages.length > 0 || systemMsgs.length > 0 || notifications.length > 0) {
-          clearInterval(pollInterval);
-          isResponseSent = true;
+        do {
+          checkRequested = false;
           
-          return res.status(200).json({
-            success: true,
-            timestamp: Date.now(),
-            data: {
-              messages: messages,
-              systemMessages: systemMsgs,
-              notifications: notifications
-            }
-          });
-        }
+          dbReads += 1;
+          const messagesResult = await MessageQueue.getPendingMessages(userId, { ack, sessionId });
+          const messages = messagesResult.messages || [];
+          const systemMessages = messagesResult.systemMessages || [];
+          
+          // 获取状态变化通知
+          const notifications = await PollManager.getStatusChangeNotifications(userId, sessionId);
+          
+          if (messages.length > 0 || systemMessages.length > 0 || notifications.length > 0) {
+            finish();
+            
+            return res.status(200).json({
+              success: true,
+              timestamp: Date.now(),
+              cursor: messagesResult.cursor,
+              data: {
+                messages,
+                systemMessages,
+                notifications
+              }
+            });
+          }
+        } while (checkRequested && !isResponseSent);
       } catch (checkErr) {
-        clearInterval(pollInterval);
         if (!isResponseSent) {
-          isResponseSent = true;
+          finish();
           next(checkErr);
         }
+      } finally {
+        checking = false;
+      }
+    };
+    
+    // 先订阅再检查，避免检查与订阅之间入队的消息被遗漏
+    unsubscribe = MessageBus.subscribe(userId, checkMessages);
+    
+    // 在连接关闭时清理资源
+    req.on('close', () => {
+      if (!isResponseSent) {
+        finish();
+      }
+    });
+    
+    // 立即检查是否有新消息
+    await checkMessages();
+    
+    if (isResponseSent) {
+      return;
+    }
+    
+    // 没有新消息时等待事件唤醒
+    PollManager.setPollTimeout(sessionId, onTimeout, timeout);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/poll/stream:
+ *   get:
+ *     summary: Server-Sent Events消息流
+ *     description: |
+ *       以text/event-stream格式持续推送新消息，适用于无法使用WebSocket的浏览器环境。
+ *       由于EventSource无法设置请求头，可通过查询参数token传递JWT令牌。
+ *       事件类型：
+ *       - session：连接建立，data为 {"sessionId": "..."}
+ *       - message：新消息，data为消息对象
+ *       - system：系统消息，data为系统消息对象
+ *       - status_change：好友状态变化通知
+ *       - typing：会话成员正在输入（或停止输入）
+ *
+ *       message和system事件带有id字段，断线重连时浏览器会通过Last-Event-ID请求头
+ *       自动发送最后收到的事件ID，服务器将补发该事件之后入队的消息（保留24小时）。
+ *     tags: [Polling]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT令牌（无法设置请求头时使用）
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: 通过 /api/poll/register 获取的会话ID，不提供或不属于当前用户时自动创建
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: 最后收到的事件ID，与Last-Event-ID请求头作用相同
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: 最后收到的事件ID，用于断线续传
+ *     responses:
+ *       200:
+ *         description: 事件流
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/stream', protectWithQueryToken, async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    // 复用 /api/poll/register 返回的会话ID，未提供或不属于该用户时生成新的会话
+    const sessionId = await PollManager.resolveSessionId(userId, req.query.sessionId);
+    
+    // 解析续传位置，事件ID格式为 "入队时间戳-队列项ID"
+    let since = null;
+    let excludeItemId = null;
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    if (typeof lastEventId === 'string' && lastEventId) {
+      const [timestamp, itemId] = lastEventId.split('-');
+      if (!isNaN(parseInt(timestamp))) {
+        since = new Date(parseInt(timestamp));
+        excludeItemId = itemId || null;
       }
-    }, 1000); // 每秒检查一次
+    }
+    
+    // no-transform 使compression中间件跳过压缩，保证事件即时送达
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    
+    let closed = false;
+    const writeEvent = (event, data, id) => {
+      if (closed) {
+        return;
+      }
+      
+      let chunk = `event: ${event}\n`;
+      if (id) {
+        chunk += `id: ${id}\n`;
+      }
+      chunk += `data: ${JSON.stringify(data)}\n\n`;
+      res.write(chunk);
+    };
+    const eventId = item => `${new Date(item.addedAt).getTime()}-${item._id}`;
+    
+    // 推送待处理消息和状态变化通知
+    let flushing = false;
+    let flushRequested = false;
+    const flush = async () => {
+      if (flushing) {
+        flushRequested = true;
+        return;
+      }
+      
+      flushing = true;
+      try {
+        do {
+          flushRequested = false;
+          
+          const result = await MessageQueue.getMessagesSince(userId, since, excludeItemId, sessionId);
+          // 续传只在首次推送时生效，之后仅推送未发送的消息
+          since = null;
+          excludeItemId = null;
+          
+          result.messages.forEach(item => writeEvent('message', item.message, eventId(item)));
+          result.systemMessages.forEach(item => writeEvent('system', item, eventId(item)));
+          
+          const notifications = await PollManager.getStatusChangeNotifications(userId, sessionId);
+          notifications.forEach(notification => writeEvent(notification.type || 'status_change', notification));
+        } while (flushRequested && !closed);
+      } catch (flushErr) {
+        console.error('SSE推送消息失败:', flushErr);
+      } finally {
+        flushing = false;
+      }
+    };
+    
+    const unsubscribe = MessageBus.subscribe(userId, flush);
+    
+    // 定期发送注释行保持连接，并刷新会话活动时间
+    const heartbeat = setInterval(() => {
+      if (!closed) {
+        res.write(': ping\n\n');
+        PollManager.updateSessionActivity(userId, sessionId);
+      }
+    }, 15000);
     
     // 在连接关闭时清理资源
     req.on('close', () => {
-      clearInterval(pollInterval);
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      PollManager.unregisterSession(userId, sessionId);
     });
     
+    // 注册会话，与长轮询共用在线状态
+    const registered = await PollManager.registerSession(userId, sessionId, {
+      userAgent: req.headers['user-agent'],
+      ip: req.ip
+    });
+    
+    // 注册失败时结束连接，客户端重连时会重新分配会话
+    if (!registered) {
+      return res.end();
+    }
+    
+    // 注册期间连接已断开，撤销刚注册的会话
+    if (closed) {
+      return PollManager.unregisterSession(userId, sessionId);
+    }
+    
+    writeEvent('session', { sessionId });
+    
+    // 连接建立后立即推送积压的消息
+    await flush();
   } catch (err) {
+    if (res.headersSent) {
+      console.error('SSE连接处理失败:', err);
+      return res.end();
+    }
     next(err);
   }
 });
 
+/**
+ * @swagger
+ * /api/poll/ws:
+ *   get:
+ *     summary: WebSocket实时消息通道
+ *     description: |
+ *       通过WebSocket接收实时消息，与长轮询共用会话注册和消息队列。
+ *       握手时通过查询参数token或Authorization请求头传递JWT令牌。
+ *       连接建立后服务器先发送 {"type":"session"} 事件返回会话ID，
+ *       之后每当有新消息、系统消息或状态变化时推送 {"type":"messages"} 事件，
+ *       data字段结构与 /api/poll/messages 的响应相同。
+ *       客户端可发送 {"type":"ping"} 保持心跳，或发送 {"type":"status","status":"away"} 更新状态。
+ *     tags: [Polling]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT令牌（无法设置请求头时使用）
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: 通过 /api/poll/register 获取的会话ID，不提供或不属于当前用户时自动创建
+ *     responses:
+ *       101:
+ *         description: 协议切换成功，建立WebSocket连接
+ *       401:
+ *         description: 未授权
+ */
+
 /**
  * @swagger
  * /api/poll/status:
@@ -406,10 +671,11 @@ router.post('/status', protect, async (req, res, next) => {
     const { status, sessionId } = req.body;
     const userId = req.user._id;
     
-    if (!sessionId) {
+    // 会话ID可能被解析为数组或对象（如 ?sessionId[$ne]=x），只接受非空字符串
+    if (typeof sessionId !== 'string' || !sessionId) {
       return res.status(400).json({
         success: false,
-        message: '会话ID不能为空'
+        message: '无效的会话ID'
       });
     }
     
@@ -440,6 +706,136 @@ router.post('/status', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/poll/typing:
+ *   post:
+ *     summary: 发送正在输入状态
+ *     description: |
+ *       通知会话中的其他成员当前用户正在输入或停止输入。
+ *       输入状态与好友状态变化通知走同一通道（轮询响应的notifications，SSE的typing事件），
+ *       只临时保存，约8秒后过期，不会保存为消息。持续输入时客户端应每隔几秒重新发送。
+ *     tags: [Polling]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conversationType
+ *               - conversationId
+ *             properties:
+ *               conversationType:
+ *                 type: string
+ *                 enum: [private, group]
+ *                 description: 会话类型
+ *               conversationId:
+ *                 type: string
+ *                 description: 私聊为对方用户ID，群聊为群组ID
+ *               state:
+ *                 type: string
+ *                 enum: [typing, stopped]
+ *                 default: typing
+ *                 description: 输入状态
+ *     responses:
+ *       200:
+ *         description: 输入状态已发送
+ *       400:
+ *         description: 请求参数错误
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: 不是群组成员
+ *       404:
+ *         description: 用户或群组不存在
+ */
+router.post('/typing', protect, async (req, res, next) => {
+  try {
+    const { conversationType, conversationId, state = 'typing' } = req.body;
+    const userId = req.user._id;
+    
+    if (!['private', 'group'].includes(conversationType)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话类型'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的会话ID'
+      });
+    }
+    
+    if (!['typing', 'stopped'].includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的输入状态'
+      });
+    }
+    
+    let recipientIds;
+    
+    if (conversationType === 'group') {
+      // 检查用户是否是群组成员
+      const group = await Group.findById(conversationId).select('members.user');
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: '群组不存在'
+        });
+      }
+      
+      if (!group.isMember(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不是该群组成员'
+        });
+      }
+      
+      recipientIds = group.members
+        .map(member => member.user)
+        .filter(memberId => memberId.toString() !== userId.toString());
+    } else {
+      if (conversationId === userId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的会话ID'
+        });
+      }
+      
+      const peer = await User.findById(conversationId).select('_id blockedUsers friends.user privacy.messagePermission');
+      if (!peer) {
+        return res.status(404).json({
+          success: false,
+          message: '用户不存在'
+        });
+      }
+      
+      // 存在拉黑关系或对方不接收当前用户的消息时不发送输入状态，与发送消息的限制一致
+      recipientIds = req.user.isBlockedWith(peer) || !peer.allowsMessageFrom(userId) ? [] : [peer._id];
+    }
+    
+    // 从接收者看，私聊会话ID为输入者的用户ID
+    await PollManager.notifyTyping(req.user, recipientIds, {
+      conversationType,
+      conversationId: conversationType === 'group' ? conversationId : userId,
+      state
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: '输入状态已发送'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/poll/ping:
@@ -458,6 +854,8 @@ router.post('/status', protect, async (req, res, next) => {
  *     responses:
  *       200:
  *         description: 服务器正常
+ *       400:
+ *         description: 会话ID无效
  *       401:
  *         description: 未授权
  */
@@ -466,10 +864,11 @@ router.get('/ping', protect, async (req, res, next) => {
     const userId = req.user._id;
     const sessionId = req.query.sessionId;
     
-    if (!sessionId) {
+    // 会话ID可能被解析为数组或对象（如 ?sessionId[$ne]=x），只接受非空字符串
+    if (typeof sessionId !== 'string' || !sessionId) {
       return res.status(400).json({
         success: false,
-        message: '会话ID不能为空'
+        message: '无效的会话ID'
       });
     }
     
@@ -494,6 +893,7 @@ router.get('/ping', protect, async (req, res, next) => {
  * /api/poll/online-friends:
  *   get:
  *     summary: 获取在线好友列表
+ *     description: 不包含隐藏在线状态和存在拉黑关系的好友
  *     tags: [Polling]
  *     security:
  *       - bearerAuth: []
@@ -508,7 +908,7 @@ router.get('/online-friends', protect, async (req, res, next) => {
     const userId = req.user._id;
     
     // 获取用户的好友列表
-    const user = await User.findById(userId).select('friends');
+    const user = await User.findById(userId).select('friends blockedUsers');
     
     if (!user || !user.friends || user.friends.length === 0) {
       return res.status(200).json({
@@ -521,11 +921,8 @@ router.get('/online-friends', protect, async (req, res, next) => {
     }
     
     // 查询在线好友
-    const onlineFriends = await User.find({
-      _id: { $in: user.friends },
-      status: { $in: ['online', 'away', 'busy'] },
-      lastActive: { $gt: new Date(Date.now() - 5 * 60 * 1000) } // 5分钟内活跃
-    }).select('_id username avatar status lastActive');
+    const onlineFriends = await User.find(buildOnlineFriendsFilter(user))
+      .select('_id username avatar status lastActive');
     
     res.status(200).json({
       success: true,
@@ -539,20 +936,90 @@ router.get('/online-friends', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/poll/metrics:
+ *   get:
+ *     summary: 获取长轮询统计数据
+ *     description: |
+ *       返回事件驱动唤醒的统计数据。legacyDbReads为按旧实现（每秒查询一次消息队列）
+ *       估算的读取次数，savedDbReads为相比旧实现节省的数据库读取次数。
+ *     tags: [Polling]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取统计数据成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bus:
+ *                       type: string
+ *                       example: "memory"
+ *                     presenceStore:
+ *                       type: string
+ *                       example: "memory"
+ *                     completedPolls:
+ *                       type: integer
+ *                     waitingPolls:
+ *                       type: integer
+ *                     dbReads:
+ *                       type: integer
+ *                     legacyDbReads:
+ *                       type: integer
+ *                     savedDbReads:
+ *                       type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/metrics', protect, async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        bus: MessageBus.getType(),
+        presenceStore: PollManager.getPresenceStoreType(),
+        ...PollManager.getPollMetrics()
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 生成查询在线好友的条件：5分钟内活跃，不包含隐藏在线状态和存在拉黑关系的好友
+function buildOnlineFriendsFilter(user) {
+  const friendIds = user.friends
+    .map(friend => friend.user)
+    .filter(friendId => !user.hasBlocked(friendId));
+  
+  return {
+    _id: { $in: friendIds },
+    status: { $in: ['online', 'away', 'busy'] },
+    lastActive: { $gt: new Date(Date.now() - 5 * 60 * 1000) },
+    'privacy.hideOnlineStatus': { $ne: true },
+    blockedUsers: { $ne: user._id }
+  };
+}
+
 // 获取用户在线好友数量
 async function getOnlineFriendsCount(userId) {
   try {
-    const user = await User.findById(userId).select('friends');
+    const user = await User.findById(userId).select('friends blockedUsers');
     
     if (!user || !user.friends || user.friends.length === 0) {
       return 0;
     }
     
-    const count = await User.countDocuments({
-      _id: { $in: user.friends },
-      status: { $in: ['online', 'away', 'busy'] },
-      lastActive: { $gt: new Date(Date.now() - 5 * 60 * 1000) }
-    });
+    const count = await User.countDocuments(buildOnlineFriendsFilter(user));
     
     return count;
   } catch (err) {
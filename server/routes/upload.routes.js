@@ -0,0 +1,543 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const multer = require('multer');
+const Attachment = require('../models/Attachment');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const AttachmentStorage = require('../utils/AttachmentStorage');
+const ImageProcessor = require('../utils/ImageProcessor');
+const { protect } = require('../middlewares/auth');
+const mongoose = require('mongoose');
+
+// 单个文件的最大大小（字节），默认10MB
+const UPLOAD_MAX_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024;
+
+// 允许上传的文件类型，SVG、HTML等可执行脚本的类型默认不允许
+const UPLOAD_ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+  ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'audio/mpeg',
+    'video/mp4'
+  ];
+
+// 下载链接的有效期（毫秒），默认10分钟
+const UPLOAD_URL_TTL = parseInt(process.env.UPLOAD_URL_TTL) || 10 * 60 * 1000;
+
+// 下载链接的签名密钥
+const UPLOAD_URL_SECRET = process.env.UPLOAD_URL_SECRET || process.env.JWT_SECRET || 'winuc_secret_key';
+
+// 常见图片格式的文件头，用于确认图片内容与声明的类型一致
+const IMAGE_SIGNATURES = {
+  'image/jpeg': buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': buffer => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')),
+  'image/webp': buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+};
+
+// 文件保存在内存中，计算哈希后写入附件存储
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_SIZE,
+    files: 1
+  },
+  // 未声明字符集的文件名按UTF-8解析，避免中文文件名乱码
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (!UPLOAD_ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`不支持的文件类型: ${file.mimetype}`);
+      error.statusCode = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// 解析上传的文件，将multer的错误转换为对应的响应
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE'
+          ? `文件大小不能超过${Math.floor(UPLOAD_MAX_SIZE / 1024 / 1024)}MB`
+          : `上传失败: ${err.message}`
+      });
+    }
+    
+    if (err.statusCode === 415) {
+      return res.status(415).json({
+        success: false,
+        message: err.message
+      });
+    }
+    
+    next(err);
+  });
+};
+
+// 计算下载链接的签名
+const signDownload = (attachmentId, expires) => crypto
+  .createHmac('sha256', UPLOAD_URL_SECRET)
+  .update(`${attachmentId}:${expires}`)
+  .digest('base64url');
+
+// 生成带签名的限时下载链接，可直接用于<img>等无法携带请求头的场景，图片同时返回各缩略图的链接
+const createDownloadUrls = (attachment) => {
+  const expires = Date.now() + UPLOAD_URL_TTL;
+  const url = `/api/uploads/${attachment._id}/download?expires=${expires}&signature=${signDownload(attachment._id, expires)}`;
+  
+  return {
+    url,
+    expiresAt: new Date(expires),
+    thumbnailUrls: Object.fromEntries(attachment.thumbnails.map(thumbnail => [thumbnail.name, `${url}&variant=${thumbnail.name}`]))
+  };
+};
+
+// 校验下载链接的签名和有效期
+const isValidDownloadSignature = (attachmentId, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now()) {
+    return false;
+  }
+  
+  const expected = Buffer.from(signDownload(attachmentId, expires));
+  const actual = Buffer.from(String(signature));
+  
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// 检查用户能否访问附件：上传者本人，或附件所在消息的会话参与者
+const canAccessAttachment = async (attachment, userId) => {
+  if (attachment.uploader.toString() === userId.toString()) {
+    return true;
+  }
+  
+  const messages = await Message.find({ attachment: attachment._id }).select('sender receiver group');
+  const groupIds = [];
+  
+  for (const message of messages) {
+    if (message.group) {
+      groupIds.push(message.group);
+    } else if ([message.sender, message.receiver].some(id => id && id.toString() === userId.toString())) {
+      return true;
+    }
+  }
+  
+  if (groupIds.length === 0) {
+    return false;
+  }
+  
+  return !!(await Group.exists({ _id: { $in: groupIds }, 'members.user': userId }));
+};
+
+// 附件的响应数据
+const formatAttachment = attachment => ({
+  _id: attachment._id,
+  uploader: attachment.uploader,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  hash: attachment.hash,
+  width: attachment.width,
+  height: attachment.height,
+  blurhash: attachment.blurhash,
+  thumbnails: attachment.thumbnails.map(({ name, width, height }) => ({ name, width, height })),
+  createdAt: attachment.createdAt
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Uploads
+ *   description: 附件上传与下载API
+ */
+
+/**
+ * @swagger
+ * /api/uploads:
+ *   post:
+ *     summary: 上传附件
+ *     description: |
+ *       上传图片或文件，返回的附件ID可作为attachmentId通过 /api/messages/send 或 /api/messages/group/send 发送。
+ *       文件大小和类型受 UPLOAD_MAX_SIZE、UPLOAD_ALLOWED_TYPES 限制，图片会校验文件头与声明的类型是否一致。
+ *       JPEG、PNG、WebP、GIF图片会重新编码以去除EXIF、XMP等元数据（包括拍摄位置），动图保留动画，记录宽高和BlurHash模糊占位图，并生成small（160px）、medium（480px）缩略图。
+ *       相同内容只保存一份，同一用户重复上传相同内容时直接返回已有附件。
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: 已上传过相同内容，返回已有附件
+ *       201:
+ *         description: 上传成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attachment:
+ *                       $ref: '#/components/schemas/Attachment'
+ *                     url:
+ *                       type: string
+ *                       description: 带签名的限时下载链接
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: 下载链接过期时间
+ *                     thumbnailUrls:
+ *                       type: object
+ *                       description: 各缩略图的下载链接，键为缩略图名称
+ *                       additionalProperties:
+ *                         type: string
+ *       400:
+ *         description: 未选择文件、文件内容与类型不符或无法解析图片
+ *       401:
+ *         description: 未授权
+ *       413:
+ *         description: 文件过大
+ *       415:
+ *         description: 不支持的文件类型
+ */
+router.post('/', protect, receiveFile, async (req, res, next) => {
+  try {
+    const file = req.file;
+    const uploaderId = req.user._id;
+    
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: '请选择要上传的文件'
+      });
+    }
+    
+    // 确认图片内容与声明的类型一致，避免把其他内容伪装成图片内联展示
+    const matchesSignature = IMAGE_SIGNATURES[file.mimetype];
+    if (matchesSignature && !matchesSignature(file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: '文件内容与文件类型不符'
+      });
+    }
+    
+    // 图片去除元数据后保存，并生成缩略图和模糊占位图
+    let content = file.buffer;
+    let image = null;
+    if (matchesSignature) {
+      try {
+        image = await ImageProcessor.process(file.buffer);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: '无法解析图片'
+        });
+      }
+      content = image.buffer;
+    }
+    
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    
+    // 同一用户重复上传相同内容时复用已有附件
+    const existing = await Attachment.findOne({ uploader: uploaderId, hash, mimeType: file.mimetype });
+    if (existing) {
+      return res.json({
+        success: true,
+        message: '文件已存在',
+        data: {
+          attachment: formatAttachment(existing),
+          ...createDownloadUrls(existing)
+        }
+      });
+    }
+    
+    // 存储中已有相同内容时不再重复保存
+    const storageKey = AttachmentStorage.keyFor(hash);
+    if (!(await AttachmentStorage.exists(storageKey))) {
+      await AttachmentStorage.put(storageKey, content, { mimeType: file.mimetype });
+    }
+    
+    const attachment = new Attachment({
+      uploader: uploaderId,
+      fileName: file.originalname || 'file',
+      mimeType: file.mimetype,
+      size: content.length,
+      hash,
+      storage: AttachmentStorage.getType(),
+      storageKey
+    });
+    
+    if (image) {
+      attachment.width = image.width;
+      attachment.height = image.height;
+      attachment.blurhash = image.blurhash;
+      
+      for (const thumbnail of image.thumbnails) {
+        const thumbnailKey = attachment.getThumbnailKey(thumbnail.name);
+        if (!(await AttachmentStorage.exists(thumbnailKey))) {
+          await AttachmentStorage.put(thumbnailKey, thumbnail.buffer, { mimeType: 'image/jpeg' });
+        }
+        
+        attachment.thumbnails.push({
+          name: thumbnail.name,
+          width: thumbnail.width,
+          height: thumbnail.height,
+          size: thumbnail.buffer.length
+        });
+      }
+    }
+    
+    await attachment.save();
+    
+    res.status(201).json({
+      success: true,
+      message: '上传成功',
+      data: {
+        attachment: formatAttachment(attachment),
+        ...createDownloadUrls(attachment)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/uploads/{attachmentId}:
+ *   get:
+ *     summary: 获取附件信息和下载链接
+ *     description: 上传者本人或附件所在消息的会话参与者可以获取，返回带签名的限时下载链接
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 获取成功，data包含attachment、url和expiresAt
+ *       401:
+ *         description: 未授权
+ *       403:
+ *         description: 无权访问该附件
+ *       404:
+ *         description: 附件不存在
+ */
+router.get('/:attachmentId', protect, async (req, res, next) => {
+  try {
+    const { attachmentId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的附件ID'
+      });
+    }
+    
+    const attachment = await Attachment.findById(attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: '附件不存在'
+      });
+    }
+    
+    if (!(await canAccessAttachment(attachment, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: '无权访问该附件'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        attachment: formatAttachment(attachment),
+        ...createDownloadUrls(attachment)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 下载请求可以使用签名链接，也可以直接携带Bearer令牌
+const authorizeDownload = (req, res, next) => {
+  if (!req.query.signature) {
+    return protect(req, res, next);
+  }
+  
+  if (!isValidDownloadSignature(req.params.attachmentId, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: '下载链接无效或已过期'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * @swagger
+ * /api/uploads/{attachmentId}/download:
+ *   get:
+ *     summary: 下载附件
+ *     description: |
+ *       使用 /api/uploads/{attachmentId} 返回的签名链接下载，或携带Bearer令牌直接下载（同样检查会话成员身份）。
+ *       图片以内联方式返回，其他文件以附件方式返回。传入variant时返回对应的JPEG缩略图，图片小于该尺寸时返回原图。
+ *     tags: [Uploads]
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: 签名链接的过期时间戳（毫秒）
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: 签名链接的签名
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [small, medium]
+ *         description: 缩略图名称，仅图片
+ *     responses:
+ *       200:
+ *         description: 文件内容
+ *       304:
+ *         description: 文件未变化
+ *       401:
+ *         description: 未授权
+ *       400:
+ *         description: 无效的缩略图名称
+ *       403:
+ *         description: 下载链接无效或已过期，或无权访问该附件
+ *       404:
+ *         description: 附件不存在
+ */
+router.get('/:attachmentId/download', authorizeDownload, async (req, res, next) => {
+  try {
+    const { attachmentId } = req.params;
+    const { variant } = req.query;
+    
+    if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的附件ID'
+      });
+    }
+    
+    if (variant !== undefined && !Object.keys(ImageProcessor.THUMBNAIL_SIZES).includes(variant)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的缩略图名称'
+      });
+    }
+    
+    const attachment = await Attachment.findById(attachmentId).select('+storageKey');
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: '附件不存在'
+      });
+    }
+    
+    // 通过令牌下载时检查访问权限，签名链接在签发时已检查过
+    if (req.user && !(await canAccessAttachment(attachment, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: '无权访问该附件'
+      });
+    }
+    
+    // 图片小于请求的缩略图尺寸时没有对应缩略图，直接返回原图
+    const thumbnail = variant && attachment.thumbnails.find(item => item.name === variant);
+    
+    // 文件内容由哈希确定，不会变化
+    const etag = thumbnail ? `"${attachment.hash}-${thumbnail.name}"` : `"${attachment.hash}"`;
+    res.set({
+      ETag: etag,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    
+    let stream;
+    try {
+      stream = await AttachmentStorage.createReadStream(
+        thumbnail ? attachment.getThumbnailKey(thumbnail.name) : attachment.storageKey
+      );
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.statusCode === 404) {
+        return res.status(404).json({
+          success: false,
+          message: '附件文件不存在'
+        });
+      }
+      throw err;
+    }
+    
+    res.set({
+      'Content-Type': thumbnail ? 'image/jpeg' : attachment.mimeType,
+      'Content-Length': thumbnail ? thumbnail.size : attachment.size,
+      'Content-Disposition': `${attachment.isImage() ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    });
+    
+    pipeline(stream, res, (err) => {
+      if (err) {
+        console.error('下载附件失败:', err);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
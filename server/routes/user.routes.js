@@ -1,9 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const PollManager = require('../utils/PollManager');
 const { protect } = require('../middlewares/auth');
 
+// 查询其他用户时读取的字段，隐私设置和黑名单用于计算对当前用户可见的在线状态
+const PUBLIC_USER_FIELDS = 'username email avatar bio status lastActive privacy.hideOnlineStatus blockedUsers';
+
+// 格式化其他用户的信息，按隐私设置和拉黑关系显示在线状态，不返回对方的隐私设置和黑名单
+const toPublicUser = (user, viewer) => ({
+  _id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  bio: user.bio,
+  ...user.getPresenceFor(viewer)
+});
+
 /**
  * @swagger
  * tags:
@@ -16,7 +31,7 @@ const { protect } = require('../middlewares/auth');
  * /api/users:
  *   get:
  *     summary: 获取用户列表
- *     description: 获取系统中的用户列表，支持分页和搜索
+ *     description: 获取系统中的用户列表，支持分页和搜索，不包含存在拉黑关系的用户。隐藏在线状态的用户状态显示为离线
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -92,12 +107,12 @@ router.get('/', protect, async (req, res, next) => {
       ];
     }
     
-    // 排除当前用户
-    query._id = { $ne: req.user._id };
+    // 排除当前用户和存在拉黑关系的用户
+    Object.assign(query, User.getVisibleFilter(req.user));
     
     const total = await User.countDocuments(query);
     const users = await User.find(query)
-      .select('username email avatar bio status lastActive')
+      .select(PUBLIC_USER_FIELDS)
       .skip(startIndex)
       .limit(limit);
     
@@ -105,7 +120,7 @@ router.get('/', protect, async (req, res, next) => {
       success: true,
       message: '成功获取用户列表',
       data: {
-        users,
+        users: users.map(user => toPublicUser(user, req.user)),
         pagination: {
           page,
           limit,
@@ -119,12 +134,272 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// 以下路由需要定义在 /:id 之前，否则路径会被当作用户ID匹配
+/**
+ * @swagger
+ * /api/users/search:
+ *   get:
+ *     summary: 搜索用户
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: 搜索关键词
+ *     responses:
+ *       200:
+ *         description: 搜索成功，不包含存在拉黑关系的用户
+ *       401:
+ *         description: 未授权
+ */
+router.get('/search', protect, async (req, res, next) => {
+  try {
+    const keyword = req.query.keyword;
+    
+    if (!keyword) {
+      return res.status(400).json({
+        success: false,
+        message: '请提供搜索关键词'
+      });
+    }
+    
+    // 使用正则表达式进行模糊搜索，排除当前用户和存在拉黑关系的用户
+    const users = await User.find({
+      $and: [
+        User.getVisibleFilter(req.user),
+        {
+          $or: [
+            { username: { $regex: keyword, $options: 'i' } },
+            { email: { $regex: keyword, $options: 'i' } }
+          ]
+        }
+      ]
+    }).select(PUBLIC_USER_FIELDS);
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        users: users.map(user => toPublicUser(user, req.user))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/blocks:
+ *   get:
+ *     summary: 获取黑名单
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取黑名单成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           username:
+ *                             type: string
+ *                           avatar:
+ *                             type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/blocks', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers')
+      .populate('blockedUsers', 'username avatar');
+    
+    // 忽略已不存在的用户
+    const users = user.blockedUsers
+      .filter(Boolean)
+      .map(blockedUser => ({
+        id: blockedUser._id,
+        username: blockedUser.username,
+        avatar: blockedUser.avatar
+      }));
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        users
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/blocks/{userId}:
+ *   post:
+ *     summary: 将用户加入黑名单
+ *     description: |
+ *       拉黑后双方互相不能发送私聊消息和好友请求，在用户搜索结果中互相不可见，在线状态互相显示为离线。
+ *       双方之间待处理的好友请求会被删除，已有的好友关系和聊天记录保留。
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 要拉黑的用户ID
+ *     responses:
+ *       200:
+ *         description: 已加入黑名单
+ *       400:
+ *         description: 无效的用户ID或不能拉黑自己
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: 用户不存在
+ */
+router.post('/blocks/:userId', protect, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: '不能将自己加入黑名单'
+      });
+    }
+    
+    const target = await User.findById(userId).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: '找不到该用户'
+      });
+    }
+    
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: target._id } });
+    
+    // 删除双方之间待处理的好友请求
+    await FriendRequest.deleteMany({
+      status: 'pending',
+      $or: [
+        { sender: req.user._id, receiver: target._id },
+        { sender: target._id, receiver: req.user._id }
+      ]
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: '已将该用户加入黑名单',
+      data: {
+        userId: target._id
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/blocks/{userId}:
+ *   delete:
+ *     summary: 将用户移出黑名单
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 要移出黑名单的用户ID
+ *     responses:
+ *       200:
+ *         description: 已移出黑名单
+ *       400:
+ *         description: 无效的用户ID
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: 该用户不在黑名单中
+ */
+router.delete('/blocks/:userId', protect, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: '无效的用户ID'
+      });
+    }
+    
+    const result = await User.updateOne(
+      { _id: req.user._id, blockedUsers: userId },
+      { $pull: { blockedUsers: userId } }
+    );
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: '该用户不在黑名单中'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: '已将该用户移出黑名单',
+      data: {
+        userId
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: 获取特定用户信息
- *     description: 根据用户ID获取用户详细信息
+ *     description: 根据用户ID获取用户详细信息，对方隐藏在线状态或存在拉黑关系时状态显示为离线
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -161,7 +436,7 @@ router.get('/', protect, async (req, res, next) => {
  */
 router.get('/:id', protect, async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id).select('username email avatar bio status lastActive');
+    const user = await User.findById(req.params.id).select(PUBLIC_USER_FIELDS);
     
     if (!user) {
       return res.status(404).json({
@@ -174,7 +449,7 @@ router.get('/:id', protect, async (req, res, next) => {
       success: true,
       message: '成功获取用户信息',
       data: {
-        user
+        user: toPublicUser(user, req.user)
       }
     });
   } catch (err) {
@@ -345,54 +620,119 @@ router.put('/status', protect, async (req, res, next) => {
 
 /**
  * @swagger
- * /api/users/search:
- *   get:
- *     summary: 搜索用户
+ * /api/users/privacy:
+ *   put:
+ *     summary: 更新隐私设置
+ *     description: 只更新请求中提供的设置项。开启或关闭隐藏在线状态时，好友会收到相应的状态变化通知
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: keyword
- *         schema:
- *           type: string
- *         required: true
- *         description: 搜索关键词
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messagePermission:
+ *                 type: string
+ *                 enum: [everyone, friends]
+ *                 description: 谁可以给我发私聊消息，friends表示只有好友可以
+ *               hideOnlineStatus:
+ *                 type: boolean
+ *                 description: 是否隐藏在线状态
+ *               groupInvitePermission:
+ *                 type: string
+ *                 enum: [everyone, friends, nobody]
+ *                 description: 谁可以邀请我加入群组，nobody表示不接受任何群组邀请
  *     responses:
  *       200:
- *         description: 搜索成功
+ *         description: 隐私设置更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 隐私设置更新成功
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     privacy:
+ *                       type: object
+ *                       properties:
+ *                         messagePermission:
+ *                           type: string
+ *                         hideOnlineStatus:
+ *                           type: boolean
+ *                         groupInvitePermission:
+ *                           type: string
+ *       400:
+ *         description: 无效的设置值
  *       401:
- *         description: 未授权
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/search', protect, async (req, res, next) => {
+router.put('/privacy', protect, async (req, res, next) => {
   try {
-    const keyword = req.query.keyword;
+    const { messagePermission, hideOnlineStatus, groupInvitePermission } = req.body;
+    const updateFields = {};
     
-    if (!keyword) {
-      return res.status(400).json({
-        success: false,
-        message: '请提供搜索关键词'
-      });
+    if (messagePermission !== undefined) {
+      if (!['everyone', 'friends'].includes(messagePermission)) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的私聊权限设置'
+        });
+      }
+      updateFields['privacy.messagePermission'] = messagePermission;
     }
     
-    // 使用正则表达式进行模糊搜索
-    const users = await User.find({
-      $and: [
-        { _id: { $ne: req.user._id } }, // 排除当前用户
-        {
-          $or: [
-            { username: { $regex: keyword, $options: 'i' } },
-            { email: { $regex: keyword, $options: 'i' } }
-          ]
-        }
-      ]
-    }).select('username email avatar bio status lastActive');
+    if (hideOnlineStatus !== undefined) {
+      if (typeof hideOnlineStatus !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'hideOnlineStatus必须是布尔值'
+        });
+      }
+      updateFields['privacy.hideOnlineStatus'] = hideOnlineStatus;
+    }
+    
+    if (groupInvitePermission !== undefined) {
+      if (!['everyone', 'friends', 'nobody'].includes(groupInvitePermission)) {
+        return res.status(400).json({
+          success: false,
+          message: '无效的群组邀请权限设置'
+        });
+      }
+      updateFields['privacy.groupInvitePermission'] = groupInvitePermission;
+    }
+    
+    const wasHidden = !!(req.user.privacy && req.user.privacy.hideOnlineStatus);
+    
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateFields },
+      { new: true }
+    ).select('status privacy');
+    
+    // 隐藏在线状态时通知好友显示为离线，取消隐藏时通知好友当前状态
+    if (hideOnlineStatus !== undefined && hideOnlineStatus !== wasHidden) {
+      await PollManager.notifyStatusChange(
+        req.user._id,
+        hideOnlineStatus ? 'offline' : user.status,
+        { ignorePrivacy: true }
+      );
+    }
     
     res.status(200).json({
       success: true,
-      count: users.length,
+      message: '隐私设置更新成功',
       data: {
-        users
+        privacy: user.privacy
       }
     });
   } catch (err) {
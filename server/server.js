@@ -15,12 +15,16 @@ const pollRoutes = require('./routes/poll.routes');
 const friendRoutes = require('./routes/friend.routes');
 const groupRoutes = require('./routes/group.routes');
 const notificationRoutes = require('./routes/notification.routes');
+const uploadRoutes = require('./routes/upload.routes');
 
 // 导入错误处理中间件
 const errorHandler = require('./middlewares/error');
 
-// 导入长轮询管理器和消息队列
+// 导入长轮询管理器、WebSocket管理器和消息队列
 const PollManager = require('./utils/PollManager');
+const WsManager = require('./utils/WsManager');
+const MessageBus = require('./utils/MessageBus');
+const AttachmentStorage = require('./utils/AttachmentStorage');
 const MessageQueue = require('./models/MessageQueue');
 
 // 将MessageQueue模型设为全局对象，方便在路由中使用
@@ -168,6 +172,7 @@ app.use('/api/poll', pollRoutes);
 app.use('/api/friends', friendRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // API文档路由
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
@@ -224,19 +229,37 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(async () => {
     console.log('MongoDB数据库连接成功');
+    
+    // 初始化消息事件总线（memory 或 changestream，后者需要MongoDB副本集，无法使用时终止启动）
+    const busType = await MessageBus.init(process.env.MESSAGE_BUS || 'memory');
+    console.log(`消息事件总线: ${busType}`);
+    
+    // 初始化在线状态存储（memory 或 mongo，多实例部署时使用mongo）
+    const presenceStoreType = PollManager.init(process.env.PRESENCE_STORE || 'memory');
+    console.log(`在线状态存储: ${presenceStoreType}`);
+    
+    // 初始化附件存储（local 或 s3，后者可对接S3兼容的对象存储，配置不完整时终止启动）
+    const attachmentStorageType = AttachmentStorage.init(process.env.ATTACHMENT_STORAGE || 'local');
+    console.log(`附件存储: ${attachmentStorageType}`);
+    
     // 启动服务器
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`服务器运行在 http://localhost:${PORT}`);
       console.log(`API文档可在 http://localhost:${PORT}/api-docs 访问`);
+      console.log(`WebSocket服务可在 ws://localhost:${PORT}/api/poll/ws 访问`);
       
       // 设置定时任务
       setupScheduledTasks();
     });
+    
+    // 挂载WebSocket服务，与长轮询共用同一端口
+    WsManager.attach(server);
   })
   .catch((err) => {
-    console.error('MongoDB连接失败:', err.message);
+    console.error('服务启动失败:', err.message);
+    process.exit(1);
   });
 
 module.exports = app; // 用于测试 
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// 本地存储默认目录
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '../../uploads');
+// 空请求体的SHA256，GET/HEAD/DELETE请求签名时使用
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+// S3请求的空闲超时（毫秒），连接或响应在此时间内没有进展时中止请求
+const S3_REQUEST_TIMEOUT = parseInt(process.env.S3_REQUEST_TIMEOUT) || 30000;
+
+const sha256Hex = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// 按RFC 3986编码路径中的每一段，与S3签名时的规范URI一致
+const encodePath = pathname => pathname
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+// 按AWS签名V4计算S3请求的Authorization头，headers中的所有请求头都参与签名
+// 路径需已按encodePath编码，不支持查询参数
+const signS3Request = ({ method, path: objectPath, headers, payloadHash, amzDate, region, accessKeyId, secretAccessKey }) => {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const canonicalHeaders = Object.keys(headers)
+    .map(name => [name.toLowerCase(), String(headers[name]).trim()])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  const signedHeaderNames = canonicalHeaders.map(([name]) => name).join(';');
+  const canonicalRequest = [
+    method,
+    objectPath,
+    '',
+    ...canonicalHeaders.map(([name, value]) => `${name}:${value}`),
+    '',
+    signedHeaderNames,
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
+};
+
+/**
+ * 本地磁盘适配器
+ * 文件保存在 UPLOAD_DIR 目录下，适用于单机部署
+ */
+function createLocalAdapter() {
+  const root = path.resolve(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+  // 存储键只由内容哈希生成，这里仍防止拼出存储目录之外的路径
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`无效的存储键: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // 先写临时文件再重命名，避免并发上传同一文件时读到写了一半的内容
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+/**
+ * S3兼容存储适配器
+ * 使用AWS签名V4直接调用对象存储的REST接口，可对接AWS S3、MinIO等服务
+ */
+function createS3Adapter() {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3存储需要配置 S3_BUCKET、S3_ACCESS_KEY_ID 和 S3_SECRET_ACCESS_KEY');
+  }
+
+  // 自定义端点（如MinIO）默认使用路径风格访问存储桶
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : !!process.env.S3_ENDPOINT;
+  const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const transport = endpoint.protocol === 'http:' ? http : https;
+
+  // 发送签名请求，返回响应流，由调用方负责读取或丢弃
+  const request = (method, key, { body, payloadHash = EMPTY_PAYLOAD_HASH, headers = {} } = {}) => {
+    const objectPath = encodePath(pathStyle ? `/${bucket}/${key}` : `/${key}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+    const signedHeaders = {
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const authorization = signS3Request({
+      method,
+      path: objectPath,
+      headers: signedHeaders,
+      payloadHash,
+      amzDate,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: endpoint.protocol,
+        hostname: pathStyle ? endpoint.hostname : `${bucket}.${endpoint.hostname}`,
+        port: endpoint.port || undefined,
+        method,
+        path: objectPath,
+        headers: {
+          ...headers,
+          ...signedHeaders,
+          Authorization: authorization
+        }
+      }, resolve);
+
+      // 对象存储无响应时中止请求，避免上传和下载一直挂起；响应流读取中停滞同样会被中止
+      req.setTimeout(S3_REQUEST_TIMEOUT, () => {
+        req.destroy(new Error(`S3请求超时 (${S3_REQUEST_TIMEOUT}ms)`));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  };
+
+  // 读取错误响应并转换为异常
+  const fail = async (res, action) => {
+    let detail = '';
+    for await (const chunk of res) {
+      detail += chunk;
+    }
+    const error = new Error(`S3${action}失败 (${res.statusCode}): ${detail.slice(0, 200)}`);
+    error.statusCode = res.statusCode === 404 ? 404 : 502;
+    return error;
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { mimeType } = {}) {
+      const res = await request('PUT', key, {
+        body: buffer,
+        payloadHash: sha256Hex(buffer),
+        headers: {
+          'Content-Type': mimeType || 'application/octet-stream',
+          'Content-Length': buffer.length
+        }
+      });
+
+      if (res.statusCode !== 200) {
+        throw await fail(res, '上传');
+      }
+      res.resume();
+    },
+
+    async exists(key) {
+      const res = await request('HEAD', key);
+      res.resume();
+
+      if (res.statusCode === 200) {
+        return true;
+      }
+      if (res.statusCode === 404) {
+        return false;
+      }
+      throw new Error(`S3查询对象失败 (${res.statusCode})`);
+    },
+
+    async createReadStream(key) {
+      const res = await request('GET', key);
+
+      if (res.statusCode !== 200) {
+        throw await fail(res, '下载');
+      }
+      return res;
+    },
+
+    async remove(key) {
+      const res = await request('DELETE', key);
+      res.resume();
+
+      if (res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) {
+        throw new Error(`S3删除对象失败 (${res.statusCode})`);
+      }
+    }
+  };
+}
+
+const adapterFactories = {
+  local: createLocalAdapter,
+  s3: createS3Adapter
+};
+
+let adapter = createLocalAdapter();
+
+/**
+ * 附件存储
+ * 上传的文件按内容哈希保存，可在本地磁盘和S3兼容存储之间切换
+ */
+const AttachmentStorage = {
+  /**
+   * 初始化存储，需在服务启动时调用
+   * 配置了S3但参数不完整时抛出异常，不会退回本地存储，避免多实例部署时各实例把附件写到自己的磁盘上
+   * @param {string} type 适配器类型：local（默认）或 s3
+   * @returns {string} 实际使用的适配器类型
+   */
+  init(type = 'local') {
+    const createAdapter = adapterFactories[type];
+
+    if (!createAdapter) {
+      console.warn(`未知的附件存储类型 "${type}"，使用本地存储`);
+      return AttachmentStorage.init('local');
+    }
+
+    adapter = createAdapter();
+    return adapter.name;
+  },
+
+  /**
+   * 计算S3请求的签名V4 Authorization头
+   * @param {Object} options 请求方法method、编码后的路径path、参与签名的请求头headers、
+   *   请求体哈希payloadHash、请求时间amzDate（如20130524T000000Z）、区域region和访问密钥
+   * @returns {string} Authorization头的值
+   */
+  signS3Request,
+
+  /**
+   * 获取当前适配器类型
+   * @returns {string} 适配器类型
+   */
+  getType() {
+    return adapter.name;
+  },
+
+  /**
+   * 根据内容哈希生成存储键，相同内容只保存一份
+   * @param {string} hash 文件内容的SHA256
+   * @returns {string} 存储键
+   */
+  keyFor(hash) {
+    return `${hash.slice(0, 2)}/${hash}`;
+  },
+
+  /**
+   * 保存文件
+   * @param {string} key 存储键
+   * @param {Buffer} buffer 文件内容
+   * @param {object} options 选项，如 { mimeType }
+   * @returns {Promise<void>}
+   */
+  put(key, buffer, options) {
+    return adapter.put(key, buffer, options);
+  },
+
+  /**
+   * 检查文件是否已存在
+   * @param {string} key 存储键
+   * @returns {Promise<boolean>} 是否存在
+   */
+  exists(key) {
+    return adapter.exists(key);
+  },
+
+  /**
+   * 打开文件读取流
+   * @param {string} key 存储键
+   * @returns {Promise<import('stream').Readable>} 读取流
+   */
+  createReadStream(key) {
+    return adapter.createReadStream(key);
+  },
+
+  /**
+   * 删除文件
+   * @param {string} key 存储键
+   * @returns {Promise<void>}
+   */
+  remove(key) {
+    return adapter.remove(key);
+  }
+};
+
+module.exports = AttachmentStorage;
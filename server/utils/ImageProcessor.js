@@ -0,0 +1,88 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+
+// 缩略图尺寸（最长边像素），小于该尺寸的图片不生成对应缩略图
+const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480
+};
+
+// 生成模糊占位图时先缩小到的尺寸，以及水平、垂直方向的分量数
+const BLURHASH_SAMPLE_SIZE = 32;
+const BLURHASH_COMPONENTS_X = 4;
+const BLURHASH_COMPONENTS_Y = 3;
+
+// 重新编码以去除元数据的格式
+// GIF的应用扩展块同样可以携带XMP（包括拍摄位置），因此也要重新编码
+const REENCODABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+/**
+ * 图片处理工具
+ * 上传图片时去除EXIF等元数据（包括拍摄位置），生成缩略图和模糊占位图
+ */
+const ImageProcessor = {
+  /**
+   * 缩略图尺寸
+   */
+  THUMBNAIL_SIZES,
+
+  /**
+   * 处理上传的图片
+   * @param {Buffer} buffer 图片内容
+   * @returns {Promise<object>} { buffer, width, height, blurhash, thumbnails }，
+   *   buffer为去除元数据后的图片，thumbnails为 [{ name, width, height, buffer }]
+   */
+  async process(buffer) {
+    const metadata = await sharp(buffer).metadata();
+
+    // 一律按方向信息旋转后重新编码，输出时不携带EXIF、XMP、IPTC等任何元数据
+    // 不依据metadata中的字段判断，sharp未识别的元数据块同样会被去除
+    // 读取全部帧，动图（GIF、WebP）重新编码后保留动画
+    let output = buffer;
+    if (REENCODABLE_FORMATS.includes(metadata.format)) {
+      output = await sharp(buffer, { animated: true })
+        .rotate()
+        .toFormat(metadata.format, metadata.format === 'jpeg' ? { quality: 90 } : {})
+        .toBuffer();
+    }
+
+    // 以处理后（已按方向旋转）的图片为准，动图取第一帧的尺寸
+    const { width, height } = await sharp(output).metadata();
+
+    const thumbnails = [];
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+      if (width <= size && height <= size) {
+        continue;
+      }
+
+      const { data, info } = await sharp(output)
+        .resize(size, size, { fit: 'inside' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      thumbnails.push({
+        name,
+        width: info.width,
+        height: info.height,
+        buffer: data
+      });
+    }
+
+    const { data: pixels, info } = await sharp(output)
+      .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: output,
+      width,
+      height,
+      blurhash: encode(new Uint8ClampedArray(pixels), info.width, info.height, BLURHASH_COMPONENTS_X, BLURHASH_COMPONENTS_Y),
+      thumbnails
+    };
+  }
+};
+
+module.exports = ImageProcessor;
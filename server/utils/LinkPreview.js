@@ -0,0 +1,307 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+
+// 抓取页面的总超时时间（包括重定向）
+const FETCH_TIMEOUT = parseInt(process.env.LINK_PREVIEW_TIMEOUT) || 5000;
+// 最多读取的页面大小，预览信息通常位于<head>中
+const MAX_HTML_SIZE = 512 * 1024;
+// 最多跟随的重定向次数
+const MAX_REDIRECTS = 3;
+// 标题和描述的最大长度
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; WinUCChatLinkPreview/1.0)';
+
+// 消息中的链接，遇到空白或中文标点时结束
+const URL_PATTERN = /https?:\/\/[^\s<>"'，。！？、；：（）《》「」【】]+/i;
+
+// 禁止访问的地址段：本机、内网、链路本地、运营商NAT、组播和保留地址
+// IPv4和IPv6分开保存：同一个BlockList中IPv4地址也会按IPv4映射地址匹配IPv6地址段，::ffff:0:0/96会拦截所有IPv4地址
+const blockedAddresses = {
+  ipv4: new net.BlockList(),
+  ipv6: new net.BlockList()
+};
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.ipv4.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4映射地址和NAT64地址可能指向内网IPv4地址
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+// 解码HTML实体
+const decodeEntities = text => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+  }
+  return HTML_ENTITIES[code.toLowerCase()] || entity;
+});
+
+// 清理页面中的文本并截断
+const cleanText = (text, maxLength) => {
+  if (!text) {
+    return undefined;
+  }
+
+  const cleaned = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!cleaned) {
+    return undefined;
+  }
+  return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength)}…` : cleaned;
+};
+
+/**
+ * 检查地址是否可以访问（不是内网等受限地址）
+ * @param {string} address IP地址
+ * @returns {boolean} 是否可以访问
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return !blockedAddresses[type].check(address, type);
+}
+
+/**
+ * 解析主机名，所有解析结果都必须是公网地址
+ * @param {string} hostname 主机名
+ * @returns {Promise<object>} { address, family }
+ */
+async function resolvePublicAddress(hostname) {
+  // URL中的IPv6地址带有方括号
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`禁止访问的地址: ${hostname}`);
+  }
+  return addresses[0];
+}
+
+/**
+ * 发送GET请求，连接固定到已检查过的地址，避免DNS重绑定绕过检查
+ * @param {URL} url 请求地址
+ * @param {object} target 已解析的地址 { address, family }
+ * @param {AbortSignal} signal 超时信号
+ * @returns {Promise<http.IncomingMessage>} 响应
+ */
+function sendRequest(url, { address, family }, signal) {
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml'
+      },
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family)),
+      signal
+    }, resolve);
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * 读取响应内容，超过大小上限时截断
+ * @param {http.IncomingMessage} res 响应
+ * @returns {Promise<string>} 页面内容
+ */
+async function readHtml(res) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of res) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_HTML_SIZE) {
+      res.destroy();
+      break;
+    }
+  }
+
+  const buffer = Buffer.concat(chunks).subarray(0, MAX_HTML_SIZE);
+
+  // 按响应头或页面中声明的字符集解码，兼容GBK等编码的中文网站
+  const charsetMatch = /charset=["']?([\w-]+)/i.exec(res.headers['content-type'] || '')
+    || /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+
+  try {
+    return new TextDecoder(charsetMatch ? charsetMatch[1] : 'utf-8').decode(buffer);
+  } catch (err) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * 默认的页面抓取器
+ * 只访问公网http/https地址，限制重定向次数、总耗时和读取大小，只读取HTML页面
+ * @param {string} url 页面地址
+ * @returns {Promise<object|null>} { url, html }，不是HTML页面时返回null
+ */
+async function fetchHtml(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+  let current = new URL(url);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+      throw new Error(`不支持的协议: ${current.protocol}`);
+    }
+
+    const target = await resolvePublicAddress(current.hostname);
+    const res = await sendRequest(current, target, signal);
+
+    // 重定向的目标地址同样需要检查
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+      res.resume();
+      current = new URL(res.headers.location, current);
+      continue;
+    }
+
+    if (res.statusCode !== 200 || !/text\/html|application\/xhtml\+xml/i.test(res.headers['content-type'] || '')) {
+      res.resume();
+      return null;
+    }
+
+    return {
+      url: current.href,
+      html: await readHtml(res)
+    };
+  }
+
+  throw new Error('重定向次数过多');
+}
+
+/**
+ * 从页面中提取OpenGraph等预览信息
+ * @param {string} html 页面内容
+ * @param {string} pageUrl 页面地址，用于解析相对地址的图片
+ * @returns {object|null} 预览信息，没有标题时返回null
+ */
+function parseHtml(html, pageUrl) {
+  const meta = {};
+
+  (html.match(/<meta\s[^>]*>/gi) || []).forEach((tag) => {
+    const attributes = {};
+    const attributePattern = /([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+    let match;
+    while ((match = attributePattern.exec(tag)) !== null) {
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const titleMatch = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || (titleMatch && titleMatch[1]), MAX_TITLE_LENGTH);
+  if (!title) {
+    return null;
+  }
+
+  let image;
+  const imageUrl = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (imageUrl) {
+    try {
+      const resolved = new URL(decodeEntities(imageUrl.trim()), pageUrl);
+      image = ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : undefined;
+    } catch (err) {
+      image = undefined;
+    }
+  }
+
+  return {
+    title,
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    image,
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(pageUrl).hostname
+  };
+}
+
+let fetcher = fetchHtml;
+
+/**
+ * 链接预览
+ * 抓取消息中链接的页面标题、描述和图片，抓取器可替换以便测试
+ */
+const LinkPreview = {
+  /**
+   * 提取文本中的第一个链接
+   * @param {string} content 消息内容
+   * @returns {string|null} 链接，没有时返回null
+   */
+  extractUrl(content) {
+    const match = URL_PATTERN.exec(content || '');
+    // 去掉句末的英文标点
+    return match ? match[0].replace(/[.,;:!?)\]]+$/, '') : null;
+  },
+
+  /**
+   * 生成链接预览
+   * @param {string} url 链接
+   * @returns {Promise<object|null>} { url, title, description, image, siteName }，无法生成时返回null
+   */
+  async generate(url) {
+    const page = await fetcher(url);
+    if (!page || !page.html) {
+      return null;
+    }
+
+    const preview = parseHtml(page.html, page.url || url);
+    return preview ? { url, ...preview } : null;
+  },
+
+  /**
+   * 替换页面抓取器，测试时可传入不访问网络的实现
+   * @param {Function} customFetcher 接收链接，返回 { url, html } 或 null
+   * @returns {void}
+   */
+  setFetcher(customFetcher) {
+    fetcher = customFetcher || fetchHtml;
+  }
+};
+
+module.exports = LinkPreview;
@@ -0,0 +1,212 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+
+// 进程内事件总线，按用户ID分发事件
+const emitter = new EventEmitter();
+// 每个在线连接都会订阅一次，取消默认的监听器数量上限
+emitter.setMaxListeners(0);
+
+// 入队事件只关心新增的队列项，忽略标记已发送等更新
+const QUEUED_FIELD_PATTERN = /^(messages|systemMessages)(\.\d+)?$/;
+// 变更流运行中出错后重新打开的间隔
+const CHANGE_STREAM_RETRY_DELAY = 5000;
+
+/**
+ * 进程内适配器
+ * 入队事件直接在当前进程内分发，适用于单实例部署
+ */
+const memoryAdapter = {
+  name: 'memory',
+
+  start() {},
+
+  stop() {},
+
+  publishQueued(userId, event) {
+    emitter.emit(userId.toString(), event);
+  }
+};
+
+/**
+ * MongoDB变更流适配器
+ * 监听messagequeues集合的变更，所有实例都能收到入队事件（需要副本集）
+ */
+function createChangeStreamAdapter() {
+  let changeStream = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  const openChangeStream = () => {
+    const MessageQueue = mongoose.model('MessageQueue');
+
+    changeStream = MessageQueue.watch(
+      [
+        { $match: { operationType: { $in: ['insert', 'update', 'replace'] } } },
+        {
+          $project: {
+            operationType: 1,
+            'fullDocument.user': 1,
+            'updateDescription.updatedFields': 1
+          }
+        }
+      ],
+      { fullDocument: 'updateLookup' }
+    );
+
+    changeStream.on('change', (change) => {
+      if (!change.fullDocument || !change.fullDocument.user) {
+        return;
+      }
+
+      let fields = ['messages', 'systemMessages'];
+      if (change.operationType === 'update') {
+        fields = Object.keys(change.updateDescription.updatedFields || {})
+          .filter(field => QUEUED_FIELD_PATTERN.test(field));
+      }
+
+      if (fields.some(field => field.startsWith('messages'))) {
+        emitter.emit(change.fullDocument.user.toString(), { type: 'message' });
+      }
+      if (fields.some(field => field.startsWith('systemMessages'))) {
+        emitter.emit(change.fullDocument.user.toString(), { type: 'system' });
+      }
+    });
+
+    // 运行中出错时重新打开变更流，不回退到进程内事件总线，否则其他实例将无法唤醒本实例的连接
+    changeStream.on('error', (err) => {
+      console.error(`消息队列变更流出错，${CHANGE_STREAM_RETRY_DELAY / 1000}秒后重新打开:`, err.message);
+      changeStream.close().catch(() => {});
+      changeStream = null;
+
+      if (!stopped && !retryTimer) {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          if (!stopped) {
+            openChangeStream();
+          }
+        }, CHANGE_STREAM_RETRY_DELAY);
+      }
+    });
+  };
+
+  return {
+    name: 'changestream',
+
+    // 变更流需要副本集或分片集群，无法使用时启动失败，避免多实例之间的消息唤醒静默失效
+    async start() {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      if (!hello.setName && hello.msg !== 'isdbgrid') {
+        throw new Error('MESSAGE_BUS=changestream 需要MongoDB以副本集或分片集群方式运行');
+      }
+
+      stopped = false;
+      openChangeStream();
+    },
+
+    stop() {
+      stopped = true;
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      }
+      if (changeStream) {
+        changeStream.close().catch(() => {});
+        changeStream = null;
+      }
+    },
+
+    // 写入会触发变更流，由变更流统一分发，避免本实例重复唤醒
+    publishQueued() {}
+  };
+}
+
+const adapterFactories = {
+  memory: () => memoryAdapter,
+  changestream: createChangeStreamAdapter
+};
+
+let adapter = memoryAdapter;
+
+/**
+ * 消息事件总线
+ * 消息入队、系统消息入队和状态变化时发布事件，长轮询和实时通道据此立即唤醒
+ */
+const MessageBus = {
+  /**
+   * 初始化事件总线，需在数据库连接成功后调用
+   * changestream无法使用时抛出错误，调用方应终止启动
+   * @param {string} type 适配器类型：memory（默认）或 changestream
+   * @returns {Promise<string>} 实际使用的适配器类型
+   */
+  async init(type = 'memory') {
+    const createAdapter = adapterFactories[type];
+
+    if (!createAdapter) {
+      console.warn(`未知的事件总线类型 "${type}"，使用进程内事件总线`);
+      return MessageBus.init('memory');
+    }
+
+    adapter.stop();
+    adapter = createAdapter();
+
+    try {
+      await adapter.start();
+    } catch (err) {
+      adapter = memoryAdapter;
+      throw err;
+    }
+
+    return adapter.name;
+  },
+
+  /**
+   * 获取当前适配器类型
+   * @returns {string} 适配器类型
+   */
+  getType() {
+    return adapter.name;
+  },
+
+  /**
+   * 发布进程内用户事件（如状态变化）
+   * @param {string} userId 用户ID
+   * @param {object} event 事件内容，如 { type: 'status_change' }
+   * @returns {void}
+   */
+  publish(userId, event) {
+    emitter.emit(userId.toString(), event);
+  },
+
+  /**
+   * 发布消息入队事件，由适配器决定分发方式
+   * @param {string} userId 用户ID
+   * @param {object} event 事件内容，如 { type: 'message' }
+   * @returns {void}
+   */
+  publishQueued(userId, event) {
+    adapter.publishQueued(userId, event);
+  },
+
+  /**
+   * 订阅用户事件
+   * @param {string} userId 用户ID
+   * @param {Function} listener 事件回调
+   * @returns {Function} 取消订阅函数
+   */
+  subscribe(userId, listener) {
+    const channel = userId.toString();
+    emitter.on(channel, listener);
+
+    return () => emitter.removeListener(channel, listener);
+  },
+
+  /**
+   * 获取当前进程内有订阅者的用户ID
+   * @returns {string[]} 用户ID列表
+   */
+  getSubscribedUserIds() {
+    return emitter.eventNames().filter(name => typeof name === 'string');
+  }
+};
+
+module.exports = MessageBus;
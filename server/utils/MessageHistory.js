@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+// 分页游标由消息的创建时间和ID组成，按时间倒序翻页时不会因新消息插入而重复或遗漏
+const encodeCursor = message => Buffer.from(`${message.createdAt.getTime()}:${message._id}`).toString('base64url');
+
+// 解析分页游标，无效时返回null
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const createdAt = new Date(parseInt(time));
+
+  if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// 早于游标位置的消息的查询条件
+const olderThanCursor = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: _id } }
+  ]
+});
+
+// 晚于游标位置的消息的查询条件
+const newerThanCursor = ({ createdAt, _id }) => ({
+  $or: [
+    { createdAt: { $gt: createdAt } },
+    { createdAt, _id: { $gt: _id } }
+  ]
+});
+
+// 解析消息历史的分页锚点，可以是分页游标、会话中的消息ID或ISO格式的时间，无效时返回null
+const resolveHistoryAnchor = async (anchor, conversationFilter) => {
+  if (mongoose.Types.ObjectId.isValid(anchor)) {
+    const message = await Message.findOne({ _id: anchor, ...conversationFilter }).select('createdAt');
+    return message ? { createdAt: message.createdAt, _id: message._id } : null;
+  }
+
+  // 时间锚点排在该时刻的所有消息之前
+  if (/^\d{4}-\d{2}-\d{2}/.test(anchor)) {
+    const createdAt = new Date(anchor);
+    return isNaN(createdAt.getTime()) ? null : { createdAt, _id: new mongoose.Types.ObjectId('0'.repeat(24)) };
+  }
+
+  return decodeCursor(anchor);
+};
+
+/**
+ * 按游标分页查询会话的消息历史
+ * before取锚点之前的消息，after取锚点之后的消息，around取锚点消息及其前后的消息，都不传时取最新一页
+ * @param {object} conversationFilter 会话的查询条件
+ * @param {object} options { userId, before, after, around, limit, skip, prepare }，prepare用于为查询添加populate等
+ * @returns {Promise<object>} { messages, hasOlder, hasNewer, prevCursor, nextCursor }，
+ *   messages按时间正序排列，错误时返回 { status, message }
+ */
+const findHistoryPage = async (conversationFilter, { userId, before, after, around, limit, skip = 0, prepare }) => {
+  // 每页至少一条，skip不能为负数，否则游标和hasOlder/hasNewer的计算会出错
+  limit = Math.max(1, limit);
+  skip = Math.max(0, skip);
+
+  const anchors = { before, after, around };
+  const anchorNames = Object.keys(anchors).filter(name => anchors[name]);
+
+  if (anchorNames.length > 1) {
+    return { status: 400, message: '只能指定before、after和around中的一个' };
+  }
+
+  const baseFilter = { ...conversationFilter, deletedFor: { $ne: userId } };
+  const query = (condition, direction, count) => prepare(
+    Message.find({ $and: [baseFilter, condition] })
+      .sort({ createdAt: direction, _id: direction })
+      .limit(count)
+  );
+
+  // 没有锚点时取最新一页，兼容旧的skip参数
+  if (anchorNames.length === 0) {
+    const messages = await query({}, -1, limit + 1).skip(skip);
+    const hasOlder = messages.length > limit;
+    const page = messages.slice(0, limit).reverse();
+
+    return {
+      messages: page,
+      hasOlder,
+      hasNewer: skip > 0,
+      prevCursor: hasOlder ? encodeCursor(page[0]) : null,
+      nextCursor: skip > 0 && page.length > 0 ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  const anchorName = anchorNames[0];
+  const position = await resolveHistoryAnchor(anchors[anchorName], conversationFilter);
+  if (!position) {
+    return mongoose.Types.ObjectId.isValid(anchors[anchorName])
+      ? { status: 404, message: '参考消息不存在' }
+      : { status: 400, message: '无效的分页游标' };
+  }
+
+  let page;
+  let hasOlder;
+  let hasNewer;
+
+  if (anchorName === 'around') {
+    // 锚点消息归入较新的一半，便于客户端定位到该消息
+    const olderCount = Math.floor(limit / 2);
+    const newerCount = limit - olderCount;
+    const [older, newer] = await Promise.all([
+      query(olderThanCursor(position), -1, olderCount + 1),
+      query({ $nor: [olderThanCursor(position)] }, 1, newerCount + 1)
+    ]);
+
+    hasOlder = older.length > olderCount;
+    hasNewer = newer.length > newerCount;
+    page = [...older.slice(0, olderCount).reverse(), ...newer.slice(0, newerCount)];
+  } else if (anchorName === 'before') {
+    const older = await query(olderThanCursor(position), -1, limit + 1);
+
+    hasOlder = older.length > limit;
+    // 锚点消息本身也算作更新的消息
+    hasNewer = !!(await Message.exists({ $and: [baseFilter, { $nor: [olderThanCursor(position)] }] }));
+    page = older.slice(0, limit).reverse();
+  } else {
+    const newer = await query(newerThanCursor(position), 1, limit + 1);
+
+    hasNewer = newer.length > limit;
+    hasOlder = !!(await Message.exists({ $and: [baseFilter, { $nor: [newerThanCursor(position)] }] }));
+    page = newer.slice(0, limit);
+  }
+
+  // 本页为空时以锚点位置作为继续翻页的游标
+  const first = page[0] || position;
+  const last = page[page.length - 1] || position;
+
+  return {
+    messages: page,
+    hasOlder,
+    hasNewer,
+    prevCursor: hasOlder ? encodeCursor(first) : null,
+    nextCursor: hasNewer ? encodeCursor(last) : null
+  };
+};
+
+/**
+ * 解析分页大小参数，限制在1到最大值之间，无效时使用默认值
+ * @param {*} value 查询参数中的值
+ * @param {number} defaultLimit 默认值
+ * @param {number} maxLimit 最大值
+ * @returns {number} 分页大小
+ */
+const parseLimit = (value, defaultLimit, maxLimit) => Math.max(1, Math.min(parseInt(value, 10) || defaultLimit, maxLimit));
+
+/**
+ * 解析skip参数，无效或为负数时返回0
+ * @param {*} value 查询参数中的值
+ * @returns {number} 跳过的条数
+ */
+const parseSkip = value => Math.max(0, parseInt(value, 10) || 0);
+
+/**
+ * 消息历史分页
+ * 游标由消息的创建时间和ID组成，供消息历史、群组消息和搜索接口共用
+ */
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  olderThanCursor,
+  newerThanCursor,
+  findHistoryPage,
+  parseLimit,
+  parseSkip
+};
@@ -1,20 +1,66 @@
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
 const PollSession = require('../models/PollSession');
 const MessageQueue = require('../models/MessageQueue');
+const MessageBus = require('./MessageBus');
+const PresenceStore = require('./PresenceStore');
 
-// 用于缓存活跃用户的内存映射
-const activeUsers = new Map();
-// 存储用户状态变化通知的映射
-const statusChangeNotifications = new Map();
-// 存储轮询计时器
+// 正在输入状态的有效期，客户端持续输入时应在过期前重新发送
+const TYPING_TTL = 8000;
+
+// 存储轮询计时器（挂起的请求只存在于当前进程，无需共享）
 const pollTimers = new Map();
+// 长轮询数据库读取统计
+const pollMetrics = {
+  completedPolls: 0,
+  dbReads: 0,
+  legacyDbReads: 0
+};
 
 /**
  * 长轮询管理器
  */
 const PollManager = {
+  /**
+   * 初始化在线状态存储，需在数据库连接成功后调用
+   * 多实例部署时使用mongo，使在线状态和状态通知在实例间共享
+   * @param {string} type 存储类型：memory（默认）或 mongo
+   * @returns {string} 实际使用的存储类型
+   */
+  init(type = 'memory') {
+    return PresenceStore.init(type);
+  },
+  
+  /**
+   * 获取当前在线状态存储类型
+   * @returns {string} 存储类型
+   */
+  getPresenceStoreType() {
+    return PresenceStore.getType();
+  },
+  
+  /**
+   * 确定实时连接使用的会话ID
+   * 客户端指定的会话ID只有属于该用户时才会复用，否则生成新的会话ID，
+   * 避免其他用户通过会话ID接管会话
+   * @param {string} userId 用户ID
+   * @param {string} requestedSessionId 客户端指定的会话ID
+   * @returns {Promise<string>} 会话ID
+   */
+  async resolveSessionId(userId, requestedSessionId) {
+    if (typeof requestedSessionId === 'string' && requestedSessionId) {
+      const session = await PollSession.findOne({ sessionId: requestedSessionId, user: userId }).select('_id');
+      if (session) {
+        return requestedSessionId;
+      }
+    }
+    
+    return uuidv4();
+  },
+  
   /**
    * 注册新的轮询会话
+   * 会话ID已属于其他用户时注册失败
    * @param {string} userId 用户ID
    * @param {string} sessionId 会话ID
    * @param {object} clientInfo 客户端信息
@@ -22,8 +68,9 @@ const PollManager = {
    */
   async registerSession(userId, sessionId, clientInfo = {}) {
     try {
+      // 按会话ID和用户匹配，会话ID属于其他用户时违反唯一索引而失败，不会改写其所属用户
       await PollSession.findOneAndUpdate(
-        { sessionId },
+        { sessionId, user: userId },
         {
           user: userId,
           clientInfo,
@@ -33,11 +80,11 @@ const PollManager = {
         { upsert: true, new: true }
       );
       
-      // 更新内存中的活跃用户映射
-      if (!activeUsers.has(userId)) {
-        activeUsers.set(userId, new Set());
-      }
-      activeUsers.get(userId).add(sessionId);
+      // 记录活跃会话
+      await PresenceStore.addSession(userId, sessionId);
+      
+      // 建立该会话的投递游标，注册之后入队的消息都会投递到该会话
+      await MessageQueue.registerSession(userId, sessionId);
       
       // 更新用户状态为在线
       await User.findByIdAndUpdate(
@@ -65,36 +112,27 @@ const PollManager = {
   async unregisterSession(userId, sessionId) {
     try {
       await PollSession.findOneAndUpdate(
-        { sessionId },
+        { sessionId, user: userId },
         { active: false },
         { new: true }
       );
       
-      // 从内存中移除
-      if (activeUsers.has(userId)) {
-        activeUsers.get(userId).delete(sessionId);
+      // 移除活跃会话，如果该用户没有活跃会话了，设置为离线
+      const isLastSession = await PresenceStore.removeSession(userId, sessionId);
+      if (isLastSession) {
+        // 更新用户状态为离线
+        await User.findByIdAndUpdate(
+          userId,
+          { status: 'offline', lastActive: new Date() },
+          { new: true }
+        );
         
-        // 如果该用户没有活跃会话了，设置为离线
-        if (activeUsers.get(userId).size === 0) {
-          activeUsers.delete(userId);
-          
-          // 更新用户状态为离线
-          await User.findByIdAndUpdate(
-            userId,
-            { status: 'offline', lastActive: new Date() },
-            { new: true }
-          );
-          
-          // 触发用户下线通知
-          await this.notifyStatusChange(userId, 'offline');
-        }
+        // 触发用户下线通知
+        await this.notifyStatusChange(userId, 'offline');
       }
       
       // 清除轮询计时器
-      if (pollTimers.has(sessionId)) {
-        clearTimeout(pollTimers.get(sessionId));
-        pollTimers.delete(sessionId);
-      }
+      this.clearPollTimeout(sessionId);
       
       return true;
     } catch (err) {
@@ -131,59 +169,116 @@ const PollManager = {
    * 通知用户状态变化
    * @param {string} userId 用户ID
    * @param {string} status 新状态
+   * @param {object} [options] 选项
+   * @param {boolean} [options.ignorePrivacy=false] 是否忽略隐藏在线状态设置，用于开启或关闭隐藏时通知好友
    * @returns {Promise<void>}
    */
-  async notifyStatusChange(userId, status) {
+  async notifyStatusChange(userId, status, { ignorePrivacy = false } = {}) {
     try {
       // 获取该用户的所有好友
-      const user = await User.findById(userId).select('friends');
+      const user = await User.findById(userId).select('friends blockedUsers privacy');
       
       if (!user || !user.friends || user.friends.length === 0) {
         return;
       }
       
-      // 为每个好友创建状态变化通知
-      for (const friendId of user.friends) {
-        // 将状态变化添加到通知队列
-        if (!statusChangeNotifications.has(friendId.toString())) {
-          statusChangeNotifications.set(friendId.toString(), []);
-        }
-        
-        statusChangeNotifications.get(friendId.toString()).push({
-          type: 'status_change',
-          userId: userId,
-          status: status,
-          timestamp: new Date()
-        });
+      // 隐藏在线状态的用户不发送状态变化通知
+      if (!ignorePrivacy && user.privacy && user.privacy.hideOnlineStatus) {
+        return;
       }
+      
+      // 不通知存在拉黑关系的好友
+      const blockerIds = new Set((await User.distinct('_id', {
+        _id: { $in: user.friends.map(friend => friend.user) },
+        blockedUsers: user._id
+      })).map(String));
+      const friendIds = user.friends
+        .map(friend => friend.user.toString())
+        .filter(friendId => !user.hasBlocked(friendId) && !blockerIds.has(friendId));
+      
+      // 为每个好友创建状态变化通知
+      await PresenceStore.pushStatusNotifications(friendIds, {
+        type: 'status_change',
+        userId: userId,
+        status: status,
+        timestamp: new Date()
+      });
+      
+      // 通知本实例上的实时通道有新的状态变化，其他实例由存储适配器唤醒
+      friendIds.forEach(friendId => MessageBus.publish(friendId, { type: 'status_change' }));
     } catch (err) {
       console.error('通知用户状态变化失败:', err);
     }
   },
   
   /**
-   * 获取用户的状态变化通知
+   * 通知会话其他成员用户的输入状态
+   * 输入状态与状态变化通知走同一通道，只保存在在线状态存储中，不会写入消息记录
+   * @param {object} user 正在输入的用户
+   * @param {Array} recipientIds 接收通知的用户ID列表
+   * @param {object} typing 输入状态
+   * @param {string} typing.conversationType 会话类型：private 或 group
+   * @param {string} typing.conversationId 从接收者看的会话ID（私聊为输入者ID，群聊为群组ID）
+   * @param {string} typing.state 输入状态：typing 或 stopped
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async notifyTyping(user, recipientIds, { conversationType, conversationId, state }) {
+    try {
+      if (recipientIds.length === 0) {
+        return true;
+      }
+      
+      const timestamp = new Date();
+      
+      await PresenceStore.pushStatusNotifications(recipientIds, {
+        type: 'typing',
+        userId: user._id,
+        username: user.username,
+        conversationType,
+        conversationId,
+        state,
+        timestamp,
+        expiresAt: new Date(timestamp.getTime() + TYPING_TTL)
+      });
+      
+      // 唤醒本实例上等待中的连接，其他实例由存储适配器唤醒
+      recipientIds.forEach(recipientId => MessageBus.publish(recipientId, { type: 'typing' }));
+      
+      return true;
+    } catch (err) {
+      console.error('通知输入状态失败:', err);
+      return false;
+    }
+  },
+  
+  /**
+   * 获取并清空会话的状态变化通知（包括未过期的输入状态）
+   * 通知按会话保存，同一用户的多个设备都会收到
    * @param {string} userId 用户ID
-   * @returns {Array} 通知列表
+   * @param {string} sessionId 会话ID
+   * @returns {Promise<Array>} 通知列表
    */
-  getStatusChangeNotifications(userId) {
-    const notifications = statusChangeNotifications.get(userId) || [];
-    
-    // 清空该用户的通知队列
-    if (statusChangeNotifications.has(userId)) {
-      statusChangeNotifications.set(userId, []);
+  async getStatusChangeNotifications(userId, sessionId) {
+    try {
+      return await PresenceStore.takeStatusNotifications(userId, sessionId);
+    } catch (err) {
+      console.error('获取状态变化通知失败:', err);
+      return [];
     }
-    
-    return notifications;
   },
   
   /**
    * 获取用户是否在线
    * @param {string} userId 用户ID
-   * @returns {boolean} 是否在线
+   * @returns {Promise<boolean>} 是否在线
    */
-  isUserOnline(userId) {
-    return activeUsers.has(userId) && activeUsers.get(userId).size > 0;
+  async isUserOnline(userId) {
+    try {
+      return await PresenceStore.isUserOnline(userId);
+    } catch (err) {
+      console.error('获取用户在线状态失败:', err);
+      return false;
+    }
   },
   
   /**
@@ -194,18 +289,59 @@ const PollManager = {
    * @returns {void}
    */
   setPollTimeout(sessionId, callback, timeout) {
-    // 清除之前的计时器（如果有）
+    // 同一会话的新轮询到达时，立即结束之前仍在等待的轮询
     if (pollTimers.has(sessionId)) {
-      clearTimeout(pollTimers.get(sessionId));
+      const previous = pollTimers.get(sessionId);
+      clearTimeout(previous.timer);
+      pollTimers.delete(sessionId);
+      previous.callback();
     }
     
     // 设置新的计时器
     const timer = setTimeout(() => {
-      callback();
       pollTimers.delete(sessionId);
+      callback();
     }, timeout);
     
-    pollTimers.set(sessionId, timer);
+    pollTimers.set(sessionId, { timer, callback });
+  },
+  
+  /**
+   * 清除轮询超时定时器
+   * @param {string} sessionId 会话ID
+   * @param {Function} [callback] 仅当定时器属于该回调时才清除
+   * @returns {void}
+   */
+  clearPollTimeout(sessionId, callback) {
+    if (pollTimers.has(sessionId) && (!callback || pollTimers.get(sessionId).callback === callback)) {
+      clearTimeout(pollTimers.get(sessionId).timer);
+      pollTimers.delete(sessionId);
+    }
+  },
+  
+  /**
+   * 记录一次长轮询的数据库读取次数
+   * @param {number} waitedMs 轮询等待时长(ms)
+   * @param {number} dbReads 实际读取消息队列的次数
+   * @returns {void}
+   */
+  recordPollReads(waitedMs, dbReads) {
+    pollMetrics.completedPolls += 1;
+    pollMetrics.dbReads += dbReads;
+    // 旧实现进入等待前读取一次，之后每秒读取一次
+    pollMetrics.legacyDbReads += 1 + Math.floor(waitedMs / 1000);
+  },
+  
+  /**
+   * 获取长轮询统计数据
+   * @returns {object} 统计数据
+   */
+  getPollMetrics() {
+    return {
+      ...pollMetrics,
+      savedDbReads: pollMetrics.legacyDbReads - pollMetrics.dbReads,
+      waitingPolls: pollTimers.size
+    };
   },
   
   /**
@@ -0,0 +1,313 @@
+const PollSession = require('../models/PollSession');
+const StatusNotification = require('../models/StatusNotification');
+const MessageBus = require('./MessageBus');
+
+// 无法使用变更流时，扫描待取状态通知的间隔
+const SWEEP_INTERVAL = 2000;
+
+// 带有expiresAt的通知（如正在输入）是临时的，过期后不再返回
+const isExpired = (notification, now) => !!notification.expiresAt && notification.expiresAt <= now;
+
+/**
+ * 进程内适配器
+ * 在线状态和状态变化通知保存在当前进程内存中，适用于单实例部署
+ */
+function createMemoryAdapter() {
+  // 用于缓存活跃用户的内存映射
+  const activeUsers = new Map();
+  // 存储状态变化通知的映射，按会话保存，同一用户的每个设备各自取走一份
+  const statusChangeNotifications = new Map();
+  const sessionKey = (userId, sessionId) => `${userId}:${sessionId}`;
+
+  return {
+    name: 'memory',
+
+    start() {},
+
+    stop() {},
+
+    async addSession(userId, sessionId) {
+      const userKey = userId.toString();
+      if (!activeUsers.has(userKey)) {
+        activeUsers.set(userKey, new Set());
+      }
+      activeUsers.get(userKey).add(sessionId);
+    },
+
+    async removeSession(userId, sessionId) {
+      const userKey = userId.toString();
+      if (!activeUsers.has(userKey)) {
+        return false;
+      }
+
+      activeUsers.get(userKey).delete(sessionId);
+      statusChangeNotifications.delete(sessionKey(userKey, sessionId));
+      if (activeUsers.get(userKey).size > 0) {
+        return false;
+      }
+
+      activeUsers.delete(userKey);
+      return true;
+    },
+
+    async isUserOnline(userId) {
+      const userKey = userId.toString();
+      return activeUsers.has(userKey) && activeUsers.get(userKey).size > 0;
+    },
+
+    async pushStatusNotifications(recipientIds, notification) {
+      const now = new Date();
+
+      recipientIds.forEach((recipientId) => {
+        const recipientKey = recipientId.toString();
+        const sessions = activeUsers.get(recipientKey) || new Set();
+
+        sessions.forEach((sessionId) => {
+          const key = sessionKey(recipientKey, sessionId);
+          // 顺便丢弃已过期的临时通知，避免长期不轮询的会话堆积
+          const pending = (statusChangeNotifications.get(key) || [])
+            .filter(item => !isExpired(item, now));
+          pending.push(notification);
+          statusChangeNotifications.set(key, pending);
+        });
+      });
+    },
+
+    async takeStatusNotifications(userId, sessionId) {
+      const key = sessionKey(userId.toString(), sessionId);
+      const notifications = statusChangeNotifications.get(key) || [];
+      statusChangeNotifications.delete(key);
+
+      const now = new Date();
+      return notifications.filter(notification => !isExpired(notification, now));
+    }
+  };
+}
+
+/**
+ * MongoDB适配器
+ * 在线状态由PollSession集合判断，状态变化通知写入StatusNotification集合，
+ * 多个实例共享同一份状态，适用于PM2集群模式
+ */
+function createMongoAdapter() {
+  let changeStream = null;
+  let sweepTimer = null;
+
+  // 定期为本实例上等待中的用户检查是否有其他实例写入的状态通知
+  const startSweep = () => {
+    if (sweepTimer) {
+      return;
+    }
+
+    sweepTimer = setInterval(async () => {
+      const localUserIds = MessageBus.getSubscribedUserIds();
+      if (localUserIds.length === 0) {
+        return;
+      }
+
+      try {
+        const recipients = await StatusNotification.distinct('recipient', {
+          recipient: { $in: localUserIds }
+        });
+        recipients.forEach(recipient => MessageBus.publish(recipient, { type: 'status_change' }));
+      } catch (err) {
+        console.error('扫描状态通知失败:', err);
+      }
+    }, SWEEP_INTERVAL);
+  };
+
+  return {
+    name: 'mongo',
+
+    start() {
+      // 优先使用变更流即时唤醒其他实例上的连接，单节点MongoDB不支持时改为定期扫描
+      try {
+        changeStream = StatusNotification.watch([{ $match: { operationType: 'insert' } }]);
+        changeStream.on('change', (change) => {
+          MessageBus.publish(change.fullDocument.recipient, { type: change.fullDocument.type || 'status_change' });
+        });
+        changeStream.on('error', (err) => {
+          console.warn('状态通知变更流不可用，改为定期扫描:', err.message);
+          changeStream = null;
+          startSweep();
+        });
+      } catch (err) {
+        console.warn('状态通知变更流不可用，改为定期扫描:', err.message);
+        startSweep();
+      }
+    },
+
+    stop() {
+      if (changeStream) {
+        changeStream.close().catch(() => {});
+        changeStream = null;
+      }
+      if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+      }
+    },
+
+    // 会话已由PollManager写入PollSession集合
+    async addSession() {},
+
+    async removeSession(userId) {
+      const remaining = await PollSession.countDocuments({ user: userId, active: true });
+      return remaining === 0;
+    },
+
+    async isUserOnline(userId) {
+      const count = await PollSession.countDocuments({ user: userId, active: true });
+      return count > 0;
+    },
+
+    async pushStatusNotifications(recipientIds, notification) {
+      if (recipientIds.length === 0) {
+        return;
+      }
+
+      // 为接收者的每个活跃会话各写入一份，同一用户的多个设备互不影响
+      const sessions = await PollSession.find({ user: { $in: recipientIds }, active: true })
+        .select('user sessionId');
+      if (sessions.length === 0) {
+        return;
+      }
+
+      await StatusNotification.insertMany(sessions.map(session => ({
+        recipient: session.user,
+        sessionId: session.sessionId,
+        type: notification.type,
+        userId: notification.userId,
+        status: notification.status,
+        username: notification.username,
+        conversationType: notification.conversationType,
+        conversationId: notification.conversationId,
+        state: notification.state,
+        expiresAt: notification.expiresAt,
+        createdAt: notification.timestamp
+      })));
+    },
+
+    async takeStatusNotifications(userId, sessionId) {
+      const docs = await StatusNotification.find({ recipient: userId, sessionId }).sort({ createdAt: 1 });
+      if (docs.length === 0) {
+        return [];
+      }
+
+      await StatusNotification.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+      const now = new Date();
+      return docs
+        .filter(doc => !isExpired(doc, now))
+        .map(doc => (doc.type === 'typing'
+          ? {
+            type: 'typing',
+            userId: doc.userId,
+            username: doc.username,
+            conversationType: doc.conversationType,
+            conversationId: doc.conversationId,
+            state: doc.state,
+            timestamp: doc.createdAt,
+            expiresAt: doc.expiresAt
+          }
+          : {
+            type: 'status_change',
+            userId: doc.userId,
+            status: doc.status,
+            timestamp: doc.createdAt
+          }));
+    }
+  };
+}
+
+const adapterFactories = {
+  memory: createMemoryAdapter,
+  mongo: createMongoAdapter
+};
+
+let adapter = createMemoryAdapter();
+
+/**
+ * 在线状态存储
+ * PollManager通过它读写在线会话和状态变化通知，可在进程内存和MongoDB之间切换
+ */
+const PresenceStore = {
+  /**
+   * 初始化存储，需在数据库连接成功后调用
+   * @param {string} type 适配器类型：memory（默认）或 mongo
+   * @returns {string} 实际使用的适配器类型
+   */
+  init(type = 'memory') {
+    const createAdapter = adapterFactories[type];
+
+    if (!createAdapter) {
+      console.warn(`未知的在线状态存储类型 "${type}"，使用进程内存储`);
+      return PresenceStore.init('memory');
+    }
+
+    adapter.stop();
+    adapter = createAdapter();
+    adapter.start();
+
+    return adapter.name;
+  },
+
+  /**
+   * 获取当前适配器类型
+   * @returns {string} 适配器类型
+   */
+  getType() {
+    return adapter.name;
+  },
+
+  /**
+   * 记录用户的活跃会话
+   * @param {string} userId 用户ID
+   * @param {string} sessionId 会话ID
+   * @returns {Promise<void>}
+   */
+  addSession(userId, sessionId) {
+    return adapter.addSession(userId, sessionId);
+  },
+
+  /**
+   * 移除用户的活跃会话
+   * @param {string} userId 用户ID
+   * @param {string} sessionId 会话ID
+   * @returns {Promise<boolean>} 用户是否已没有活跃会话
+   */
+  removeSession(userId, sessionId) {
+    return adapter.removeSession(userId, sessionId);
+  },
+
+  /**
+   * 获取用户是否在线
+   * @param {string} userId 用户ID
+   * @returns {Promise<boolean>} 是否在线
+   */
+  isUserOnline(userId) {
+    return adapter.isUserOnline(userId);
+  },
+
+  /**
+   * 向多个用户添加状态变化通知，写入每个用户的所有活跃会话
+   * @param {Array} recipientIds 接收通知的用户ID列表
+   * @param {object} notification 通知内容
+   * @returns {Promise<void>}
+   */
+  pushStatusNotifications(recipientIds, notification) {
+    return adapter.pushStatusNotifications(recipientIds, notification);
+  },
+
+  /**
+   * 取出并清空会话的状态变化通知，不影响同一用户的其他会话
+   * @param {string} userId 用户ID
+   * @param {string} sessionId 会话ID
+   * @returns {Promise<Array>} 通知列表
+   */
+  takeStatusNotifications(userId, sessionId) {
+    return adapter.takeStatusNotifications(userId, sessionId);
+  }
+};
+
+module.exports = PresenceStore;
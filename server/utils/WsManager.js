@@ -0,0 +1,247 @@
+const url = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const MessageQueue = require('../models/MessageQueue');
+const PollManager = require('./PollManager');
+const MessageBus = require('./MessageBus');
+const { verifyToken } = require('../middlewares/auth');
+
+// WebSocket连接路径
+const WS_PATH = '/api/poll/ws';
+// 心跳检测间隔
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// 客户端消息的最大大小，客户端只发送ping、status等简短的控制消息
+const MAX_PAYLOAD = 16 * 1024;
+
+/**
+ * 向客户端发送JSON数据
+ * @param {WebSocket} ws 连接
+ * @param {object} payload 数据
+ * @returns {void}
+ */
+function sendJson(ws, payload) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+/**
+ * 拒绝握手请求
+ * @param {object} socket 底层套接字
+ * @param {number} statusCode HTTP状态码
+ * @param {string} statusText 状态描述
+ * @returns {void}
+ */
+function rejectUpgrade(socket, statusCode, statusText) {
+  socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * 处理已认证的WebSocket连接
+ * @param {WebSocket} ws 连接
+ * @param {object} req 握手请求
+ * @param {object} user 当前用户
+ * @param {string} sessionId 会话ID
+ * @returns {Promise<void>}
+ */
+async function handleConnection(ws, req, user, sessionId) {
+  const userId = user._id;
+
+  ws.isAlive = true;
+  ws.userId = userId;
+  ws.sessionId = sessionId;
+
+  // 推送队列中的待处理消息和状态变化通知
+  let flushing = false;
+  let flushRequested = false;
+  const flush = async () => {
+    if (flushing) {
+      flushRequested = true;
+      return;
+    }
+
+    flushing = true;
+    try {
+      do {
+        flushRequested = false;
+
+        const pendingMessagesResult = await MessageQueue.getPendingMessages(userId, { sessionId });
+        const messages = pendingMessagesResult.messages || [];
+        const systemMessages = pendingMessagesResult.systemMessages || [];
+        const notifications = await PollManager.getStatusChangeNotifications(userId, sessionId);
+
+        if (messages.length > 0 || systemMessages.length > 0 || notifications.length > 0) {
+          sendJson(ws, {
+            type: 'messages',
+            timestamp: Date.now(),
+            data: {
+              messages,
+              systemMessages,
+              notifications
+            }
+          });
+        }
+      } while (flushRequested && ws.readyState === WebSocket.OPEN);
+    } catch (err) {
+      console.error('WebSocket推送消息失败:', err);
+    } finally {
+      flushing = false;
+    }
+  };
+
+  const unsubscribe = MessageBus.subscribe(userId, flush);
+
+  // 取消订阅并注销会话，连接关闭和出错时都会调用，只执行一次
+  let cleanedUp = false;
+  const cleanup = () => {
+    if (cleanedUp) {
+      return;
+    }
+    cleanedUp = true;
+    unsubscribe();
+    PollManager.unregisterSession(userId, sessionId);
+  };
+
+  // 无效帧、非法关闭码或超过大小上限的消息会触发error，没有监听器时会导致进程崩溃
+  ws.on('error', (err) => {
+    console.warn('WebSocket连接错误:', err.message);
+    ws.terminate();
+    cleanup();
+  });
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  ws.on('message', async (raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw.toString());
+    } catch (err) {
+      return sendJson(ws, { type: 'error', message: '无效的消息格式' });
+    }
+
+    try {
+      if (data && data.type === 'ping') {
+        await PollManager.updateSessionActivity(userId, sessionId);
+        return sendJson(ws, { type: 'pong', timestamp: Date.now() });
+      }
+
+      if (data && data.type === 'status') {
+        const success = await PollManager.setUserStatus(userId, data.status);
+        return sendJson(ws, success
+          ? { type: 'status', data: { status: data.status } }
+          : { type: 'error', message: '无效的状态值' });
+      }
+
+      sendJson(ws, { type: 'error', message: '不支持的消息类型' });
+    } catch (err) {
+      console.error('WebSocket处理消息失败:', err);
+      sendJson(ws, { type: 'error', message: '处理消息失败' });
+    }
+  });
+
+  ws.on('close', cleanup);
+
+  // 注册会话，与长轮询共用在线状态
+  const registered = await PollManager.registerSession(userId, sessionId, {
+    userAgent: req.headers['user-agent'],
+    ip: req.socket.remoteAddress
+  });
+
+  if (!registered) {
+    return ws.close(1011, 'Session Registration Failed');
+  }
+
+  // 注册期间连接已断开，撤销刚注册的会话
+  if (ws.readyState !== WebSocket.OPEN) {
+    return PollManager.unregisterSession(userId, sessionId);
+  }
+
+  sendJson(ws, {
+    type: 'session',
+    data: {
+      sessionId
+    }
+  });
+
+  // 连接建立后立即推送积压的消息
+  await flush();
+}
+
+/**
+ * WebSocket管理器
+ * 与长轮询共用会话注册和消息队列，消息入队时立即推送
+ */
+const WsManager = {
+  /**
+   * 在HTTP服务器上挂载WebSocket服务
+   * 客户端连接 /api/poll/ws?token=JWT[&sessionId=会话ID]
+   * @param {object} server HTTP服务器
+   * @returns {WebSocketServer} WebSocket服务实例
+   */
+  attach(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+
+    server.on('upgrade', async (req, socket, head) => {
+      const { pathname, query } = url.parse(req.url, true);
+
+      if (pathname !== WS_PATH) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      // 浏览器无法自定义握手请求头，因此同时支持查询参数传递令牌
+      let token = query.token;
+      if (!token && req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+      }
+
+      if (!token) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      try {
+        const user = await verifyToken(token);
+
+        if (!user) {
+          return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        // 复用 /api/poll/register 返回的会话ID，未提供或不属于该用户时生成新的会话
+        const sessionId = await PollManager.resolveSessionId(user._id, query.sessionId);
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+          wss.emit('connection', ws, req, user, sessionId);
+        });
+      } catch (err) {
+        rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+    });
+
+    wss.on('connection', (ws, req, user, sessionId) => {
+      handleConnection(ws, req, user, sessionId).catch((err) => {
+        console.error('WebSocket连接处理失败:', err);
+        ws.close(1011, 'Internal Error');
+      });
+    });
+
+    // 定期心跳，清理失效连接并刷新会话活动时间
+    const heartbeat = setInterval(() => {
+      wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          return ws.terminate();
+        }
+
+        ws.isAlive = false;
+        ws.ping();
+        PollManager.updateSessionActivity(ws.userId, ws.sessionId);
+      });
+    }, HEARTBEAT_INTERVAL);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+  }
+};
+
+module.exports = WsManager;
@@ -2,7 +2,6 @@
  * 定时任务处理函数 - 清理过期消息队列
  */
 
-const { ObjectId } = require('mongodb');
 
 // 连接MongoDB
 async function connectToDatabase(env) {
@@ -68,16 +68,16 @@ function detectMaliciousRequest(request) {
   
   // 检测SQL注入尝试
   const sqlInjectionPatterns = [
-    /(\%27)|(\')|(\-\-)|(\%23)|(#)/i,
-    /((\%3D)|(=))[^\n]*((\%27)|(\')|(\-\-)|(\%3B)|(;))/i,
-    /\w*((\%27)|(\'))((\%6F)|o|(\%4F))((\%72)|r|(\%52))/i,
-    /((\%27)|(\'))union/i
+    /(%27)|(')|(--)|(%23)|(#)/i,
+    /((%3D)|(=))[^\n]*((%27)|(')|(--)|(%3B)|(;))/i,
+    /\w*((%27)|('))((%6F)|o|(%4F))((%72)|r|(%52))/i,
+    /((%27)|('))union/i
   ];
   
   // 检测XSS尝试
   const xssPatterns = [
-    /((\%3C)|<)((\%2F)|\/)*[a-z0-9\%]+((\%3E)|>)/i,
-    /((\%3C)|<)((\%69)|i|(\%49))((\%6D)|m|(\%4D))((\%67)|g|(\%47))[^\n]+((\%3E)|>)/i
+    /((%3C)|<)((%2F)|\/)*[a-z0-9%]+((%3E)|>)/i,
+    /((%3C)|<)((%69)|i|(%49))((%6D)|m|(%4D))((%67)|g|(%47))[^\n]+((%3E)|>)/i
   ];
   
   // 合并所有模式